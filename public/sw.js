@@ -1,10 +1,14 @@
-const CACHE = 'wasmix-v1';
+const CACHE = 'wasmix-v2';
 const ASSETS = ['/', '/index.html', '/manifest.webmanifest', '/icon.svg'];
 
 self.addEventListener('install', (e) => {
   e.waitUntil((async () => {
     const cache = await caches.open(CACHE);
     await cache.addAll(ASSETS);
+    // Everything the build emitted, the ffmpeg.wasm core included, so the app works offline without
+    // each part having been used online first. The list only exists in a build, not under `vite dev`.
+    const built = await fetch('/precache.json').then(r => (r.ok ? r.json() : []), () => []);
+    await cache.addAll(built);
     self.skipWaiting();
   })());
 });
@@ -1,15 +1,68 @@
-import { initAudio, startRecording, stopRecording, exportWav, getState } from './modules/recorder';
-import { saveFile, listFiles, loadLatest } from './modules/opfs';
+import {
+  initAudio, startRecording, stopRecording, exportWav, getState, layoutOptions, setChannelLayout,
+  recoverTakes, getRingStats, getXrunStats, onXrunEvent, setLatencyCompensation, setMonitoring,
+  setInputDevice, setOutputDevice, onInputEnded, captureRecent, setCaptureSeconds, captureLength, setTakeFormat, onLoudnessBlock,
+  type TakeFormat
+} from './modules/recorder';
+import {
+  listDevices, canSelectOutput, matchDevice, loadRoute, saveRoute, onDeviceChange, type Route
+} from './modules/devices';
+import { measureRoundTrip, loadCalibration, saveCalibration, type Calibration } from './modules/latency';
+import {
+  emptySession, newTrack, newId, sessionDuration, type Session, type SessionOp
+} from './modules/session';
+import { loadHistory, perform, undo, redo, jumpTo, describe, emptyHistory, type History } from './modules/history';
+import { renderHistory } from './modules/historyview';
+import { append, verifyJournal } from './modules/journal';
+import {
+  start as startTransport, stop as stopTransport, position, setPlayhead, setMetronome, setCountIn, setLoop,
+  getTransport, takePasses, alignToTimeline
+} from './modules/transport';
+import { barToSeconds, secondsToBarBeat, formatBarBeat, formatTimecode, type TempoMap } from './modules/tempo';
+import { renderTracks } from './modules/trackview';
+import { renderMix, renderStems, stemTracks, bufferChannels } from './modules/render';
+import {
+  saveFile, listFiles, loadFile, removePath, renameFile, checkSpace, onQuotaWarning, type FileEntry
+} from './modules/opfs';
 import { initNotes } from './modules/crdt';
+import {
+  setActiveProject, ensureProjects, projectFile, listProjects, createProject, renameProject,
+  duplicateProject, deleteProject, touchProject, isStatePath, type ProjectMeta
+} from './modules/projects';
+import { renderProjects } from './modules/projectview';
+import { exportProject, importProject } from './modules/bundle';
+import {
+  storageStatus, requestPersistence, projectUsage, cleanupCandidates, cleanup, referencedPaths, type CleanupItem
+} from './modules/storage';
+import { renderStorage } from './modules/storageview';
+import { renderFiles, stopPreview } from './modules/fileview';
+import { decodeAudioFile } from './modules/audiofile';
+import { importAudio } from './modules/importer';
+import { encodeWAV, type BitDepth, type Dither, type WavOptions } from './modules/wav';
 import { setupMIDI } from './modules/midi';
-import { mountHUD } from './modules/hud';
+import { encode, chooseEncoder, type EncodeFormat } from './modules/encode';
+import { loadFFmpeg } from './modules/ffmpeg';
+import { wavToFlac } from './modules/lossless';
+import { LoudnessMeter, formatLoudness } from './modules/loudness';
+import { measure, normalize } from './modules/leveling';
+import { mountHUD, updateRingHUD, updateXrunHUD, updateEncoderHUD } from './modules/hud';
 import { AudioVisualizer } from './modules/visualizer';
 
+// Everything below works on the active project; switching projects reloads the page. The id is the
+// one ensureProjects settles on (a project deleted elsewhere falls back to the default), so project
+// files are only touched once `ready` resolves
+let projectId = '';
+const ready = ensureProjects().then((id) => {
+  projectId = id;
+});
+
 // HUD first
 mountHUD();
 
 // Initialize visualizer
 let visualizer: AudioVisualizer | null = null;
+// Live input loudness shown on it; integrated and true peak count from the start of the last take
+const liveLoudness = new LoudnessMeter();
 
 // Register Service Worker
 if ('serviceWorker' in navigator) {
@@ -32,37 +85,182 @@ updateOnline();
 
 const el = {
   start: document.getElementById('btn-start') as HTMLButtonElement,
+  play: document.getElementById('btn-play') as HTMLButtonElement,
   record: document.getElementById('btn-record') as HTMLButtonElement,
   stop: document.getElementById('btn-stop') as HTMLButtonElement,
+  layout: document.getElementById('channel-layout') as HTMLSelectElement,
+  capture: document.getElementById('btn-capture') as HTMLButtonElement,
+  captureSeconds: document.getElementById('capture-seconds') as HTMLSelectElement,
+  takeFormat: document.getElementById('take-format') as HTMLSelectElement,
   exportBtn: document.getElementById('btn-export') as HTMLButtonElement,
+  exportFormat: document.getElementById('export-format') as HTMLSelectElement,
+  exportBitrate: document.getElementById('export-bitrate') as HTMLSelectElement,
+  exportComplexity: document.getElementById('export-complexity') as HTMLSelectElement,
+  exportStems: document.getElementById('export-stems') as HTMLInputElement,
+  exportNormalize: document.getElementById('export-normalize') as HTMLSelectElement,
+  renderFrom: document.getElementById('render-from') as HTMLInputElement,
+  renderTo: document.getElementById('render-to') as HTMLInputElement,
+  renderProgress: document.getElementById('render-progress') as HTMLProgressElement,
   save: document.getElementById('btn-save') as HTMLButtonElement,
   list: document.getElementById('btn-list') as HTMLButtonElement,
-  load: document.getElementById('btn-load') as HTMLButtonElement,
   device: document.getElementById('device')!,
+  inputDevice: document.getElementById('input-device') as HTMLSelectElement,
+  outputDevice: document.getElementById('output-device') as HTMLSelectElement,
   sr: document.getElementById('samplerate')!,
   base: document.getElementById('baselatency')!,
+  calibrate: document.getElementById('btn-calibrate') as HTMLButtonElement,
   log: document.getElementById('log')!,
   files: document.getElementById('files')!,
   notes: document.getElementById('notes') as HTMLTextAreaElement,
   docid: document.getElementById('docid')!,
   midiBtn: document.getElementById('btn-midi') as HTMLButtonElement,
-  midiList: document.getElementById('midi')!
+  midiList: document.getElementById('midi')!,
+  tracks: document.getElementById('tracks')!,
+  history: document.getElementById('history')!,
+  undo: document.getElementById('btn-undo') as HTMLButtonElement,
+  redo: document.getElementById('btn-redo') as HTMLButtonElement,
+  verify: document.getElementById('btn-verify') as HTMLButtonElement,
+  addTrack: document.getElementById('btn-add-track') as HTMLButtonElement,
+  rewind: document.getElementById('btn-rewind') as HTMLButtonElement,
+  posBars: document.getElementById('pos-bars')!,
+  posTime: document.getElementById('pos-time')!,
+  tempo: document.getElementById('tempo') as HTMLInputElement,
+  timeSignature: document.getElementById('time-signature') as HTMLSelectElement,
+  metronome: document.getElementById('btn-metronome') as HTMLButtonElement,
+  countIn: document.getElementById('count-in') as HTMLSelectElement,
+  loop: document.getElementById('btn-loop') as HTMLButtonElement,
+  loopStart: document.getElementById('loop-start') as HTMLInputElement,
+  loopEnd: document.getElementById('loop-end') as HTMLInputElement,
+  projects: document.getElementById('projects') as HTMLDivElement,
+  projectNew: document.getElementById('btn-project-new') as HTMLButtonElement,
+  projectOpen: document.getElementById('btn-project-open') as HTMLButtonElement,
+  projectDuplicate: document.getElementById('btn-project-duplicate') as HTMLButtonElement,
+  projectRename: document.getElementById('btn-project-rename') as HTMLButtonElement,
+  projectDelete: document.getElementById('btn-project-delete') as HTMLButtonElement,
+  projectExport: document.getElementById('btn-project-export') as HTMLButtonElement,
+  projectImport: document.getElementById('btn-project-import') as HTMLButtonElement,
+  projectImportFile: document.getElementById('project-import-file') as HTMLInputElement,
+  storage: document.getElementById('storage') as HTMLDivElement,
+  persist: document.getElementById('btn-persist') as HTMLButtonElement,
+  storageRefresh: document.getElementById('btn-storage-refresh') as HTMLButtonElement,
+  importBtn: document.getElementById('btn-import') as HTMLButtonElement,
+  importFile: document.getElementById('import-file') as HTMLInputElement,
+  importResample: document.getElementById('import-resample') as HTMLInputElement,
+  importProgress: document.getElementById('import-progress') as HTMLProgressElement
 };
 
+// Session: tracks and clips, rebuilt from the journal and changed only through journaled actions,
+// each of which can be undone
+let history: History = emptyHistory();
+let session: Session = emptySession();
+let recordingActive = false;
+
+function show(next: History) {
+  history = next;
+  session = history.session;
+  renderTracks(el.tracks, session, apply);
+  renderHistory(el.history, history, (count) => serial((h) => jumpTo(projectId, h, count)).then(touched));
+  showTempo(session.tempo);
+  el.undo.disabled = !history.done.length;
+  el.redo.disabled = !history.undone.length;
+}
+
+// Edits, undo/redo and history jumps each start from `history` and replace it once journaled; they
+// run one at a time, so a second click that lands before the first is written starts from its result
+let queue: Promise<unknown> = Promise.resolve();
+function serial(step: (h: History) => Promise<History>): Promise<void> {
+  const run = queue.then(() => step(history)).then(show);
+  queue = run.catch(() => {});
+  return run;
+}
+
+async function act(label: string, ops: SessionOp[]) {
+  await serial((h) => perform(projectId, h, label, ops));
+  touched();
+}
+
+// Project list metadata (modified time, duration) follows edits, a moment after they settle
+const TOUCH_DELAY_MS = 2000;
+let touchTimer: ReturnType<typeof setTimeout> | undefined;
+function touched() {
+  clearTimeout(touchTimer);
+  touchTimer = setTimeout(() => touchProject(projectId, sessionDuration(session)).then(refreshProjects, () => {}), TOUCH_DELAY_MS);
+}
+
+// A take is the whole input bus, so only one track is armed at a time: arming one disarms the
+// rest in the same undo step
+function apply(op: SessionOp) {
+  if (op.kind === 'track-update' && op.payload.armed) {
+    const others = session.tracks.filter((t) => t.armed && t.id !== op.payload.id);
+    const disarm = others.map((t): SessionOp => ({ kind: 'track-update', payload: { id: t.id, armed: false } }));
+    return act(describe(op), [...disarm, op]);
+  }
+  return act(describe(op), [op]);
+}
+
+// Boot recovery: newest snapshot plus the journal after it; say what came back and what didn't.
+// Edits made while it loads queue up behind it.
+const restored = ready.then(() => loadHistory(projectId));
+serial(() => restored.then((r) => r.history));
+restored.then(({ history, recovery }) => {
+  const { snapshotTs, replayed, problems } = recovery;
+  const clips = history.session.tracks.reduce((n, t) => n + t.clips.length, 0);
+  if (snapshotTs !== null || replayed) {
+    const from = snapshotTs !== null ? `snapshot of ${new Date(snapshotTs).toLocaleString()} + ` : '';
+    const tracks = history.session.tracks.length;
+    log(`Session restored from ${from}${replayed} journal op(s): ${tracks} track(s), ${clips} clip(s)`);
+  }
+  if (problems.length) {
+    const list = problems.map((p) => `${p.file}${p.line ? `:${p.line}` : ''} (${p.issue})`).join(', ');
+    log(`Journal damage, skipped: ${list}`);
+  }
+  refreshStorage();
+});
+
+el.addTrack.addEventListener('click', () => {
+  apply({ kind: 'track-add', payload: newTrack(`Track ${session.tracks.length + 1}`, !session.tracks.some((t) => t.armed)) });
+});
+
+el.verify.addEventListener('click', async () => {
+  await ready;
+  const r = await verifyJournal(projectId);
+  const range = r.first !== null ? `, seq ${r.first}..${r.last}` : '';
+  log(`Journal: ${r.records} record(s) in ${r.segments} segment(s)${range}`);
+  for (const p of r.problems) {
+    log(`Journal ${p.issue}: ${p.file}${p.line ? `:${p.line}` : ''}${p.seq !== undefined ? ` (seq ${p.seq})` : ''}`);
+  }
+  if (!r.problems.length) log('Journal OK: checksums match and the sequence has no gaps');
+});
+
+el.undo.addEventListener('click', () => serial((h) => undo(projectId, h)).then(touched));
+el.redo.addEventListener('click', () => serial((h) => redo(projectId, h)).then(touched));
+document.addEventListener('keydown', async (e) => {
+  if (!(e.ctrlKey || e.metaKey) || (e.target as HTMLElement).matches('input, textarea')) return;
+  const key = e.key.toLowerCase();
+  if (key !== 'z' && key !== 'y') return;
+  e.preventDefault();
+  await serial((h) => (key === 'y' || e.shiftKey ? redo(projectId, h) : undo(projectId, h)));
+  touched();
+});
+
+// Ring and xrun figures refresh once a second while the engine runs
+let hudTimer: ReturnType<typeof setInterval> | undefined;
+
 el.start.addEventListener('click', async () => {
   el.start.disabled = true;
+  // Starting the engine means work is about to be saved; ask for it not to be evicted
+  storageStatus().then((st) => st.persisted || requestPersistence()).then(refreshStorage);
   try {
-    const info = await initAudio();
-    
-    // Update device info in the top bar
-    const deviceInfo = document.getElementById('device-info')!;
-    deviceInfo.innerHTML = `
-      <span>${info.deviceLabel ?? 'Unknown Device'}</span>
-      <span>${info.sampleRate}Hz</span>
-    `;
-    
-    // Update latency info
-    el.base.textContent = info.baseLatency ? `${(info.baseLatency * 1000).toFixed(1)}ms` : '--ms';
+    await ready;
+    const route = await loadRoute(projectId);
+    const info = await initAudio(route.inputId);
+    el.sr.textContent = `${info.sampleRate}Hz`;
+    estimatedLatency = info.baseLatency
+      ? `${((info.baseLatency + (info.outputLatency || 0)) * 1000).toFixed(1)}ms`
+      : '--ms';
+    await restoreRoute(route);
+    await inputChanged();
+    el.calibrate.disabled = false;
     
     // Initialize visualizer
     const visualizerContainer = document.getElementById('visualizer')!;
@@ -71,8 +269,22 @@ el.start.addEventListener('click', async () => {
     if (state.ctx && state.processor) {
       visualizer.connect(state.ctx, state.processor);
     }
+    onLoudnessBlock((power, peak) => {
+      liveLoudness.addBlock(power, peak);
+      visualizer?.setLoudness(liveLoudness.reading());
+    });
     
+    const refreshHUD = () => {
+      updateRingHUD(getRingStats());
+      updateXrunHUD(getXrunStats());
+    };
+    refreshHUD();
+    clearInterval(hudTimer);
+    hudTimer = setInterval(refreshHUD, 1000);
+
     el.record.disabled = false;
+    el.play.disabled = false;
+    el.capture.disabled = false;
     el.exportBtn.disabled = false;
     el.save.disabled = false;
     log('Audio initialized successfully');
@@ -87,11 +299,49 @@ el.start.addEventListener('click', async () => {
   }
 });
 
+el.play.addEventListener('click', async () => {
+  const { ctx } = getState();
+  if (!ctx) return;
+  el.play.disabled = true;
+  el.stop.disabled = false;
+  await startTransport(ctx, session, projectId);
+  log('Playing session');
+});
+
+// Room for this much 32-bit audio is checked for before a take starts, and again every few seconds
+// while it runs; once less than RECORD_STOP_S would fit, the take is stopped and kept
+const RECORD_RESERVE_S = 10 * 60;
+const RECORD_STOP_S = 60;
+const SPACE_POLL_MS = 10_000;
+let spaceTimer: ReturnType<typeof setInterval> | undefined;
+
+function watchSpace(bytesPerSecond: number) {
+  let warned = false;
+  clearInterval(spaceTimer);
+  spaceTimer = setInterval(async () => {
+    if (!warned) warned = !(await checkSpace(bytesPerSecond * RECORD_RESERVE_S));
+    if (warned && !(await checkSpace(bytesPerSecond * RECORD_STOP_S)) && recordingActive) {
+      log('Stopping the take while it still fits in storage');
+      el.stop.click();
+    }
+  }, SPACE_POLL_MS);
+}
+
 el.record.addEventListener('click', async () => {
   el.record.disabled = true;
+  el.play.disabled = true;
   el.stop.disabled = false;
-  await startRecording();
-  log('Recording started...');
+  el.layout.disabled = true;
+  el.calibrate.disabled = true;
+  el.inputDevice.disabled = true;
+  // Overdub: existing tracks play back from the playhead, aligned with the first recorded frame
+  recordingActive = true;
+  liveLoudness.reset();
+  const { sampleRate, inputChannels } = getState();
+  await checkSpace(sampleRate * inputChannels * 4 * RECORD_RESERVE_S); // warns, doesn't stop the take
+  watchSpace(sampleRate * inputChannels * 4);
+  await startTransport(getState().ctx!, session, projectId, (at) => startRecording(projectId, at));
+  log(getTransport().countInBars ? 'Counting in...' : 'Recording started...');
   
   // Add recording animation
   el.record.classList.add('recording');
@@ -99,83 +349,703 @@ el.record.addEventListener('click', async () => {
 });
 
 el.stop.addEventListener('click', async () => {
-  await stopRecording();
+  stopTransport();
   el.stop.disabled = true;
+  el.play.disabled = false;
+  if (!recordingActive) return;
+  recordingActive = false;
+  clearInterval(spaceTimer);
+  const take = await stopRecording();
+  if (take) await addTake(take.path, takePasses(take.frames / getState().sampleRate));
   el.record.disabled = false;
-  log('Recording stopped');
+  el.layout.disabled = false;
+  el.calibrate.disabled = false;
+  el.inputDevice.disabled = false;
+  log(take ? `Recording stopped: ${take.path}` : 'Recording stopped');
+  if (take?.markers.length) log(`Take has ${take.markers.length} dropout(s), marked in the file`);
   
   // Remove recording animation
   el.record.classList.remove('recording');
   document.body.classList.remove('recording-active');
 });
 
+// Transport: tempo map, metronome, count-in, loop and the position readout
+function showTempo(tempo: TempoMap) {
+  el.tempo.value = String(tempo[0].bpm);
+  el.timeSignature.value = `${tempo[0].num}/${tempo[0].den}`;
+  updateLoop();
+}
+
+// The controls edit the first segment; later tempo or meter changes in the map are kept
+function setTempo() {
+  const bpm = Number(el.tempo.value);
+  const [num, den] = el.timeSignature.value.split('/').map(Number);
+  if (!(bpm >= 20 && bpm <= 300)) return showTempo(session.tempo);
+  apply({ kind: 'tempo-set', payload: { tempo: [{ ...session.tempo[0], bpm, num, den }, ...session.tempo.slice(1)] } });
+}
+
+function updateLoop() {
+  const on = el.loop.classList.contains('active');
+  const startBar = Math.max(1, Number(el.loopStart.value) || 1);
+  const endBar = Math.max(startBar + 1, Number(el.loopEnd.value) || startBar + 1);
+  el.loopEnd.value = String(endBar);
+  setLoop({ on, start: barToSeconds(session.tempo, startBar - 1), end: barToSeconds(session.tempo, endBar - 1) });
+}
+
+el.tempo.addEventListener('change', setTempo);
+el.timeSignature.addEventListener('change', setTempo);
+el.metronome.addEventListener('click', () => setMetronome(el.metronome.classList.toggle('active')));
+el.countIn.addEventListener('change', () => setCountIn(Number(el.countIn.value)));
+el.loop.addEventListener('click', () => {
+  el.loop.classList.toggle('active');
+  updateLoop();
+});
+el.loopStart.addEventListener('change', updateLoop);
+el.loopEnd.addEventListener('change', updateLoop);
+el.rewind.addEventListener('click', () => setPlayhead(0));
+
+setInterval(() => {
+  const pos = position();
+  el.posBars.textContent = pos < 0 ? 'count-in' : formatBarBeat(secondsToBarBeat(session.tempo, pos));
+  el.posTime.textContent = formatTimecode(pos);
+}, 50);
+
+// Device routing: pickers, per-project memory and hot-plug recovery
+let estimatedLatency = '--ms';
+let outputLabel = 'default';
+
+async function restoreRoute(route: Route) {
+  const { inputs, outputs } = await listDevices();
+  const input = matchDevice(inputs, route.inputId, route.inputLabel);
+  if (input && input.deviceId !== getState().deviceId) await setInputDevice(input.deviceId);
+  const output = matchDevice(outputs, route.outputId, route.outputLabel);
+  if (output && canSelectOutput()) {
+    try {
+      await setOutputDevice(output.deviceId);
+      outputLabel = output.label;
+    } catch {}
+  }
+}
+
+async function refreshDevices() {
+  const { inputs, outputs } = await listDevices();
+  const { deviceId, sinkId } = getState();
+  el.inputDevice.innerHTML = '';
+  inputs.forEach((d, i) => el.inputDevice.add(new Option(d.label || `Input ${i + 1}`, d.deviceId, false, d.deviceId === deviceId)));
+  el.outputDevice.innerHTML = '';
+  el.outputDevice.add(new Option('System default output', '', false, !sinkId));
+  outputs
+    .filter((d) => d.deviceId !== 'default')
+    .forEach((d, i) => el.outputDevice.add(new Option(d.label || `Output ${i + 1}`, d.deviceId, false, d.deviceId === sinkId)));
+  el.inputDevice.disabled = false;
+  el.outputDevice.disabled = !canSelectOutput();
+  el.outputDevice.title = canSelectOutput() ? 'Output device' : 'Output selection (setSinkId) not supported in this browser';
+  el.device.textContent = `${getState().deviceLabel ?? 'Unknown Device'} → ${outputLabel === 'default' ? 'Default output' : outputLabel}`;
+}
+
+// Re-derive everything that depends on the active input: channel layouts and latency compensation
+async function inputChanged() {
+  const { inputChannels } = getState();
+  const options = layoutOptions(inputChannels);
+  el.layout.innerHTML = '';
+  options.forEach((o, i) => el.layout.add(new Option(o.label, String(i))));
+  el.layout.onchange = () => {
+    setChannelLayout(options[Number(el.layout.value)].layout);
+    captureChanged();
+  };
+  setChannelLayout(options[0].layout);
+  captureChanged();
+  el.layout.disabled = el.stop.disabled === false;
+  await routeChanged();
+}
+
+// Calibration belongs to the input/output pair, so it is looked up again when either changes
+async function routeChanged() {
+  const { deviceLabel } = getState();
+  el.base.textContent = estimatedLatency;
+  setLatencyCompensation(0);
+  const cal = await loadCalibration(deviceLabel, outputLabel);
+  if (cal) applyCalibration(cal);
+  await refreshDevices();
+}
+
+async function rememberRoute() {
+  const { deviceId, deviceLabel, sinkId } = getState();
+  await saveRoute(projectId, { inputId: deviceId, inputLabel: deviceLabel, outputId: sinkId, outputLabel });
+}
+
+el.inputDevice.addEventListener('change', async () => {
+  try {
+    await setInputDevice(el.inputDevice.value);
+    await inputChanged();
+    await rememberRoute();
+    log(`Input: ${getState().deviceLabel}`);
+  } catch (e) {
+    log('Input switch failed: ' + (e as Error).message);
+    await refreshDevices();
+  }
+});
+
+el.outputDevice.addEventListener('change', async () => {
+  try {
+    await setOutputDevice(el.outputDevice.value);
+    outputLabel = el.outputDevice.value ? el.outputDevice.selectedOptions[0].text : 'default';
+    await routeChanged();
+    await rememberRoute();
+    log(`Output: ${el.outputDevice.selectedOptions[0].text}`);
+  } catch (e) {
+    log('Output switch failed: ' + (e as Error).message);
+    await refreshDevices();
+  }
+});
+
+// An unplugged interface ends its track and fires devicechange; fall back to the defaults
+async function rerouteIfMissing() {
+  const { ctx, deviceId, deviceLabel, sinkId } = getState();
+  if (!ctx) return;
+  const { inputs, outputs } = await listDevices();
+  let inputGone = false;
+  let outputGone = false;
+  const inputLive = stateOfInput() === 'live' && inputs.some((d) => d.deviceId === deviceId);
+  if (!inputLive) {
+    inputGone = true;
+    try {
+      await setInputDevice();
+      log(`Input "${deviceLabel}" disconnected; switched to ${getState().deviceLabel}`);
+    } catch (e) {
+      log('No input available: ' + (e as Error).message);
+    }
+  }
+  if (sinkId && !outputs.some((d) => d.deviceId === sinkId)) {
+    outputGone = true;
+    await setOutputDevice('');
+    log(`Output "${outputLabel}" disconnected; switched to the default output`);
+    outputLabel = 'default';
+  }
+  if (inputGone) await inputChanged();
+  else if (outputGone) await routeChanged();
+  else await refreshDevices();
+}
+
+function stateOfInput() {
+  return getState().input?.mediaStream.getAudioTracks()[0]?.readyState ?? 'ended';
+}
+
+onDeviceChange(() => rerouteIfMissing());
+onInputEnded(() => rerouteIfMissing());
+
+function applyCalibration(cal: Calibration) {
+  const frames = Math.round(cal.frames * (getState().sampleRate / cal.sampleRate));
+  setLatencyCompensation(frames);
+  el.base.textContent = `RT ${cal.ms.toFixed(1)}ms`;
+}
+
+// Shorter leftovers of a loop pass (stopping just after the loop wrapped) are not kept as takes
+const MIN_PASS_S = 0.25;
+
+// New takes stack on the armed track, one per loop pass, and the latest pass over each stretch
+// goes into the comp; with no track armed they land on a new track. Sessions from before arming
+// was exclusive may have several armed; the first one gets the take
+async function addTake(path: string, passes: ReturnType<typeof takePasses>, label = 'Record') {
+  const ops: SessionOp[] = [];
+  let armed = session.tracks.find((t) => t.armed);
+  if (!armed) {
+    armed = newTrack(`Track ${session.tracks.length + 1}`, true);
+    ops.push({ kind: 'track-add', payload: armed });
+  }
+  const kept = passes.filter((p, i) => i === 0 || p.duration >= MIN_PASS_S);
+  const sourceDuration = Math.max(...passes.map((p) => p.offset + p.duration));
+  for (const pass of kept) {
+    const take = { id: newId(), path, ...pass, sourceDuration };
+    const range = { start: take.start, end: take.start + take.duration };
+    ops.push({ kind: 'take-add', payload: { trackId: armed.id, take } });
+    ops.push({ kind: 'comp-set', payload: { trackId: armed.id, takeId: take.id, ...range, id: newId() } });
+  }
+  await act(label, ops); // one undo step for the whole take
+  if (kept.length > 1) log(`Loop recording: ${kept.length} takes stacked`);
+}
+
+// Retroactive capture: the worklet keeps the last minute or so of input; this turns it into a take,
+// lined up with whatever the transport was playing while it was heard, else at the playhead
+el.captureSeconds.addEventListener('change', () => {
+  setCaptureSeconds(Number(el.captureSeconds.value));
+  captureChanged();
+});
+
+// The buffer is capped in memory, so many input channels keep less than the chosen length; it also
+// needs SharedArrayBuffer
+function captureChanged() {
+  const asked = Number(el.captureSeconds.value);
+  const kept = captureLength();
+  if (!asked) return;
+  if (!kept) log('Capture unavailable: needs cross-origin isolation (SharedArrayBuffer)');
+  else if (kept < asked - 0.5) log(`Capture buffer limited to ${kept.toFixed(0)}s for this many input channels`);
+}
+el.takeFormat.addEventListener('change', () => setTakeFormat(el.takeFormat.value as TakeFormat));
+
+el.capture.addEventListener('click', async () => {
+  el.capture.disabled = true;
+  try {
+    const take = await captureRecent(projectId);
+    if (!take) return log('Nothing captured yet (is the capture buffer on?)');
+    const duration = take.frames / getState().sampleRate;
+    const start = alignToTimeline(take.end - duration, take.end) ?? getTransport().playhead;
+    const offset = Math.max(0, -start);
+    await addTake(take.path, [{ start: start + offset, offset, duration: duration - offset }], 'Capture');
+    log(`Captured the last ${duration.toFixed(1)}s: ${take.path}`);
+  } catch (e) {
+    log('Capture failed: ' + (e as Error).message);
+  } finally {
+    el.capture.disabled = false;
+  }
+});
+
+el.calibrate.addEventListener('click', async () => {
+  const { ctx, input, deviceLabel } = getState();
+  if (!ctx || !input) return;
+  if (!confirm('Connect the output to the input (loopback cable, or mic close to the speaker) and press OK.')) return;
+  el.calibrate.disabled = true;
+  el.record.disabled = true;
+  setMonitoring(false);
+  try {
+    const cal = await measureRoundTrip(ctx, input);
+    await saveCalibration(cal, deviceLabel, outputLabel);
+    applyCalibration(cal);
+    log(`Round-trip latency ${cal.ms.toFixed(1)}ms (${cal.frames} frames); new takes are shifted to match`);
+  } catch (e) {
+    log('Calibration failed: ' + (e as Error).message);
+  } finally {
+    setMonitoring(true);
+    el.calibrate.disabled = false;
+    el.record.disabled = false;
+  }
+});
+
+// Export renders the session mix offline when there is one, otherwise the last raw take
+let lastExport: ArrayBuffer | null = null;
+
+function renderRange() {
+  if (!el.renderFrom.value && !el.renderTo.value) return undefined;
+  const start = Number(el.renderFrom.value) || 0;
+  const end = el.renderTo.value ? Number(el.renderTo.value) : sessionDuration(session);
+  return { start, end };
+}
+
+async function renderSessionWav(opts: WavOptions): Promise<ArrayBuffer | null> {
+  if (!session.tracks.some((t) => t.clips.length)) return null;
+  const { sampleRate } = getState();
+  const range = renderRange();
+  // One bar for the whole export: the mix and each stem take an equal share of it
+  const stems = el.exportStems.checked ? stemTracks(session).length : 0;
+  const share = 1 / (1 + stems);
+  el.renderProgress.hidden = false;
+  try {
+    const mix = await renderMix(session, projectId, { range, sampleRate, onProgress: (f) => { el.renderProgress.value = f * share; } });
+    if (stems) {
+      const onProgress = (f: number) => { el.renderProgress.value = share + f * (1 - share); };
+      for (const { name, buffer } of await renderStems(session, projectId, { range, sampleRate, onProgress })) {
+        const path = `renders/stems/${name}.wav`;
+        await saveFile(projectFile(path, projectId), encodeWAV(bufferChannels(buffer), buffer.sampleRate, opts));
+        log(`Saved stem: ${path}`);
+      }
+    }
+    return encodeWAV(await levelExport(bufferChannels(mix), mix.sampleRate), mix.sampleRate, opts);
+  } finally {
+    el.renderProgress.hidden = true;
+  }
+}
+
+// With a target chosen the exported mix is normalized, with true peaks limited to -1 dBTP, and its
+// loudness before and after goes to the log. This happens on float samples, before dither or
+// encoding, in a worker; without a target nothing is measured (the file browser can, on request).
+async function levelExport(channels: Float32Array[], sampleRate: number): Promise<Float32Array[]> {
+  if (!el.exportNormalize.value) return channels;
+  const target = Number(el.exportNormalize.value);
+  const res = await normalize(channels, sampleRate, { target });
+  log(`Loudness: ${formatLoudness(res.before)}`);
+  if (!Number.isFinite(res.before.integrated)) {
+    log('Nothing loud enough to normalize');
+    return channels;
+  }
+  const limited = res.limited ? ', true peak limited' : '';
+  log(`Normalized to ${target} LUFS (${res.gainDb >= 0 ? '+' : ''}${res.gainDb.toFixed(1)} dB${limited}): ${formatLoudness(res.after)}`);
+  return res.channels;
+}
+
+// Compressed formats and FLAC are encoded from a float render of the same mix. Bitrate (and for
+// Opus, complexity) only show for the formats they apply to; choosing a format that will need the
+// ffmpeg.wasm fallback starts loading it.
+const LOSSY: EncodeFormat[] = ['opus', 'mp3', 'aac'];
+const EXPORT_TYPES = {
+  wav: { ext: 'wav', mime: 'audio/wav' },
+  flac: { ext: 'flac', mime: 'audio/flac' }
+};
+let lastExportType = EXPORT_TYPES.wav;
+
+function showExportOptions() {
+  const kind = el.exportFormat.value.split(':')[0];
+  el.exportBitrate.hidden = !LOSSY.includes(kind as EncodeFormat);
+  el.exportComplexity.hidden = kind !== 'opus';
+}
+el.exportFormat.addEventListener('change', async () => {
+  showExportOptions();
+  const kind = el.exportFormat.value.split(':')[0] as EncodeFormat;
+  if (!LOSSY.includes(kind)) return;
+  const choice = await chooseEncoder(kind);
+  updateEncoderHUD(kind, choice);
+  if (choice.encoder === 'ffmpeg') loadFFmpeg().catch((e) => log('ffmpeg.wasm failed to load: ' + e.message));
+});
+showExportOptions();
+
 el.exportBtn.addEventListener('click', async () => {
-  const wav = await exportWav();
-  if (!wav) { log('Nothing to export'); return; }
-  const blob = new Blob([wav], { type: 'audio/wav' });
+  const [kind, variant] = el.exportFormat.value.split(':');
+  const lossy = LOSSY.includes(kind as EncodeFormat);
+  const flac = kind === 'flac';
+  const opts: WavOptions =
+    lossy || flac ? { bitDepth: 32 } : { bitDepth: Number(kind) as BitDepth, dither: variant as Dither };
+  let out: ArrayBuffer | null;
+  let type = flac ? EXPORT_TYPES.flac : EXPORT_TYPES.wav;
+  let detail = '';
+  try {
+    out = (await renderSessionWav(opts)) ?? (await exportWav(opts, levelExport));
+    if (out && lossy) {
+      const bitrate = Number(el.exportBitrate.value);
+      el.renderProgress.hidden = false;
+      try {
+        const res = await encode(out, {
+          format: kind as EncodeFormat, container: variant === 'webm' ? 'webm' : 'ogg', bitrate,
+          complexity: Number(el.exportComplexity.value), onProgress: (f) => { el.renderProgress.value = f; }
+        });
+        updateEncoderHUD(kind as EncodeFormat, res);
+        out = res.data;
+        type = res;
+        detail = `, ${bitrate / 1000} kbps via ${res.encoder === 'webcodecs' ? 'WebCodecs' : 'ffmpeg.wasm'}`;
+        if (res.note) {
+          log(res.note);
+          detail += ' (complexity lowered)';
+        }
+      } finally {
+        el.renderProgress.hidden = true;
+      }
+    }
+    if (out && flac) {
+      const bitDepth = variant === '16' ? 16 : 24;
+      const dither = bitDepth === 16 ? 'tpdf' : 'none';
+      out = await wavToFlac(out, { bitDepth, dither, comments: [['TITLE', projectName(projectId)]] });
+    }
+  } catch (e) {
+    log('Render failed: ' + (e as Error).message);
+    return;
+  }
+  if (!out) { log('Nothing to export'); return; }
+  lastExport = out;
+  lastExportType = { ext: type.ext, mime: type.mime };
+  const blob = new Blob([out], { type: lastExportType.mime });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
-  a.download = 'wasmix-recording.wav';
+  a.download = `wasmix-recording.${lastExportType.ext}`;
   a.click();
   URL.revokeObjectURL(url);
-  log('Exported WAV');
+  log(`Exported ${el.exportFormat.selectedOptions[0].text}${detail} (${out.byteLength} bytes)`);
 });
 
 el.save.addEventListener('click', async () => {
-  const state = getState();
-  if (!state.lastWav) { log('Export WAV first'); return; }
-  await saveFile('renders/mixdown.wav', state.lastWav);
+  if (!lastExport) { log('Export first'); return; }
+  const path = `renders/mixdown.${lastExportType.ext}`;
+  await saveFile(projectFile(path, projectId), lastExport);
   // journal (best-effort)
   try {
-    const { append } = await import('./modules/journal');
-    await append('default', { ts: Date.now(), kind: 'save-render', payload: { path: 'renders/mixdown.wav', bytes: state.lastWav.byteLength } });
+    await append(projectId, { ts: Date.now(), kind: 'save-render', payload: { path, bytes: lastExport.byteLength } });
   } catch {}
-  log('Saved to OPFS: renders/mixdown.wav');
+  log(`Saved to OPFS: ${path}`);
   await refreshList();
 });
 
+// File browser over the open project's folder
+let browseFolder = '';
+
 async function refreshList() {
-  const arr = await listFiles('renders');
-  el.files.innerHTML = '';
-  
-  if (arr.length === 0) {
-    el.files.innerHTML = '<div style="text-align: center; color: var(--text-dim); padding: var(--space-lg);">No files yet. Record something first!</div>';
-  } else {
-    for (const f of arr) {
-      const fileItem = document.createElement('div');
-      fileItem.className = 'file-item';
-      fileItem.textContent = f;
-      fileItem.addEventListener('click', () => {
-        // Highlight selected file
-        document.querySelectorAll('.file-item').forEach(item => item.classList.remove('selected'));
-        fileItem.classList.add('selected');
-      });
-      el.files.appendChild(fileItem);
+  const entries = await listFiles(projectFile(browseFolder, projectId));
+  renderFiles(el.files, projectFile('', projectId), browseFolder, entries, {
+    open: (folder) => { browseFolder = folder; refreshList(); },
+    add: (path, info) => addFileTrack(path, info.duration),
+    loudness: measureFile,
+    download: downloadFile,
+    rename: renamePath,
+    remove: removeFile
+  });
+}
+el.list.addEventListener('click', refreshList);
+ready.then(refreshList);
+
+// Files the session or its undo history point at, and the project's own state, can't be renamed or
+// deleted from here
+function inUse(path: string) {
+  if (isStatePath(path)) {
+    log(`${path} is part of the project's state`);
+    return true;
+  }
+  if (!referencedPaths(history).has(path)) return false;
+  log(`${path} is used by the session`);
+  return true;
+}
+
+async function downloadFile(entry: FileEntry) {
+  const url = URL.createObjectURL(new Blob([await loadFile(entry.path)]));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = entry.name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+async function measureFile(path: string) {
+  try {
+    const { sampleRate, channels } = await decodeAudioFile(projectFile(path, projectId));
+    log(`${path}: ${formatLoudness(await measure(channels, sampleRate))}`);
+  } catch (e) {
+    log('Loudness analysis failed: ' + (e as Error).message);
+  }
+}
+
+async function renamePath(path: string) {
+  if (inUse(path)) return;
+  const name = prompt('Rename file', path.split('/').pop());
+  if (!name || name.includes('/')) return;
+  try {
+    await renameFile(projectFile(path, projectId), name);
+  } catch (e) {
+    log('Rename failed: ' + (e as Error).message);
+  }
+  await refreshList();
+}
+
+async function removeFile(path: string) {
+  if (inUse(path) || !confirm(`Delete ${path}?`)) return;
+  stopPreview();
+  await removePath(projectFile(path, projectId));
+  log(`Deleted ${path}`);
+  await refreshList();
+}
+
+// Import: files picked or dropped on the window are decoded, stored under imports/ and each put on
+// a new track at the playhead
+// Where each stage starts within one file's share of the progress bar, and how much of it it takes
+const IMPORT_STAGES = { reading: [0, 0.5], decoding: [0.5, 0.3], saving: [0.8, 0.2] } as const;
+
+async function importFiles(files: File[]) {
+  if (!files.length) return;
+  el.importBtn.disabled = true;
+  el.importProgress.hidden = false;
+  try {
+    for (const [i, file] of files.entries()) {
+      try {
+        const res = await importAudio(file, projectId, {
+          targetRate: el.importResample.checked ? getState().sampleRate : undefined,
+          onProgress: (stage, f) => {
+            const [from, share] = IMPORT_STAGES[stage];
+            el.importProgress.value = (i + from + f * share) / files.length;
+            el.importProgress.title = `${file.name}: ${stage}`;
+          }
+        });
+        const rate = `${res.sampleRate} Hz${res.resampled ? ', resampled' : ''}`;
+        log(`Imported ${file.name} (${formatTimecode(res.duration)}, ${rate})`);
+        await addFileTrack(res.path, res.duration);
+      } catch (e) {
+        log('Import failed: ' + (e as Error).message);
+      }
     }
+  } finally {
+    el.importBtn.disabled = false;
+    el.importProgress.hidden = true;
+    await refreshList();
   }
-  el.load.disabled = arr.length === 0;
 }
-el.list.addEventListener('click', refreshList);
 
-el.load.addEventListener('click', async () => {
-  const buf = await loadLatest('renders');
-  if (!buf) { log('No file'); return; }
-  const ctx = getState().ctx;
-  if (!ctx) return;
-  const audioBuf = await ctx.decodeAudioData(buf.slice(0));
-  const src = new AudioBufferSourceNode(ctx, { buffer: audioBuf });
-  src.connect(ctx.destination);
-  src.start();
-  log('Playing latest OPFS render');
+el.importBtn.addEventListener('click', () => el.importFile.click());
+el.importFile.addEventListener('change', () => {
+  const files = Array.from(el.importFile.files ?? []);
+  el.importFile.value = '';
+  importFiles(files);
+});
+document.addEventListener('dragover', (e) => {
+  if (!e.dataTransfer?.types.includes('Files')) return;
+  e.preventDefault();
+  document.body.classList.add('drop-target');
+});
+document.addEventListener('dragleave', (e) => {
+  if (!e.relatedTarget) document.body.classList.remove('drop-target');
 });
+document.addEventListener('drop', (e) => {
+  if (!e.dataTransfer?.files.length) return;
+  e.preventDefault();
+  document.body.classList.remove('drop-target');
+  importFiles(Array.from(e.dataTransfer.files));
+});
+
+// A stored file on a new track of its own, starting at the playhead
+async function addFileTrack(path: string, duration: number) {
+  const name = path.split('/').pop()!.replace(/\.[^.]+$/, '');
+  const clip = { id: newId(), path, start: getTransport().playhead, offset: 0, duration };
+  await act(`Add ${name}`, [{ kind: 'track-add', payload: { ...newTrack(name), clips: [clip] } }]);
+  log(`Added ${path} to the session`);
+}
 
 function log(s: string) {
   el.log.textContent = `[${new Date().toLocaleTimeString()}] ${s}\n` + el.log.textContent;
 }
 
+// Dropouts go to the project journal as they happen
+onXrunEvent(async (ev) => {
+  try {
+    await append(projectId, { ts: ev.ts, kind: 'xrun', payload: ev });
+  } catch {}
+});
+
+// Takes interrupted by a crash keep their PCM; give them a valid header again
+ready
+  .then(() => recoverTakes(projectId))
+  .then((paths) => {
+    if (paths.length) log(`Recovered ${paths.length} interrupted take(s): ${paths.join(', ')}`);
+  })
+  .catch((e) => log('Take recovery failed: ' + e.message));
+
 // CRDT notes
-initNotes(el.notes, el.docid);
+ready.then(() => initNotes(el.notes, el.docid, projectId, log));
+
+// Projects: the list, and switching/creating/copying/renaming/deleting them
+let selectedProject = projectId;
+let projects: ProjectMeta[] = [];
+
+function showProjects() {
+  renderProjects(el.projects, projects, projectId, selectedProject, (id) => {
+    selectedProject = id;
+    showProjects();
+  });
+}
+
+async function refreshProjects() {
+  projects = await listProjects();
+  if (!projects.some((p) => p.id === selectedProject)) selectedProject = projectId;
+  showProjects();
+}
+
+function openProject(id: string) {
+  setActiveProject(id);
+  location.reload();
+}
+
+function projectName(id: string) {
+  return projects.find((p) => p.id === id)?.name ?? id;
+}
+
+el.projectNew.addEventListener('click', async () => {
+  const name = prompt('Project name', `Project ${projects.length + 1}`);
+  if (!name) return;
+  openProject((await createProject(name)).id);
+});
+
+el.projectOpen.addEventListener('click', () => {
+  if (selectedProject !== projectId) openProject(selectedProject);
+});
+
+el.projectDuplicate.addEventListener('click', async () => {
+  const name = prompt('Name of the copy', `${projectName(selectedProject)} copy`);
+  if (!name) return;
+  const copy = await duplicateProject(selectedProject, name);
+  log(`Duplicated "${projectName(selectedProject)}" as "${copy.name}"`);
+  selectedProject = copy.id;
+  await refreshProjects();
+});
+
+el.projectRename.addEventListener('click', async () => {
+  const name = prompt('Rename project', projectName(selectedProject));
+  if (!name) return;
+  await renameProject(selectedProject, name);
+  await refreshProjects();
+});
+
+el.projectDelete.addEventListener('click', async () => {
+  const name = projectName(selectedProject);
+  if (!confirm(`Delete "${name}" with all its takes, renders and history?`)) return;
+  await deleteProject(selectedProject);
+  log(`Deleted project "${name}"`);
+  if (selectedProject === projectId) {
+    location.reload();
+    return;
+  }
+  selectedProject = projectId;
+  await refreshProjects();
+});
+
+// Bundles: a project as one zip, to move it to another browser or machine
+el.projectExport.addEventListener('click', async () => {
+  const name = projectName(selectedProject);
+  try {
+    const { data, missing } = await exportProject(selectedProject);
+    if (missing.length) log(`Exported without missing audio: ${missing.join(', ')}`);
+    const url = URL.createObjectURL(new Blob([data], { type: 'application/zip' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${name.replace(/[^\w.-]+/g, '_')}.wasmix.zip`;
+    a.click();
+    URL.revokeObjectURL(url);
+    log(`Exported project "${name}" (${data.length} bytes)`);
+  } catch (e) {
+    log('Project export failed: ' + (e as Error).message);
+  }
+});
+
+el.projectImport.addEventListener('click', () => el.projectImportFile.click());
+el.projectImportFile.addEventListener('change', async () => {
+  const file = el.projectImportFile.files?.[0];
+  el.projectImportFile.value = '';
+  if (!file) return;
+  try {
+    const meta = await importProject(new Uint8Array(await file.arrayBuffer()), async (existing) => {
+      if (confirm(`"${existing.name}" is already here. Import as a copy? (Cancel to choose replace)`)) return 'copy';
+      return confirm(`Replace "${existing.name}" with the imported project?`) ? 'replace' : 'cancel';
+    });
+    if (!meta) { log('Import cancelled'); return; }
+    log(`Imported project "${meta.name}"`);
+    if (meta.id === projectId) { location.reload(); return; }
+    selectedProject = meta.id;
+    await refreshProjects();
+  } catch (e) {
+    log('Project import failed: ' + (e as Error).message);
+  }
+});
+
+ready.then(refreshProjects);
+
+// Storage: quota, persistence, usage per project and cleanup of what the open project no longer uses
+onQuotaWarning(log);
+
+async function refreshStorage() {
+  const [status, usage, items] = await Promise.all([
+    storageStatus(), projectUsage(), cleanupCandidates(projectId, history)
+  ]);
+  renderStorage(el.storage, status, usage, items, cleanUp);
+}
+
+async function cleanUp(item: CleanupItem) {
+  if (recordingActive) { log('Stop recording before cleaning up'); return; }
+  // Look again, in case the session changed since the panel was drawn
+  const fresh = (await cleanupCandidates(projectId, history)).find((i) => i.kind === item.kind)!;
+  if (!fresh.paths.length) return refreshStorage();
+  if (!confirm(`Delete ${fresh.paths.length} file(s) from this project?`)) return;
+  const freed = await cleanup(projectId, fresh);
+  log(`Cleaned up ${fresh.paths.length} file(s), ${(freed / 1024 / 1024).toFixed(1)} MB freed`);
+  await refreshStorage();
+  await refreshProjects();
+}
+
+el.persist.addEventListener('click', async () => {
+  log((await requestPersistence()) ? 'Storage is persistent' : 'The browser declined persistent storage');
+  await refreshStorage();
+});
+el.storageRefresh.addEventListener('click', refreshStorage);
 
 // MIDI
 el.midiBtn.addEventListener('click', () => setupMIDI(el.midiList));
@@ -0,0 +1,106 @@
+import { loadFile, openFile, type FileEntry } from './opfs';
+import { parseWAV, readWavInfo, wavPeak } from './wav';
+import { decodeFlac, isFlac } from './lossless';
+import { decodeFlacFrameIn, readFlacInfo } from './flac';
+
+// Duration, format and a waveform outline of stored audio, for the file browser. Results are kept
+// per path and modification time, so a folder is only analysed once until its files change. Files
+// are analysed one at a time, and WAV and FLAC only read their header plus a short stretch per
+// thumbnail bin, so opening a folder of long takes doesn't load them all into memory at once.
+export type AudioFileInfo = { duration: number; sampleRate: number; channels: number; peaks: Float32Array };
+
+const PEAK_BINS = 120;
+const HEAD_BYTES = 64 * 1024;
+const WAV_WINDOW_FRAMES = 4096;
+const FLAC_WINDOW_BYTES = 64 * 1024; // comfortably more than one frame
+const AUDIO_EXT = /\.(wav|wave|ogg|oga|opus|webm|flac|mp3|m4a|aac)$/i;
+const cache = new Map<string, Promise<AudioFileInfo | null>>();
+let queue: Promise<unknown> = Promise.resolve();
+
+export function isAudioFile(name: string) {
+  return AUDIO_EXT.test(name);
+}
+
+/** Info for an audio file, or null if it can't be read as audio. */
+export function audioFileInfo(entry: FileEntry): Promise<AudioFileInfo | null> {
+  const key = `${entry.path}:${entry.modified}`;
+  let info = cache.get(key);
+  if (!info) {
+    info = queue.then(() => analyse(entry.path)).catch(() => null);
+    queue = info;
+    cache.set(key, info);
+  }
+  return info;
+}
+
+async function analyse(path: string): Promise<AudioFileInfo> {
+  if (/\.wave?$/i.test(path)) return wavFileInfo(await openFile(path));
+  if (isFlac(path)) {
+    const sampled = await flacFileInfo(await openFile(path)).catch(() => null); // e.g. a large ID3 tag in front
+    if (sampled) return sampled;
+  }
+  const { sampleRate, channels } = await decode(path, await loadFile(path));
+  return { duration: (channels[0]?.length ?? 0) / sampleRate, sampleRate, channels: channels.length, peaks: peaksOf(channels) };
+}
+
+// Each bin's peak comes from up to WAV_WINDOW_FRAMES frames at its start: exact for short files
+async function wavFileInfo(file: File): Promise<AudioFileInfo> {
+  const info = readWavInfo(await file.slice(0, HEAD_BYTES).arrayBuffer(), file.size);
+  const block = info.numChannels * (info.bitDepth / 8);
+  const peaks = new Float32Array(PEAK_BINS);
+  for (let bin = 0; bin < PEAK_BINS; bin++) {
+    const from = Math.floor((bin / PEAK_BINS) * info.frames);
+    const to = Math.min(Math.floor(((bin + 1) / PEAK_BINS) * info.frames), from + WAV_WINDOW_FRAMES);
+    const start = info.dataOffset + from * block;
+    peaks[bin] = wavPeak(await file.slice(start, info.dataOffset + to * block).arrayBuffer(), info);
+  }
+  return { duration: info.frames / info.sampleRate, sampleRate: info.sampleRate, channels: info.numChannels, peaks };
+}
+
+// One frame from a stretch of the file at each bin; null (decode it all) when STREAMINFO doesn't
+// know the length
+async function flacFileInfo(file: File): Promise<AudioFileInfo | null> {
+  const info = readFlacInfo(await file.slice(0, HEAD_BYTES).arrayBuffer());
+  if (!info.frames) return null;
+  const peaks = new Float32Array(PEAK_BINS);
+  for (let bin = 0; bin < PEAK_BINS; bin++) {
+    const start = Math.floor((bin / PEAK_BINS) * file.size);
+    const frame = decodeFlacFrameIn(await file.slice(start, start + FLAC_WINDOW_BYTES).arrayBuffer(), info);
+    for (const ch of frame ?? []) for (const s of ch) peaks[bin] = Math.max(peaks[bin], Math.abs(s));
+  }
+  return { duration: info.frames / info.sampleRate, sampleRate: info.sampleRate, channels: info.numChannels, peaks };
+}
+
+/** The samples of stored audio, e.g. for loudness analysis. */
+export async function decodeAudioFile(path: string): Promise<{ sampleRate: number; channels: Float32Array[] }> {
+  return decode(path, await loadFile(path));
+}
+
+async function decode(path: string, buf: ArrayBuffer) {
+  if (/\.wave?$/i.test(path)) {
+    const { info, channels } = parseWAV(buf);
+    return { sampleRate: info.sampleRate, channels };
+  }
+  if (isFlac(path)) {
+    const { info, channels } = await decodeFlac(buf);
+    return { sampleRate: info.sampleRate, channels };
+  }
+  // Anything else goes through the browser's decoder, which resamples to the context rate; the
+  // duration is exact but the rate shown is the decode's, not necessarily the file's
+  const ctx = new OfflineAudioContext(1, 1, 48000);
+  const audio = await ctx.decodeAudioData(buf);
+  const channels = Array.from({ length: audio.numberOfChannels }, (_, c) => audio.getChannelData(c));
+  return { sampleRate: audio.sampleRate, channels };
+}
+
+function peaksOf(channels: Float32Array[]) {
+  const peaks = new Float32Array(PEAK_BINS);
+  for (const data of channels) {
+    for (let i = 0; i < data.length; i++) {
+      const bin = Math.min(PEAK_BINS - 1, Math.floor((i / data.length) * PEAK_BINS));
+      const s = Math.abs(data[i]);
+      if (s > peaks[bin]) peaks[bin] = s;
+    }
+  }
+  return peaks;
+}
@@ -0,0 +1,146 @@
+import { crc32 } from './crc32';
+import { zip, unzip, type ZipEntry } from './zip';
+import { loadFile, saveFile, walkFiles, exists, moveDir, removePath } from './opfs';
+import {
+  projectFile, projectMeta, writeMeta, projectExists, newProjectId, type ProjectMeta
+} from './projects';
+import { readHistory } from './history';
+import type { Session } from './session';
+
+// A project as one zip: manifest.json first, then the files it lists, at their paths inside the
+// project folder. Journal, snapshots and notes travel whole; of the audio, only what the session
+// refers to. Renders (which can be made again) and device routes (which belong to the machine)
+// stay behind.
+export type BundleManifest = {
+  format: typeof FORMAT;
+  version: number;
+  exported: number;
+  project: ProjectMeta;
+  session: Session; // state at export, to check the audio against without replaying the journal
+  files: { path: string; size: number; crc: number }[];
+};
+
+export type Conflict = 'replace' | 'copy' | 'cancel';
+
+const FORMAT = 'wasmix-project';
+const VERSION = 1;
+const MANIFEST = 'manifest.json';
+const STATE_FOLDERS = ['journal', 'snapshots'];
+const STATE_FILES = ['notes.automerge'];
+const STAGING = 'import-staging'; // imports are unpacked here before they replace anything
+
+/** Zip up a project; `missing` lists audio the session refers to that is no longer on disk. */
+export async function exportProject(id: string): Promise<{ data: Uint8Array; missing: string[] }> {
+  const project = await projectMeta(id);
+  const { history } = await readHistory(id);
+  const session = history.session;
+  const paths: string[] = [];
+  for (const folder of STATE_FOLDERS) {
+    if (await exists(projectFile(folder, id))) {
+      paths.push(...(await walkFiles(projectFile(folder, id))).map((p) => `${folder}/${p}`));
+    }
+  }
+  for (const path of STATE_FILES) if (await exists(projectFile(path, id))) paths.push(path);
+  const missing: string[] = [];
+  for (const path of audioPaths(session)) {
+    if (await exists(projectFile(path, id))) paths.push(path);
+    else missing.push(path);
+  }
+
+  const entries: ZipEntry[] = [];
+  for (const path of paths) entries.push({ name: path, data: new Uint8Array(await loadFile(projectFile(path, id))) });
+  const manifest: BundleManifest = {
+    format: FORMAT,
+    version: VERSION,
+    exported: Date.now(),
+    project: { ...project, size: undefined },
+    session,
+    files: entries.map((e) => ({ path: e.name, size: e.data.length, crc: crc32(e.data) }))
+  };
+  const head = { name: MANIFEST, data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) };
+  return { data: zip([head, ...entries]), missing };
+}
+
+/**
+ * Unpack a bundle into a project. Everything is checked before anything is written: zip CRCs, the
+ * manifest, that every listed file is there with the right size and checksum, and that all the
+ * audio the session uses came along. When a project with the same id exists, `onConflict` picks
+ * between replacing it, importing as a copy under a new id, or giving up (resolves null).
+ */
+export async function importProject(
+  bytes: Uint8Array,
+  onConflict: (existing: ProjectMeta) => Promise<Conflict>
+): Promise<ProjectMeta | null> {
+  const entries = new Map((await unzip(bytes)).map((e) => [e.name, e.data]));
+  const manifest = readManifest(entries.get(MANIFEST));
+  const files = manifest.files.map((f) => {
+    const data = entries.get(f.path);
+    if (!safePath(f.path)) throw new Error(`Bundle has an unsafe path: ${f.path}`);
+    if (!data) throw new Error(`Bundle is missing ${f.path}`);
+    if (data.length !== f.size || crc32(data) !== f.crc) throw new Error(`Bundle file is damaged: ${f.path}`);
+    return { path: f.path, data };
+  });
+  const listed = new Set(files.map((f) => f.path));
+  const absent = audioPaths(manifest.session).filter((p) => !listed.has(p));
+  if (absent.length) throw new Error(`Bundle is missing audio: ${absent.join(', ')}`);
+
+  let meta: ProjectMeta = { ...manifest.project, size: undefined };
+  let replace = false;
+  if (await projectExists(meta.id)) {
+    const choice = await onConflict(await projectMeta(meta.id));
+    if (choice === 'cancel') return null;
+    if (choice === 'copy') meta = { ...meta, id: newProjectId(), name: `${meta.name} (imported)` };
+    replace = choice === 'replace';
+  }
+  meta = { ...meta, modified: Date.now() };
+
+  // Unpack into a fresh staging folder, then swap it in: the project being replaced is moved aside
+  // and only deleted once the new one is in place, and put back if that fails
+  const staging = `${STAGING}/${meta.id}`;
+  const target = projectFile('', meta.id);
+  await removePath(staging).catch(() => {}); // left over from an import that failed
+  try {
+    for (const f of files) await saveFile(`${staging}/${f.path}`, f.data.slice().buffer as ArrayBuffer);
+  } catch (e) {
+    await removePath(staging).catch(() => {});
+    throw e;
+  }
+  const previous = `${STAGING}/${meta.id}.previous`;
+  if (replace) await moveDir(target, previous);
+  try {
+    await moveDir(staging, target);
+  } catch (e) {
+    await removePath(target).catch(() => {});
+    if (replace) await moveDir(previous, target);
+    throw new Error(`Import could not be put in place (${(e as Error).message}); the unpacked files are kept in ${staging}`);
+  }
+  await writeMeta(meta);
+  await removePath(STAGING).catch(() => {});
+  return meta;
+}
+
+function readManifest(data: Uint8Array | undefined): BundleManifest {
+  if (!data) throw new Error('Not a Wasmix project bundle (no manifest)');
+  let m: BundleManifest;
+  try {
+    m = JSON.parse(new TextDecoder().decode(data));
+  } catch {
+    throw new Error('Bundle manifest is unreadable');
+  }
+  if (m?.format !== FORMAT) throw new Error('Not a Wasmix project bundle');
+  if (m.version > VERSION) throw new Error(`Bundle is from a newer version (format ${m.version})`);
+  if (!m.project?.id || !safePath(m.project.id) || !Array.isArray(m.files) || !Array.isArray(m.session?.tracks)) {
+    throw new Error('Bundle manifest is incomplete');
+  }
+  return m;
+}
+
+// Relative, without `..` or empty segments, so nothing lands outside the project folder
+function safePath(path: string) {
+  const parts = path.split('/');
+  return !path.startsWith('/') && parts.every((p) => p && p !== '.' && p !== '..');
+}
+
+function audioPaths(session: Session): string[] {
+  return [...new Set(session.tracks.flatMap((t) => [...t.clips, ...t.takes].map((c) => c.path)))];
+}
@@ -0,0 +1,142 @@
+import { newId, type Clip, type ClipFades, type SessionOp, type Track } from './session';
+import { snapToGrid, type TempoMap } from './tempo';
+import type { FadeCurve } from './fades';
+
+// Clip lane under a track: drag a clip to move it, drag its edges to trim, double-click to split
+// (all snapped to beats unless Shift is held). Clicking a clip opens its fade editor.
+const EDGE_PX = 6;
+const DOUBLE_CLICK_MS = 350;
+const CURVES: FadeCurve[] = ['linear', 'equal-power', 's-curve'];
+
+let selected: string | null = null; // clip id
+let lastClick = { id: '', ts: 0 };
+
+type LaneContext = {
+  span: number;
+  tempo: TempoMap;
+  onOp: (op: SessionOp) => void;
+  refresh: () => void;
+};
+
+/** `span` is the length of timeline the lane shows, in seconds; `refresh` redraws after a selection. */
+export function clipLane(track: Track, lc: LaneContext) {
+  const wrap = document.createElement('div');
+  wrap.className = 'clip-lanes';
+  const lane = document.createElement('div');
+  lane.className = 'clip-lane';
+  for (const clip of track.clips) lane.appendChild(clipBlock(track, clip, lc));
+  wrap.appendChild(lane);
+  const clip = track.clips.find((c) => c.id === selected);
+  if (clip) wrap.appendChild(fadeEditor(track, clip, lc.onOp));
+  return wrap;
+}
+
+function clipBlock(track: Track, clip: Clip, { span, tempo, onOp, refresh }: LaneContext) {
+  const ids = { trackId: track.id, clipId: clip.id };
+  const block = document.createElement('div');
+  block.className = 'clip-block';
+  if (clip.id === selected) block.classList.add('selected');
+  block.title = clip.path;
+  const place = (start: number, duration: number) => {
+    block.style.left = `${(start / span) * 100}%`;
+    block.style.width = `${(duration / span) * 100}%`;
+  };
+  place(clip.start, clip.duration);
+  for (const [side, len] of [['in', clip.fadeIn], ['out', clip.fadeOut]] as const) {
+    if (!len) continue;
+    const fade = document.createElement('div');
+    fade.className = `clip-fade clip-fade-${side}`;
+    fade.style.width = `${Math.min(100, (len / clip.duration) * 100)}%`;
+    block.appendChild(fade);
+  }
+
+  block.addEventListener('pointerdown', (down) => {
+    const lane = block.parentElement!.getBoundingClientRect();
+    const r = block.getBoundingClientRect();
+    const mode = down.clientX - r.left < EDGE_PX ? 'head' : r.right - down.clientX < EDGE_PX ? 'tail' : 'move';
+    const secs = (px: number) => (px / lane.width) * span;
+    const snap = (t: number, e: PointerEvent) => (e.shiftKey ? t : snapToGrid(tempo, t));
+    const end = clip.start + clip.duration;
+    let next = { start: clip.start, end };
+    block.setPointerCapture(down.pointerId);
+    const move = (e: PointerEvent) => {
+      const d = secs(e.clientX - down.clientX);
+      if (mode === 'move') next = { start: Math.max(0, snap(clip.start + d, e)), end: 0 };
+      else if (mode === 'head') next = { start: Math.min(snap(clip.start + d, e), end - 0.01), end };
+      else next = { start: clip.start, end: Math.max(snap(end + d, e), clip.start + 0.01) };
+      if (mode === 'move') place(next.start, clip.duration);
+      else place(next.start, next.end - next.start);
+    };
+    block.addEventListener('pointermove', move);
+    block.addEventListener('pointerup', (up) => {
+      block.removeEventListener('pointermove', move);
+      if (Math.abs(up.clientX - down.clientX) < 3) return click(up);
+      if (mode === 'move') onOp({ kind: 'clip-move', payload: { ...ids, start: next.start } });
+      else onOp({ kind: 'clip-trim', payload: { ...ids, ...next } });
+    }, { once: true });
+  });
+
+  // A click selects (redrawing the lane, so the browser never sees a dblclick); a second one splits
+  const click = (e: PointerEvent) => {
+    const now = Date.now();
+    if (lastClick.id === clip.id && now - lastClick.ts < DOUBLE_CLICK_MS) {
+      lastClick = { id: '', ts: 0 };
+      const lane = block.parentElement!.getBoundingClientRect();
+      const t = ((e.clientX - lane.left) / lane.width) * span;
+      const at = e.shiftKey ? t : snapToGrid(tempo, t);
+      onOp({ kind: 'clip-split', payload: { ...ids, at, id: newId() } });
+      return;
+    }
+    lastClick = { id: clip.id, ts: now };
+    selected = clip.id;
+    refresh();
+  };
+  return block;
+}
+
+function fadeEditor(track: Track, clip: Clip, onOp: (op: SessionOp) => void) {
+  const row = document.createElement('div');
+  row.className = 'row clip-editor';
+  const set = (fades: ClipFades) => {
+    onOp({ kind: 'clip-fade', payload: { trackId: track.id, clipId: clip.id, ...fades } });
+  };
+
+  const fadeIn = msInput(clip.fadeIn, 'Fade in (ms)', (s) => set({ fadeIn: s }));
+  const inCurve = curveSelect(clip.fadeInCurve, 'Fade-in curve', (c) => set({ fadeInCurve: c }));
+  const fadeOut = msInput(clip.fadeOut, 'Fade out (ms)', (s) => set({ fadeOut: s }));
+  const outCurve = curveSelect(clip.fadeOutCurve, 'Fade-out curve', (c) => set({ fadeOutCurve: c }));
+  const remove = document.createElement('button');
+  remove.className = 'btn track-toggle';
+  remove.textContent = 'Remove clip';
+  remove.addEventListener('click', () => {
+    selected = null;
+    onOp({ kind: 'clip-remove', payload: { trackId: track.id, clipId: clip.id } });
+  });
+
+  const label = (text: string) => {
+    return Object.assign(document.createElement('span'), { className: 'take-label', textContent: text });
+  };
+  row.append(label('Fade in'), fadeIn, inCurve, label('Fade out'), fadeOut, outCurve, remove);
+  return row;
+}
+
+function msInput(seconds: number | undefined, title: string, onChange: (seconds: number) => void) {
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.className = 'select range-input';
+  input.min = '0';
+  input.step = '10';
+  input.value = String(Math.round((seconds ?? 0) * 1000));
+  input.title = title;
+  input.addEventListener('change', () => onChange(Math.max(0, Number(input.value) || 0) / 1000));
+  return input;
+}
+
+function curveSelect(curve: FadeCurve | undefined, title: string, onChange: (curve: FadeCurve) => void) {
+  const select = document.createElement('select');
+  select.className = 'select';
+  select.title = title;
+  for (const c of CURVES) select.add(new Option(c, c, false, c === (curve ?? 'linear')));
+  select.addEventListener('change', () => onChange(select.value as FadeCurve));
+  return select;
+}
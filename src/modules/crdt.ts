@@ -1,15 +1,40 @@
 import * as A from 'automerge';
+import { loadFile, saveFile } from './opfs';
+import { projectFile } from './projects';
 
 type Doc = { title: string; notes: string };
 
-export function initNotes(textarea: HTMLTextAreaElement, docIdEl: HTMLElement) {
-  let doc: A.Doc<Doc> = A.from<Doc>({ title: 'Untitled', notes: '' });
+// Notes are saved in Automerge's own serialized form (a string in this version), so history and
+// actor survive a reload
+const NOTES_FILE = 'notes.automerge';
+const SAVE_DELAY_MS = 500;
+
+/** Bind the notes textarea to the project's document; `report` hears about notes that can't be read or saved. */
+export async function initNotes(
+  textarea: HTMLTextAreaElement,
+  docIdEl: HTMLElement,
+  projectId: string,
+  report: (message: string) => void
+) {
+  const path = projectFile(NOTES_FILE, projectId);
+  const saved = await loadFile(path).catch(() => null); // none yet
+  let doc = A.from<Doc>({ title: 'Untitled', notes: '' });
+  try {
+    if (saved) doc = A.load<Doc>(new TextDecoder().decode(saved));
+  } catch (e) {
+    report(`Notes could not be read, starting empty: ${(e as Error).message}`);
+  }
   const id = A.getActorId(doc);
   docIdEl.textContent = id;
 
+  let timer: ReturnType<typeof setTimeout> | undefined;
   textarea.value = doc.notes;
   textarea.addEventListener('input', () => {
     doc = A.change(doc, d => { d.notes = textarea.value; });
-    // Persist to OPFS or sync in future
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const bytes = new TextEncoder().encode(A.save(doc));
+      saveFile(path, bytes.buffer).catch((e) => report(`Notes not saved: ${(e as Error).message}`));
+    }, SAVE_DELAY_MS);
   });
 }
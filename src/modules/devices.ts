@@ -0,0 +1,32 @@
+import { readJSON, writeJSON } from './opfs';
+
+export type Route = { inputId?: string; inputLabel?: string; outputId?: string; outputLabel?: string };
+
+export async function listDevices() {
+  const all = await navigator.mediaDevices.enumerateDevices();
+  return {
+    inputs: all.filter((d) => d.kind === 'audioinput'),
+    outputs: all.filter((d) => d.kind === 'audiooutput')
+  };
+}
+
+export function canSelectOutput() {
+  return typeof (AudioContext.prototype as any).setSinkId === 'function';
+}
+
+/** Find the device a saved route refers to: same id first, then same label (ids can rotate). */
+export function matchDevice(devices: MediaDeviceInfo[], id?: string, label?: string) {
+  return devices.find((d) => id && d.deviceId === id) ?? devices.find((d) => label && d.label === label);
+}
+
+export async function loadRoute(projectId: string): Promise<Route> {
+  return (await readJSON<Route>(`projects/${projectId}/devices.json`)) ?? {};
+}
+
+export async function saveRoute(projectId: string, route: Route) {
+  await writeJSON(`projects/${projectId}/devices.json`, route);
+}
+
+export function onDeviceChange(cb: () => void) {
+  navigator.mediaDevices.addEventListener('devicechange', cb);
+}
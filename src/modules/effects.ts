@@ -0,0 +1,27 @@
+// Per-track inserts, in signal order: low cut → low/high shelf EQ → compressor. Fields left out are
+// bypassed, so tracks from sessions without effects sound as before.
+export type TrackEffects = {
+  lowCut?: boolean;
+  lowDb?: number;
+  highDb?: number;
+  compressor?: boolean;
+};
+
+const LOW_CUT_HZ = 80;
+const LOW_SHELF_HZ = 250;
+const HIGH_SHELF_HZ = 4000;
+export const SHELF_RANGE_DB = 12;
+
+/** Build the insert chain for a track; feed `input`, take the result from `output`. */
+export function effectChain(ctx: BaseAudioContext, fx: TrackEffects = {}): { input: AudioNode; output: AudioNode } {
+  const nodes: AudioNode[] = [];
+  if (fx.lowCut) nodes.push(new BiquadFilterNode(ctx, { type: 'highpass', frequency: LOW_CUT_HZ, Q: Math.SQRT1_2 }));
+  if (fx.lowDb) nodes.push(new BiquadFilterNode(ctx, { type: 'lowshelf', frequency: LOW_SHELF_HZ, gain: fx.lowDb }));
+  if (fx.highDb) nodes.push(new BiquadFilterNode(ctx, { type: 'highshelf', frequency: HIGH_SHELF_HZ, gain: fx.highDb }));
+  if (fx.compressor) {
+    nodes.push(new DynamicsCompressorNode(ctx, { threshold: -24, knee: 6, ratio: 4, attack: 0.01, release: 0.2 }));
+  }
+  if (!nodes.length) nodes.push(new GainNode(ctx));
+  nodes.reduce((a, b) => a.connect(b));
+  return { input: nodes[0], output: nodes[nodes.length - 1] };
+}
@@ -1,3 +1,8 @@
+import { parseWAV } from './wav';
+import { muxOggOpus, type OpusPacket } from './ogg';
+import { muxWebmOpus } from './webm';
+import { ffmpegEncode } from './ffmpeg';
+
 export type EncodeDecision = {
   webcodecs: boolean;
   reason: string;
@@ -17,8 +22,143 @@ export async function canUseWebCodecs(): Promise<EncodeDecision> {
   }
 }
 
-export async function encodeWavToOpus(_wav: ArrayBuffer): Promise<ArrayBuffer | null> {
+// encode() takes WebCodecs where it can: Opus, when the browser has an Opus AudioEncoder. MP3 isn't
+// a WebCodecs codec, and WebCodecs AAC would need an MP4 muxer we don't have, so those two, and
+// Opus anywhere WebCodecs falls short, go to ffmpeg.wasm on a worker.
+export type EncodeFormat = 'opus' | 'mp3' | 'aac';
+export type Encoder = 'webcodecs' | 'ffmpeg';
+export type EncoderChoice = { encoder: Encoder; reason: string };
+export type EncodeOptions = OpusOptions & { format: EncodeFormat; onProgress?: (fraction: number) => void };
+// `note` says where the result differs from what was asked for, for the user to see
+export type Encoded = EncoderChoice & { data: ArrayBuffer; ext: string; mime: string; note?: string };
+
+const OUTPUT_TYPES = {
+  ogg: { ext: 'opus', mime: 'audio/ogg' },
+  webm: { ext: 'webm', mime: 'audio/webm' },
+  mp3: { ext: 'mp3', mime: 'audio/mpeg' },
+  aac: { ext: 'm4a', mime: 'audio/mp4' }
+};
+
+/** Which encoder encode() will use for `format`, and why. */
+export async function chooseEncoder(format: EncodeFormat): Promise<EncoderChoice> {
+  if (format === 'mp3') return { encoder: 'ffmpeg', reason: 'WebCodecs has no MP3 encoder' };
+  if (format === 'aac') return { encoder: 'ffmpeg', reason: 'no MP4 muxer for WebCodecs AAC' };
   const { webcodecs, reason } = await canUseWebCodecs();
-  console.log('[encode] WebCodecs?', webcodecs, reason);
-  return null;
+  return { encoder: webcodecs ? 'webcodecs' : 'ffmpeg', reason };
+}
+
+/**
+ * Encode a WAV file to Opus (Ogg or WebM), MP3 or AAC (M4A), with WebCodecs or the ffmpeg.wasm
+ * fallback as chooseEncoder() decides. If WebCodecs fails partway the fallback takes over. The
+ * WAV buffer is handed to the worker when the fallback runs, so it is unusable afterwards.
+ */
+export async function encode(wav: ArrayBuffer, opts: EncodeOptions): Promise<Encoded> {
+  const { format, bitrate = 128_000, complexity = 10, container = 'ogg', onProgress } = opts;
+  const type = OUTPUT_TYPES[format === 'opus' ? container : format];
+  let choice = await chooseEncoder(format);
+  if (choice.encoder === 'webcodecs') {
+    try {
+      const data = await encodeWavToOpus(wav, { bitrate, complexity, container });
+      if (data) return { ...choice, ...type, data };
+      choice = { encoder: 'ffmpeg', reason: 'WebCodecs became unavailable' };
+    } catch (e) {
+      choice = { encoder: 'ffmpeg', reason: `WebCodecs failed: ${(e as Error).message}` };
+    }
+  }
+  const res = await ffmpegEncode(wav, { format, container, bitrate, complexity }, onProgress);
+  const note =
+    res.complexity !== undefined && res.complexity < complexity
+      ? `Opus complexity lowered from ${complexity} to ${res.complexity}: ffmpeg.wasm's libopus crashes on stereo above it`
+      : undefined;
+  return { ...choice, ...type, data: res.data, note };
+}
+
+export type OpusOptions = {
+  bitrate?: number; // bits per second
+  complexity?: number; // 0 (fastest) to 10 (best)
+  container?: 'ogg' | 'webm';
+};
+
+const OPUS_RATE = 48000;
+const FRAME_US = 20_000;
+const CHUNK_FRAMES = 4800; // frames per AudioData handed to the encoder
+const DEFAULT_PRE_SKIP = 312; // libopus lookahead at 48 kHz, if the encoder doesn't say
+
+/**
+ * Encode a WAV to Opus with WebCodecs and mux it into Ogg (default) or WebM. Resolves null when
+ * this browser has no usable Opus AudioEncoder. More than two channels are cut to the first two.
+ */
+export async function encodeWavToOpus(wav: ArrayBuffer, opts: OpusOptions = {}): Promise<ArrayBuffer | null> {
+  if (!(await canUseWebCodecs()).webcodecs) return null;
+
+  const { info, channels: all } = parseWAV(wav);
+  const channels = await resample(all.slice(0, 2), info.sampleRate, OPUS_RATE);
+  const numberOfChannels = channels.length;
+  const length = channels[0].length;
+  const packets: OpusPacket[] = [];
+  let preSkip = DEFAULT_PRE_SKIP;
+  let failure: Error | null = null;
+
+  const { AudioEncoder, AudioData } = globalThis as any;
+  const encoder = new AudioEncoder({
+    output: (chunk: any, meta: any) => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      packets.push({ data, samples: Math.round(((chunk.duration ?? FRAME_US) * OPUS_RATE) / 1e6) });
+      const desc = meta?.decoderConfig?.description;
+      if (desc) preSkip = readPreSkip(desc) ?? preSkip;
+    },
+    error: (e: Error) => { failure = e; }
+  });
+  encoder.configure({
+    codec: 'opus',
+    sampleRate: OPUS_RATE,
+    numberOfChannels,
+    bitrate: opts.bitrate ?? 128_000,
+    opus: { complexity: opts.complexity ?? 10, frameDuration: FRAME_US }
+  });
+  for (let o = 0; o < length; o += CHUNK_FRAMES) {
+    const n = Math.min(CHUNK_FRAMES, length - o);
+    const planar = new Float32Array(n * numberOfChannels);
+    channels.forEach((ch, c) => planar.set(ch.subarray(o, o + n), c * n));
+    const data = new AudioData({
+      format: 'f32-planar',
+      sampleRate: OPUS_RATE,
+      numberOfFrames: n,
+      numberOfChannels,
+      timestamp: Math.round((o / OPUS_RATE) * 1e6),
+      data: planar
+    });
+    encoder.encode(data);
+    data.close();
+  }
+  await encoder.flush();
+  encoder.close();
+  if (failure) throw failure;
+
+  const mux = { channels: numberOfChannels, preSkip, inputRate: info.sampleRate, length };
+  const out = opts.container === 'webm' ? muxWebmOpus(packets, mux) : muxOggOpus(packets, mux);
+  return out.buffer as ArrayBuffer;
+}
+
+// Pre-skip from an OpusHead, when the encoder hands one over as its decoder description
+function readPreSkip(desc: AllowSharedBufferSource): number | null {
+  const bytes = ArrayBuffer.isView(desc)
+    ? new Uint8Array(desc.buffer, desc.byteOffset, desc.byteLength)
+    : new Uint8Array(desc);
+  if (bytes.length < 19 || new TextDecoder().decode(bytes.subarray(0, 8)) !== 'OpusHead') return null;
+  return bytes[10] | (bytes[11] << 8);
+}
+
+async function resample(channels: Float32Array[], from: number, to: number): Promise<Float32Array[]> {
+  if (from === to) return channels;
+  const length = Math.ceil((channels[0].length * to) / from);
+  const ctx = new OfflineAudioContext(channels.length, Math.max(1, length), to);
+  const buffer = new AudioBuffer({ numberOfChannels: channels.length, length: channels[0].length, sampleRate: from });
+  channels.forEach((ch, c) => buffer.copyToChannel(ch, c));
+  const src = new AudioBufferSourceNode(ctx, { buffer });
+  src.connect(ctx.destination);
+  src.start();
+  const out = await ctx.startRendering();
+  return channels.map((_, c) => out.getChannelData(c));
 }
@@ -0,0 +1,88 @@
+import type { Clip } from './session';
+
+// Fade shapes as gain over the normalized length of a fade-in; fade-outs play them backwards.
+export type FadeCurve = 'linear' | 'equal-power' | 's-curve';
+
+export type ClipEnvelope = { fadeIn: number; fadeOut: number; inCurve: FadeCurve; outCurve: FadeCurve };
+
+const POINTS_PER_SECOND = 200;
+
+export function fadeGain(curve: FadeCurve, x: number): number {
+  const t = Math.min(1, Math.max(0, x));
+  if (curve === 'equal-power') return Math.sin((t * Math.PI) / 2);
+  if (curve === 's-curve') return 0.5 - 0.5 * Math.cos(t * Math.PI);
+  return t;
+}
+
+/**
+ * The fades each clip of a track actually plays with: its own, lengthened into an equal-power
+ * crossfade wherever a later clip overlaps its tail. Clips sitting entirely inside another are
+ * layered, not crossfaded. Fades longer than the clip are scaled down to fit.
+ */
+export function clipEnvelopes(clips: Clip[]): Map<string, ClipEnvelope> {
+  const sorted = [...clips].sort((a, b) => a.start - b.start);
+  const out = new Map<string, ClipEnvelope>();
+  for (const c of sorted) {
+    out.set(c.id, {
+      fadeIn: c.fadeIn ?? 0,
+      fadeOut: c.fadeOut ?? 0,
+      inCurve: c.fadeInCurve ?? 'linear',
+      outCurve: c.fadeOutCurve ?? 'linear'
+    });
+  }
+  sorted.forEach((a, i) => {
+    const aEnd = a.start + a.duration;
+    for (const b of sorted.slice(i + 1)) {
+      if (b.start >= aEnd) break;
+      if (b.start + b.duration <= aEnd) continue;
+      const overlap = aEnd - b.start;
+      const ea = out.get(a.id)!;
+      const eb = out.get(b.id)!;
+      if (overlap > ea.fadeOut) Object.assign(ea, { fadeOut: overlap, outCurve: 'equal-power' });
+      if (overlap > eb.fadeIn) Object.assign(eb, { fadeIn: overlap, inCurve: 'equal-power' });
+    }
+  });
+  for (const c of sorted) {
+    const e = out.get(c.id)!;
+    const total = e.fadeIn + e.fadeOut;
+    if (total > c.duration) {
+      e.fadeIn *= c.duration / total;
+      e.fadeOut *= c.duration / total;
+    }
+  }
+  return out;
+}
+
+/** Gain at `u` seconds into a clip of length `duration`. */
+export function envelopeAt(env: ClipEnvelope, duration: number, u: number): number {
+  let g = 1;
+  if (env.fadeIn > 0 && u < env.fadeIn) g *= fadeGain(env.inCurve, u / env.fadeIn);
+  if (env.fadeOut > 0 && u > duration - env.fadeOut) g *= fadeGain(env.outCurve, (duration - u) / env.fadeOut);
+  return g;
+}
+
+/**
+ * A gain node carrying the clip envelope for the stretch `u0`..`u1` (seconds into the clip) that
+ * starts sounding at context time `at`.
+ */
+export function envelopeNode(
+  ctx: BaseAudioContext,
+  env: ClipEnvelope,
+  duration: number,
+  u0: number,
+  u1: number,
+  at: number
+): GainNode {
+  const node = new GainNode(ctx, { gain: envelopeAt(env, duration, u0) });
+  const ramp = (a: number, b: number) => {
+    if (b - a <= 1e-3) return;
+    const n = Math.max(2, Math.ceil((b - a) * POINTS_PER_SECOND));
+    const values = Float32Array.from({ length: n }, (_, i) => envelopeAt(env, duration, a + ((b - a) * i) / (n - 1)));
+    node.gain.setValueCurveAtTime(values, at + (a - u0), b - a);
+  };
+  // Curves may not touch, so the fade-out starts a hair after a fade-in that fills the clip
+  const inEnd = Math.min(u1, env.fadeIn);
+  if (env.fadeIn > 0) ramp(u0, inEnd);
+  if (env.fadeOut > 0) ramp(Math.max(u0, duration - env.fadeOut, env.fadeIn > 0 ? inEnd + 1e-3 : 0), u1);
+  return node;
+}
@@ -0,0 +1,36 @@
+import { workerClient } from './workerclient';
+
+// Client of ffmpeg-worker.ts, the WASM fallback behind encode(). Progress arrives as extra messages
+// for the same request. A worker that dies (say the core fails to load) fails what was waiting, and
+// so does one that goes quiet for longer than loading the core takes: an encode reports progress
+// as it goes.
+export type FFmpegJob = {
+  format: 'opus' | 'mp3' | 'aac';
+  container?: 'ogg' | 'webm';
+  bitrate: number;
+  complexity: number;
+};
+// `complexity` is the Opus complexity ffmpeg was given, which can be below the one asked for
+export type FFmpegResult = { data: ArrayBuffer; complexity?: number };
+
+const IDLE_MS = 180_000;
+
+const call = workerClient(
+  () => new Worker(new URL('../workers/ffmpeg-worker.ts', import.meta.url), { type: 'module' }),
+  { idleMs: IDLE_MS }
+);
+
+/** Fetch and compile the core ahead of the first encode (it is tens of MB). */
+export async function loadFFmpeg(): Promise<void> {
+  await call({ type: 'load' });
+}
+
+/** Encode a WAV file with ffmpeg.wasm. The WAV buffer is transferred to the worker. */
+export async function ffmpegEncode(
+  wav: ArrayBuffer,
+  job: FFmpegJob,
+  onProgress?: (fraction: number) => void
+): Promise<FFmpegResult> {
+  const { data, complexity } = await call({ type: 'encode', wav, ...job }, [wav], onProgress);
+  return { data, complexity };
+}
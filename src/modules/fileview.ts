@@ -0,0 +1,157 @@
+import { loadFile, type FileEntry } from './opfs';
+import { audioFileInfo, isAudioFile, type AudioFileInfo } from './audiofile';
+import { formatSize } from './projectview';
+import { isStatePath } from './projects';
+import { formatTimecode } from './tempo';
+
+// File browser over the open project's folder: folders to step into, and per file its size, for
+// audio also length, format and a waveform thumbnail, with play/stop, add to session, loudness,
+// download, rename and delete. Paths handed to the actions are relative to the project. The project's
+// own state (journal, snapshots, metadata, notes) is shown read-only.
+export type FileActions = {
+  open: (folder: string) => void;
+  add: (path: string, info: AudioFileInfo) => void;
+  loudness: (path: string) => void;
+  download: (entry: FileEntry) => void;
+  rename: (path: string) => void;
+  remove: (path: string) => void;
+};
+
+const THUMB_W = 120;
+const THUMB_H = 24;
+
+let preview: { path: string; audio: HTMLAudioElement; url: string } | null = null;
+
+/** `root` is the project's OPFS folder, `folder` the one shown inside it ('' for the top). */
+export function renderFiles(
+  container: HTMLElement,
+  root: string,
+  folder: string,
+  entries: FileEntry[],
+  actions: FileActions
+) {
+  container.innerHTML = '';
+  const rel = (path: string) => path.slice(root.length);
+
+  const crumb = document.createElement('div');
+  crumb.className = 'file-crumb';
+  crumb.textContent = `/${folder}`;
+  container.appendChild(crumb);
+  if (folder) {
+    const up = folder.split('/').slice(0, -1).join('/');
+    container.appendChild(folderItem('..', () => actions.open(up)));
+  }
+  for (const e of entries) {
+    if (e.kind === 'directory') container.appendChild(folderItem(`${e.name}/`, () => actions.open(rel(e.path))));
+    else container.appendChild(fileItem(e, rel(e.path), actions));
+  }
+  if (!entries.length) {
+    const empty = document.createElement('div');
+    empty.className = 'file-empty';
+    empty.textContent = 'No files yet. Record something first!';
+    container.appendChild(empty);
+  }
+}
+
+function folderItem(label: string, open: () => void) {
+  const d = document.createElement('div');
+  d.className = 'file-item file-folder';
+  d.textContent = label;
+  d.addEventListener('click', open);
+  return d;
+}
+
+function fileItem(entry: FileEntry, path: string, actions: FileActions) {
+  const d = document.createElement('div');
+  d.className = 'file-item file-entry';
+  const name = document.createElement('div');
+  name.className = 'project-name';
+  name.textContent = entry.name;
+  const meta = document.createElement('div');
+  meta.className = 'project-meta';
+  meta.textContent = formatSize(entry.size);
+  const buttons = document.createElement('div');
+  buttons.className = 'row file-actions';
+  d.append(name, meta, buttons);
+
+  if (isAudioFile(entry.name)) {
+    const thumb = document.createElement('canvas');
+    thumb.className = 'file-thumb';
+    thumb.width = THUMB_W;
+    thumb.height = THUMB_H;
+    d.insertBefore(thumb, buttons);
+    const play = button(preview?.path === entry.path ? 'Stop' : 'Play', () => togglePreview(entry, play));
+    if (preview?.path === entry.path) play.classList.add('preview-playing');
+    const add = button('Add to session', () => {});
+    add.disabled = true;
+    const loudness = button('Loudness', () => actions.loudness(path));
+    buttons.append(play, add, loudness);
+    audioFileInfo(entry).then((info) => {
+      if (!info) {
+        meta.textContent += ' · unreadable';
+        return;
+      }
+      const ch = info.channels === 1 ? 'mono' : info.channels === 2 ? 'stereo' : `${info.channels} ch`;
+      meta.textContent += ` · ${formatTimecode(info.duration)} · ${info.sampleRate} Hz · ${ch}`;
+      drawPeaks(thumb, info.peaks);
+      add.disabled = false;
+      add.onclick = () => actions.add(path, info);
+    });
+  }
+  buttons.append(button('Download', () => actions.download(entry)));
+  if (isStatePath(path)) {
+    meta.textContent += ' · project state';
+    return d;
+  }
+  buttons.append(button('Rename', () => actions.rename(path)), button('Delete', () => actions.remove(path)));
+  return d;
+}
+
+function button(label: string, onClick: () => void) {
+  const b = document.createElement('button');
+  b.className = 'btn track-toggle';
+  b.textContent = label;
+  b.addEventListener('click', (e) => {
+    e.stopPropagation();
+    onClick();
+  });
+  return b;
+}
+
+function drawPeaks(canvas: HTMLCanvasElement, peaks: Float32Array) {
+  const g = canvas.getContext('2d');
+  if (!g) return;
+  g.clearRect(0, 0, canvas.width, canvas.height);
+  g.fillStyle = getComputedStyle(canvas).color;
+  const w = canvas.width / peaks.length;
+  const mid = canvas.height / 2;
+  peaks.forEach((p, i) => {
+    const h = Math.max(1, p * canvas.height);
+    g.fillRect(i * w, mid - h / 2, Math.max(1, w - 0.5), h);
+  });
+}
+
+// One preview at a time, through a media element so it works before the audio engine is started
+async function togglePreview(entry: FileEntry, btn: HTMLButtonElement) {
+  const same = preview?.path === entry.path;
+  stopPreview();
+  if (same) return;
+  const url = URL.createObjectURL(new Blob([await loadFile(entry.path)]));
+  const audio = new Audio(url);
+  preview = { path: entry.path, audio, url };
+  btn.textContent = 'Stop';
+  btn.classList.add('preview-playing');
+  audio.onended = stopPreview;
+  audio.play().catch(stopPreview);
+}
+
+export function stopPreview() {
+  document.querySelectorAll<HTMLButtonElement>('.preview-playing').forEach((b) => {
+    b.textContent = 'Play';
+    b.classList.remove('preview-playing');
+  });
+  if (!preview) return;
+  preview.audio.pause();
+  URL.revokeObjectURL(preview.url);
+  preview = null;
+}
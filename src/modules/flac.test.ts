@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+import { decodeFLAC, decodeFlacFrameIn, encodeFLAC, flacEncoder, readFlacInfo } from './flac';
+
+const RATE = 48000;
+
+function sine(frames: number, freq: number, amp = 0.5) {
+  return Float32Array.from({ length: frames }, (_, i) => amp * Math.sin((2 * Math.PI * freq * i) / RATE));
+}
+
+describe('flac round trip', () => {
+  // Left and right close together, so mid/side decorrelation gets picked too
+  const channels = [sine(10000, 440), sine(10000, 440, 0.45)];
+  const cases: [16 | 24, number][] = [
+    [16, 2 / 0x7fff],
+    [24, 2 / 0x7fffff]
+  ];
+
+  for (const [bitDepth, tolerance] of cases) {
+    it(`keeps ${bitDepth}-bit samples within quantization error`, () => {
+      const { info, channels: out } = decodeFLAC(encodeFLAC(channels, RATE, { bitDepth }));
+      expect(info).toEqual({ sampleRate: RATE, numChannels: 2, bitDepth, frames: 10000 });
+      out.forEach((ch, c) => ch.forEach((s, i) => expect(Math.abs(s - channels[c][i])).toBeLessThanOrEqual(tolerance)));
+    });
+  }
+
+  it('is smaller than the PCM it holds', () => {
+    expect(encodeFLAC(channels, RATE, { bitDepth: 16 }).byteLength).toBeLessThan(10000 * 2 * 2);
+  });
+
+  it('carries markers and comments as Vorbis comments', () => {
+    const markers = [
+      { frame: 0, label: 'start' },
+      { frame: 9000, label: 'xrun late 12.5ms' }
+    ];
+    const comments: [string, string][] = [['DATE', '2026-01-01'], ['TITLE', 'テイク 1']];
+    const data = decodeFLAC(encodeFLAC([sine(9500, 440)], RATE, { markers, comments }));
+    expect(data.markers).toEqual(markers);
+    expect(data.comments.slice(0, 2)).toEqual(comments);
+  });
+
+  it('writes the same stream block by block as all at once', () => {
+    const whole = new Uint8Array(encodeFLAC(channels, RATE, { bitDepth: 24 }));
+    const enc = flacEncoder(2, RATE, { bitDepth: 24 });
+    const reserved = enc.header().length;
+    const parts: Uint8Array[] = [];
+    for (const [from, to] of [[0, 1000], [1000, 1000], [1000, 7000], [7000, 10000]]) {
+      parts.push(enc.write(channels.map((ch) => ch.subarray(from, to))));
+    }
+    parts.push(enc.end());
+    const header = enc.header();
+    expect(header.length).toBe(reserved);
+    const out = new Uint8Array(whole.length);
+    out.set(header);
+    parts.reduce((o, p) => (out.set(p, o), o + p.length), header.length);
+    expect(out).toEqual(whole);
+  });
+
+  it('reads the info and single frames from parts of a stream', () => {
+    const buf = encodeFLAC(channels, RATE);
+    expect(readFlacInfo(buf.slice(0, 128))).toMatchObject({ numChannels: 2, frames: 10000 });
+    const info = decodeFLAC(buf).info;
+    const frame = decodeFlacFrameIn(buf.slice(buf.byteLength >> 1), info)!;
+    expect(frame[0].length).toBe(10000 - 2 * 4096); // the stream's last frame
+    expect(frame[1][0]).toBeCloseTo(channels[1][2 * 4096], 4);
+    expect(decodeFlacFrameIn(buf.slice(100, 120), info)).toBeNull();
+  });
+
+  it('rejects damaged frames', () => {
+    const bytes = new Uint8Array(encodeFLAC([sine(2000, 440)], RATE));
+    bytes[bytes.length - 100] ^= 0xff;
+    expect(() => decodeFLAC(bytes.buffer)).toThrow('is damaged');
+    expect(() => decodeFLAC(new ArrayBuffer(64))).toThrow('Not a FLAC file');
+  });
+});
@@ -0,0 +1,705 @@
+import { quantizer, type Dither, type WavMarker } from './wav';
+
+// FLAC (RFC 9639) in plain TypeScript; lossless.ts runs it in a worker. The encoder picks a fixed
+// predictor (order 0-4) per subframe and the cheapest stereo decorrelation per frame, with
+// partitioned Rice residuals, which is roughly `flac -2`. The decoder reads any stream, LPC
+// subframes included, and checks every frame's CRCs. The STREAMINFO MD5 is left unset.
+export type FlacComment = [key: string, value: string];
+export type FlacOptions = {
+  bitDepth?: 16 | 24;
+  dither?: Dither;
+  blockSize?: number;
+  markers?: WavMarker[];
+  comments?: FlacComment[];
+};
+export type FlacInfo = { sampleRate: number; numChannels: number; bitDepth: number; frames: number };
+export type FlacData = { info: FlacInfo; channels: Float32Array[]; markers: WavMarker[]; comments: FlacComment[] };
+
+const BLOCK_SIZE = 4096;
+const MAX_PARTITION_ORDER = 8;
+const MARKER_TAG = 'WASMIX_MARKER'; // "<frame> <label>", one comment per marker
+const VENDOR = 'wasmix';
+const SAMPLE_SIZE_CODES: Record<number, number> = { 8: 1, 12: 2, 16: 4, 20: 5, 24: 6, 32: 7 };
+const SAMPLE_SIZES = [0, 8, 12, 0, 16, 20, 24, 32];
+// Rates with a code of their own; frame headers name the rate so frames decode without STREAMINFO
+const SAMPLE_RATE_CODES: Record<number, number> = {
+  88200: 1, 176400: 2, 192000: 3, 8000: 4, 16000: 5, 22050: 6, 24000: 7, 32000: 8, 44100: 9, 48000: 10, 96000: 11
+};
+
+const CRC8 = crcTable(8, 0x07);
+const CRC16 = crcTable(16, 0x8005);
+
+function crcTable(bits: number, poly: number) {
+  const t = new Uint16Array(256);
+  const top = 1 << (bits - 1);
+  const mask = (1 << bits) - 1;
+  for (let n = 0; n < 256; n++) {
+    let c = n << (bits - 8);
+    for (let k = 0; k < 8; k++) c = (c & top ? (c << 1) ^ poly : c << 1) & mask;
+    t[n] = c;
+  }
+  return t;
+}
+
+function crc8(b: Uint8Array, start: number, end: number) {
+  let c = 0;
+  for (let i = start; i < end; i++) c = CRC8[c ^ b[i]];
+  return c;
+}
+
+function crc16(b: Uint8Array, start: number, end: number) {
+  let c = 0;
+  for (let i = start; i < end; i++) c = ((c << 8) & 0xffff) ^ CRC16[(c >> 8) ^ b[i]];
+  return c;
+}
+
+// MSB-first bit packing into a growing buffer
+class BitWriter {
+  bytes = new Uint8Array(1 << 16);
+  pos = 0; // whole bytes written
+  private acc = 0;
+  private bits = 0; // pending bits in acc, always fewer than 8
+
+  write(value: number, bits: number) {
+    if (bits > 24) {
+      this.write(Math.floor(value / 0x1000000), bits - 24);
+      value &= 0xffffff;
+      bits = 24;
+    }
+    this.acc = (this.acc << bits) | (value & ((1 << bits) - 1));
+    this.bits += bits;
+    while (this.bits >= 8) {
+      this.bits -= 8;
+      if (this.pos === this.bytes.length) {
+        const grown = new Uint8Array(this.bytes.length * 2);
+        grown.set(this.bytes);
+        this.bytes = grown;
+      }
+      this.bytes[this.pos++] = (this.acc >>> this.bits) & 0xff;
+    }
+    this.acc &= (1 << this.bits) - 1;
+  }
+
+  signed(value: number, bits: number) {
+    this.write(value < 0 ? value + 2 ** bits : value, bits);
+  }
+
+  rice(u: number, k: number) {
+    let q = u >>> k;
+    for (; q >= 24; q -= 24) this.write(0, 24);
+    this.write(1, q + 1);
+    this.write(u, k);
+  }
+
+  align() {
+    if (this.bits) this.write(0, 8 - this.bits);
+  }
+}
+
+class BitReader {
+  pos = 0; // in bits
+
+  constructor(private b: Uint8Array) {}
+
+  read(bits: number): number {
+    let v = 0;
+    while (bits > 0) {
+      const used = this.pos & 7;
+      const take = Math.min(8 - used, bits);
+      v = v * (1 << take) + ((this.b[this.pos >>> 3] >>> (8 - used - take)) & ((1 << take) - 1));
+      this.pos += take;
+      bits -= take;
+    }
+    return v;
+  }
+
+  signed(bits: number) {
+    const v = this.read(bits);
+    return v >= 2 ** (bits - 1) ? v - 2 ** bits : v;
+  }
+
+  // Count zero bits up to the next one bit, and skip that too
+  unary(): number {
+    let n = 0;
+    for (;;) {
+      const i = this.pos >>> 3;
+      if (i >= this.b.length) throw new Error('FLAC data ends mid-frame');
+      const used = this.pos & 7;
+      const byte = (this.b[i] << used) & 0xff;
+      if (!byte) {
+        n += 8 - used;
+        this.pos += 8 - used;
+        continue;
+      }
+      const zeros = Math.clz32(byte) - 24;
+      this.pos += zeros + 1;
+      return n + zeros;
+    }
+  }
+
+  align() {
+    this.pos = Math.ceil(this.pos / 8) * 8;
+  }
+}
+
+/** Encode float channels as FLAC. Markers travel as Vorbis comments next to any given ones. */
+export function encodeFLAC(channels: Float32Array[], sampleRate: number, opts: FlacOptions = {}): ArrayBuffer {
+  const enc = flacEncoder(channels.length, sampleRate, opts);
+  const frames = [enc.write(channels), enc.end()];
+  const header = enc.header();
+  const out = new Uint8Array(header.length + frames[0].length + frames[1].length);
+  out.set(header);
+  out.set(frames[0], header.length);
+  out.set(frames[1], header.length + frames[0].length);
+  return out.buffer;
+}
+
+export type FlacEncoder = {
+  /** Frames for the next run of samples, of any length; a partly filled block waits for more. */
+  write(channels: Float32Array[]): Uint8Array;
+  /** Frames for what is still waiting, as a final short block. */
+  end(): Uint8Array;
+  /** Metadata to put before the frames; its size never changes, so it can be reserved up front. */
+  header(): Uint8Array;
+};
+
+/**
+ * encodeFLAC() for audio that doesn't fit in memory at once: feed it in runs, write out the frames
+ * each run returns, then put header() in front once end() has been called.
+ */
+export function flacEncoder(numChannels: number, sampleRate: number, opts: FlacOptions = {}): FlacEncoder {
+  const bitDepth = opts.bitDepth ?? 16;
+  const blockSize = opts.blockSize ?? BLOCK_SIZE;
+  const quantizers = Array.from({ length: numChannels }, () => quantizer(bitDepth, opts.dither));
+  const block = Array.from({ length: numChannels }, () => new Int32Array(blockSize));
+  const vorbis = vorbisComment([
+    ...(opts.comments ?? []),
+    ...(opts.markers ?? []).map((m): FlacComment => [MARKER_TAG, `${m.frame} ${m.label}`])
+  ]);
+  let buffered = 0;
+  let total = 0;
+  let index = 0;
+  let minFrame = Infinity;
+  let maxFrame = 0;
+
+  function frame(w: BitWriter) {
+    const from = w.pos;
+    encodeFrame(w, block, 0, buffered, index++, bitDepth, blockSize, sampleRate);
+    minFrame = Math.min(minFrame, w.pos - from);
+    maxFrame = Math.max(maxFrame, w.pos - from);
+    buffered = 0;
+  }
+
+  return {
+    write(channels) {
+      const w = new BitWriter();
+      const n = channels[0]?.length ?? 0;
+      for (let i = 0; i < n; i++) {
+        for (let c = 0; c < numChannels; c++) block[c][buffered] = quantizers[c](channels[c][i]);
+        if (++buffered === blockSize) frame(w);
+      }
+      total += n;
+      return w.bytes.slice(0, w.pos);
+    },
+
+    end() {
+      const w = new BitWriter();
+      if (buffered) frame(w);
+      return w.bytes.slice(0, w.pos);
+    },
+
+    header() {
+      const meta = new BitWriter();
+      meta.write(0x664c6143, 32); // "fLaC"
+      meta.write(0, 1); // not the last metadata block
+      meta.write(0, 7); // STREAMINFO
+      meta.write(34, 24);
+      const size = total && total < blockSize ? Math.max(16, total) : blockSize;
+      meta.write(size, 16);
+      meta.write(size, 16);
+      meta.write(maxFrame ? minFrame : 0, 24);
+      meta.write(maxFrame, 24);
+      meta.write(sampleRate, 20);
+      meta.write(numChannels - 1, 3);
+      meta.write(bitDepth - 1, 5);
+      meta.write(Math.floor(total / 2 ** 32), 4);
+      meta.write(total, 32);
+      for (let i = 0; i < 4; i++) meta.write(0, 32); // MD5 unknown
+      meta.write(1, 1); // last metadata block
+      meta.write(4, 7); // VORBIS_COMMENT
+      meta.write(vorbis.length, 24);
+      const out = new Uint8Array(meta.pos + vorbis.length);
+      out.set(meta.bytes.subarray(0, meta.pos));
+      out.set(vorbis, meta.pos);
+      return out;
+    }
+  };
+}
+
+// Vorbis comments are little-endian, unlike the rest of FLAC
+function vorbisComment(comments: FlacComment[]): Uint8Array {
+  const enc = new TextEncoder();
+  const strings = [VENDOR, ...comments.map(([k, v]) => `${k}=${v}`)].map((s) => enc.encode(s));
+  const out = new Uint8Array(4 + strings.reduce((n, s) => n + 4 + s.length, 0));
+  const v = new DataView(out.buffer);
+  let o = 0;
+  strings.forEach((s, i) => {
+    v.setUint32(o, s.length, true);
+    out.set(s, o + 4);
+    o += 4 + s.length;
+    if (i === 0) {
+      v.setUint32(o, comments.length, true);
+      o += 4;
+    }
+  });
+  return out;
+}
+
+function encodeFrame(
+  w: BitWriter,
+  ints: Int32Array[],
+  start: number,
+  n: number,
+  index: number,
+  bitDepth: number,
+  blockSize: number,
+  sampleRate: number
+) {
+  let subframes = ints.map((ch) => ch.subarray(start, start + n));
+  let depths = subframes.map(() => bitDepth);
+  let assignment = subframes.length - 1;
+  if (subframes.length === 2) {
+    // Independent, left/side, side/right or mid/side, whichever predicts cheapest; side needs a bit more
+    const [l, r] = subframes;
+    const side = new Int32Array(n);
+    const mid = new Int32Array(n);
+    for (let i = 0; i < n; i++) {
+      side[i] = l[i] - r[i];
+      mid[i] = (l[i] + r[i]) >> 1;
+    }
+    const all = [l, r, side, mid];
+    const cost = all.map((x) => Math.min(...fixedSums(x)));
+    const modes = [
+      { a: 0, b: 1, code: 1, depths: [bitDepth, bitDepth] },
+      { a: 0, b: 2, code: 8, depths: [bitDepth, bitDepth + 1] },
+      { a: 2, b: 1, code: 9, depths: [bitDepth + 1, bitDepth] },
+      { a: 3, b: 2, code: 10, depths: [bitDepth, bitDepth + 1] }
+    ];
+    const best = modes.reduce((m, x) => (cost[x.a] + cost[x.b] < cost[m.a] + cost[m.b] ? x : m));
+    subframes = [all[best.a], all[best.b]];
+    depths = best.depths;
+    assignment = best.code;
+  }
+
+  const from = w.pos;
+  w.write(0x3ffe, 14); // sync
+  w.write(0, 1); // reserved
+  w.write(0, 1); // fixed block size
+  const bsCode = blockSizeCode(n, blockSize);
+  w.write(bsCode, 4);
+  const srCode = sampleRateCode(sampleRate);
+  w.write(srCode, 4);
+  w.write(assignment, 4);
+  w.write(SAMPLE_SIZE_CODES[bitDepth], 3);
+  w.write(0, 1); // reserved
+  writeUtf8(w, index);
+  if (bsCode === 6) w.write(n - 1, 8);
+  else if (bsCode === 7) w.write(n - 1, 16);
+  if (srCode === 12) w.write(sampleRate / 1000, 8);
+  else if (srCode === 13) w.write(sampleRate, 16);
+  else if (srCode === 14) w.write(sampleRate / 10, 16);
+  w.write(crc8(w.bytes, from, w.pos), 8);
+
+  subframes.forEach((x, c) => encodeSubframe(w, x, depths[c]));
+  w.align();
+  w.write(crc16(w.bytes, from, w.pos), 16);
+}
+
+// The standard sizes have a code of their own; others (the last, short block) follow the header
+function blockSizeCode(n: number, blockSize: number) {
+  if (n === blockSize) {
+    if (n === 192) return 1;
+    for (let c = 2; c <= 5; c++) if (n === 576 << (c - 2)) return c;
+    for (let c = 8; c <= 15; c++) if (n === 256 << (c - 8)) return c;
+  }
+  return n <= 256 ? 6 : 7;
+}
+
+function sampleRateCode(rate: number) {
+  if (SAMPLE_RATE_CODES[rate]) return SAMPLE_RATE_CODES[rate];
+  if (rate % 1000 === 0 && rate <= 255000) return 12;
+  if (rate < 65536) return 13;
+  if (rate % 10 === 0 && rate < 655360) return 14;
+  return 0; // from STREAMINFO
+}
+
+// Frame numbers use the UTF-8 byte pattern, extended to 31 bits
+function writeUtf8(w: BitWriter, v: number) {
+  if (v < 0x80) return w.write(v, 8);
+  let len = 2;
+  while (v >= 2 ** (5 * len + 1)) len++;
+  w.write(((0xff00 >> len) & 0xff) | Math.floor(v / 2 ** (6 * (len - 1))), 8);
+  for (let i = len - 2; i >= 0; i--) w.write(0x80 | (Math.floor(v / 2 ** (6 * i)) & 0x3f), 8);
+}
+
+// Sum of absolute residuals for each fixed predictor order, as a cost estimate
+function fixedSums(x: Int32Array): number[] {
+  const sums = [0, 0, 0, 0, 0];
+  for (let i = 4; i < x.length; i++) {
+    const e0 = x[i];
+    const e1 = e0 - x[i - 1];
+    const e2 = e1 - (x[i - 1] - x[i - 2]);
+    const e3 = e2 - (x[i - 1] - 2 * x[i - 2] + x[i - 3]);
+    const e4 = e3 - (x[i - 1] - 3 * x[i - 2] + 3 * x[i - 3] - x[i - 4]);
+    sums[0] += Math.abs(e0);
+    sums[1] += Math.abs(e1);
+    sums[2] += Math.abs(e2);
+    sums[3] += Math.abs(e3);
+    sums[4] += Math.abs(e4);
+  }
+  return sums;
+}
+
+function encodeSubframe(w: BitWriter, x: Int32Array, bps: number) {
+  const n = x.length;
+  let bits = 0;
+  let constant = true;
+  for (let i = 0; i < n; i++) {
+    bits |= x[i];
+    if (x[i] !== x[0]) constant = false;
+  }
+  if (constant) {
+    w.write(0, 8); // padding bit, CONSTANT, no wasted bits
+    w.signed(x[0], bps);
+    return;
+  }
+  // Low bits that are zero in every sample (e.g. 16-bit audio in a 24-bit stream) aren't coded
+  let wasted = 0;
+  while (!(bits & 1)) {
+    bits >>= 1;
+    wasted++;
+  }
+  if (wasted) {
+    x = x.map((v) => v >> wasted);
+    bps -= wasted;
+  }
+
+  let plan: RicePlan | null = null;
+  let order = 0;
+  let residual = new Uint32Array(0);
+  if (n > 4) {
+    const sums = fixedSums(x);
+    order = sums.indexOf(Math.min(...sums));
+    residual = fixedResidual(x, order);
+    plan = planRice(residual, order);
+  }
+  const verbatim = !plan || plan.bits + order * bps >= n * bps;
+
+  w.write(0, 1);
+  w.write(verbatim ? 1 : 8 + order, 6);
+  if (wasted) w.write((1 << wasted) | 1, wasted + 1); // flag, then wasted - 1 in unary
+  else w.write(0, 1);
+  if (verbatim) {
+    for (let i = 0; i < n; i++) w.signed(x[i], bps);
+    return;
+  }
+  for (let i = 0; i < order; i++) w.signed(x[i], bps);
+  const { method, partitionOrder, params } = plan!;
+  w.write(method, 2);
+  w.write(partitionOrder, 4);
+  const size = n >> partitionOrder;
+  params.forEach((k, p) => {
+    w.write(k, method ? 5 : 4);
+    for (let i = p ? p * size : order; i < (p + 1) * size; i++) w.rice(residual[i], k);
+  });
+}
+
+// Residuals of the fixed predictor, zigzagged to unsigned (0, -1, 1, -2, ... → 0, 1, 2, 3, ...)
+function fixedResidual(x: Int32Array, order: number): Uint32Array {
+  const out = new Uint32Array(x.length);
+  for (let i = order; i < x.length; i++) {
+    let e: number;
+    if (order === 0) e = x[i];
+    else if (order === 1) e = x[i] - x[i - 1];
+    else if (order === 2) e = x[i] - 2 * x[i - 1] + x[i - 2];
+    else if (order === 3) e = x[i] - 3 * x[i - 1] + 3 * x[i - 2] - x[i - 3];
+    else e = x[i] - 4 * x[i - 1] + 6 * x[i - 2] - 4 * x[i - 3] + x[i - 4];
+    out[i] = e >= 0 ? e * 2 : -e * 2 - 1;
+  }
+  return out;
+}
+
+type RicePlan = { method: number; partitionOrder: number; params: number[]; bits: number };
+
+// Choose the partition order and each partition's Rice parameter from estimated sizes: the sums of
+// the finest partitions are merged pairwise for each coarser order
+function planRice(u: Uint32Array, order: number): RicePlan {
+  const n = u.length;
+  let maxOrder = 0;
+  while (maxOrder < MAX_PARTITION_ORDER && n % (2 << maxOrder) === 0 && n >> (maxOrder + 1) > order) maxOrder++;
+  let sums = new Float64Array(1 << maxOrder);
+  const finest = n >> maxOrder;
+  for (let i = order; i < n; i++) sums[Math.floor(i / finest)] += u[i];
+
+  let best: RicePlan | null = null;
+  for (let p = maxOrder; p >= 0; p--) {
+    if (p < maxOrder) sums = sums.filter((_, i) => i % 2 === 0).map((s, i) => s + sums[2 * i + 1]);
+    const size = n >> p;
+    const params: number[] = [];
+    let bits = 0;
+    sums.forEach((sum, i) => {
+      const { k, cost } = riceParam(sum, i ? size : size - order);
+      params.push(k);
+      bits += cost;
+    });
+    const method = params.some((k) => k > 14) ? 1 : 0;
+    bits += 6 + params.length * (method ? 5 : 4);
+    if (!best || bits < best.bits) best = { method, partitionOrder: p, params, bits };
+  }
+  return best!;
+}
+
+function riceParam(sum: number, count: number) {
+  if (!count || !sum) return { k: 0, cost: count };
+  const guess = Math.max(0, Math.floor(Math.log2(sum / count)));
+  let best = { k: 0, cost: Infinity };
+  for (let k = Math.max(0, guess - 1); k <= Math.min(30, guess + 1); k++) {
+    const cost = count * (k + 1) + Math.floor(sum / 2 ** k);
+    if (cost < best.cost) best = { k, cost };
+  }
+  return best;
+}
+
+// Offset just past the 'fLaC' marker, skipping an ID3 tag in front of it
+function streamStart(b: Uint8Array): number {
+  const ascii = (o: number, n: number) => String.fromCharCode(...b.subarray(o, o + n));
+  let o = 0;
+  if (ascii(0, 3) === 'ID3') o = 10 + ((b[6] << 21) | (b[7] << 14) | (b[8] << 7) | b[9]);
+  if (ascii(o, 4) !== 'fLaC') throw new Error('Not a FLAC file');
+  return o + 4;
+}
+
+// STREAMINFO body at `o`
+function streamInfo(b: Uint8Array, o: number): FlacInfo {
+  const r = new BitReader(b);
+  r.pos = (o + 10) * 8; // past the block and frame size bounds
+  const sampleRate = r.read(20);
+  const numChannels = r.read(3) + 1;
+  const bitDepth = r.read(5) + 1;
+  const frames = r.read(36);
+  return { sampleRate, numChannels, bitDepth, frames };
+}
+
+/**
+ * STREAMINFO from the head of a FLAC file; it is always the first metadata block, so the head only
+ * needs to reach past it. `frames` is 0 when the encoder didn't know the length.
+ */
+export function readFlacInfo(head: ArrayBuffer): FlacInfo {
+  const b = new Uint8Array(head);
+  const o = streamStart(b);
+  if ((b[o] & 0x7f) !== 0) throw new Error('FLAC stream has no STREAMINFO');
+  if (o + 4 + 34 > b.length) throw new Error('FLAC metadata is truncated');
+  return streamInfo(b, o + 4);
+}
+
+/**
+ * The first intact frame in `buf`, a stretch cut from anywhere in a FLAC stream, or null if none
+ * starts and ends inside it: for sampling a long file without decoding all of it.
+ */
+export function decodeFlacFrameIn(buf: ArrayBuffer, info: FlacInfo): Float32Array[] | null {
+  const b = new Uint8Array(buf);
+  for (let o = 0; o + 2 <= b.length; o++) {
+    if (b[o] !== 0xff || (b[o + 1] & 0xfe) !== 0xf8) continue;
+    const r = new BitReader(b);
+    r.pos = o * 8;
+    try {
+      const frame = decodeFrame(r, b, info);
+      if (frame) return frame;
+    } catch {
+      // a sync pattern inside audio data, or a frame cut off by the end of the stretch
+    }
+  }
+  return null;
+}
+
+/** Decode a FLAC stream to float channels, with its Vorbis comments and any markers among them. */
+export function decodeFLAC(buf: ArrayBuffer): FlacData {
+  const b = new Uint8Array(buf);
+  let o = streamStart(b);
+
+  let info: FlacInfo | null = null;
+  let comments: FlacComment[] = [];
+  for (let last = false; !last; ) {
+    if (o + 4 > b.length) throw new Error('FLAC metadata is truncated');
+    last = !!(b[o] & 0x80);
+    const type = b[o] & 0x7f;
+    const length = (b[o + 1] << 16) | (b[o + 2] << 8) | b[o + 3];
+    o += 4;
+    if (type === 0) {
+      info = streamInfo(b, o);
+    } else if (type === 4) {
+      comments = readVorbisComment(b.subarray(o, o + length));
+    }
+    o += length;
+  }
+  if (!info) throw new Error('FLAC stream has no STREAMINFO');
+
+  const chunks: Float32Array[][] = Array.from({ length: info.numChannels }, () => []);
+  const r = new BitReader(b);
+  r.pos = o * 8;
+  let frames = 0;
+  while (r.pos / 8 + 2 <= b.length) {
+    const decoded = decodeFrame(r, b, info);
+    if (!decoded) break;
+    decoded.forEach((ch, c) => chunks[c].push(ch));
+    frames += decoded[0].length;
+  }
+  const channels = chunks.map((list) => {
+    const out = new Float32Array(frames);
+    let at = 0;
+    for (const ch of list) {
+      out.set(ch, at);
+      at += ch.length;
+    }
+    return out;
+  });
+
+  const markers: WavMarker[] = [];
+  for (const [key, value] of comments) {
+    const m = key.toUpperCase() === MARKER_TAG && /^(\d+) ?(.*)$/s.exec(value);
+    if (m) markers.push({ frame: Number(m[1]), label: m[2] });
+  }
+  return { info: { ...info, frames }, channels, markers, comments };
+}
+
+function readVorbisComment(b: Uint8Array): FlacComment[] {
+  const v = new DataView(b.buffer, b.byteOffset, b.byteLength);
+  const dec = new TextDecoder();
+  let o = 4 + v.getUint32(0, true); // vendor string
+  const count = v.getUint32(o, true);
+  o += 4;
+  const out: FlacComment[] = [];
+  for (let i = 0; i < count && o + 4 <= b.length; i++) {
+    const len = v.getUint32(o, true);
+    const s = dec.decode(b.subarray(o + 4, o + 4 + len));
+    o += 4 + len;
+    const eq = s.indexOf('=');
+    if (eq > 0) out.push([s.slice(0, eq), s.slice(eq + 1)]);
+  }
+  return out;
+}
+
+// One frame, or null where the frames end (trailing tags or padding); throws on damaged frames
+function decodeFrame(r: BitReader, b: Uint8Array, info: FlacInfo): Float32Array[] | null {
+  const start = r.pos / 8;
+  if (r.read(15) !== 0x7ffc) return null;
+  r.read(1); // blocking strategy: the frame/sample number below isn't needed to decode
+  const bsCode = r.read(4);
+  const srCode = r.read(4);
+  const assignment = r.read(4);
+  const ssCode = r.read(3);
+  r.read(1);
+  const first = r.read(8);
+  for (let i = Math.clz32(~(first << 24)) - 1; i > 0; i--) r.read(8);
+  let n: number;
+  if (bsCode === 1) n = 192;
+  else if (bsCode >= 2 && bsCode <= 5) n = 576 << (bsCode - 2);
+  else if (bsCode === 6) n = r.read(8) + 1;
+  else if (bsCode === 7) n = r.read(16) + 1;
+  else if (bsCode >= 8) n = 256 << (bsCode - 8);
+  else throw new Error(`FLAC frame at byte ${start} has a reserved block size`);
+  if (srCode === 12) r.read(8);
+  else if (srCode === 13 || srCode === 14) r.read(16);
+  const bps = ssCode ? SAMPLE_SIZES[ssCode] : info.bitDepth;
+  if (!bps || assignment > 10) throw new Error(`FLAC frame at byte ${start} has a reserved header field`);
+  if (crc8(b, start, r.pos / 8) !== r.read(8)) throw new Error(`FLAC frame at byte ${start} is damaged`);
+
+  const count = assignment < 8 ? assignment + 1 : 2;
+  const sideAt = assignment === 9 ? 0 : assignment >= 8 ? 1 : -1;
+  const subframes = Array.from({ length: count }, (_, c) => {
+    const out = new Int32Array(n);
+    decodeSubframe(r, out, bps + (c === sideAt ? 1 : 0));
+    return out;
+  });
+  r.align();
+  const end = r.pos / 8;
+  if (crc16(b, start, end) !== r.read(16)) throw new Error(`FLAC frame at byte ${start} is damaged`);
+
+  if (assignment >= 8) {
+    const [a, s] = assignment === 9 ? [subframes[1], subframes[0]] : subframes;
+    for (let i = 0; i < n; i++) {
+      if (assignment === 8) s[i] = a[i] - s[i]; // left/side → right
+      else if (assignment === 9) subframes[0][i] = a[i] + s[i]; // side/right → left
+      else {
+        const mid = a[i] * 2 + (s[i] & 1);
+        a[i] = (mid + s[i]) >> 1;
+        s[i] = (mid - s[i]) >> 1;
+      }
+    }
+  }
+  const scale = 1 / 2 ** (bps - 1);
+  return subframes.map((x) => Float32Array.from(x, (v) => v * scale));
+}
+
+function decodeSubframe(r: BitReader, out: Int32Array, bps: number) {
+  const n = out.length;
+  r.read(1);
+  const type = r.read(6);
+  const wasted = r.read(1) ? r.unary() + 1 : 0;
+  bps -= wasted;
+  if (type === 0) {
+    out.fill(r.signed(bps));
+  } else if (type === 1) {
+    for (let i = 0; i < n; i++) out[i] = r.signed(bps);
+  } else if (type >= 8 && type <= 12) {
+    const order = type - 8;
+    for (let i = 0; i < order; i++) out[i] = r.signed(bps);
+    readResidual(r, out, order);
+    for (let i = order; i < n; i++) {
+      if (order === 1) out[i] += out[i - 1];
+      else if (order === 2) out[i] += 2 * out[i - 1] - out[i - 2];
+      else if (order === 3) out[i] += 3 * out[i - 1] - 3 * out[i - 2] + out[i - 3];
+      else if (order === 4) out[i] += 4 * out[i - 1] - 6 * out[i - 2] + 4 * out[i - 3] - out[i - 4];
+    }
+  } else if (type >= 32) {
+    const order = type - 31;
+    for (let i = 0; i < order; i++) out[i] = r.signed(bps);
+    const precision = r.read(4) + 1;
+    const shift = r.signed(5);
+    if (precision === 16 || shift < 0) throw new Error('FLAC LPC subframe is invalid');
+    const coefs = Array.from({ length: order }, () => r.signed(precision));
+    readResidual(r, out, order);
+    const div = 2 ** shift;
+    for (let i = order; i < n; i++) {
+      let sum = 0;
+      for (let j = 0; j < order; j++) sum += coefs[j] * out[i - 1 - j];
+      out[i] += Math.floor(sum / div);
+    }
+  } else {
+    throw new Error(`FLAC subframe type ${type} is reserved`);
+  }
+  if (wasted) for (let i = 0; i < n; i++) out[i] *= 2 ** wasted;
+}
+
+function readResidual(r: BitReader, out: Int32Array, order: number) {
+  const method = r.read(2);
+  if (method > 1) throw new Error('FLAC residual coding method is reserved');
+  const paramBits = method ? 5 : 4;
+  const escape = method ? 31 : 15;
+  const partitionOrder = r.read(4);
+  const size = out.length >> partitionOrder;
+  let i = order;
+  for (let p = 0; p < 1 << partitionOrder; p++) {
+    const end = (p + 1) * size;
+    const k = r.read(paramBits);
+    if (k === escape) {
+      const bits = r.read(5);
+      for (; i < end; i++) out[i] = bits ? r.signed(bits) : 0;
+      continue;
+    }
+    for (; i < end; i++) {
+      const u = r.unary() * (1 << k) + r.read(k);
+      out[i] = (u >>> 1) ^ -(u & 1);
+    }
+  }
+}
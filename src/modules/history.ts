@@ -0,0 +1,138 @@
+import {
+  append, readJournal, snapshot, loadSnapshot, compact, type JournalOp, type JournalProblem
+} from './journal';
+import { applyOp, emptySession, type Session, type SessionOp, inverseOp } from './session';
+
+// Undo/redo on top of the journal. Each user action is journaled once as an 'action' record that
+// carries its ops and the ops that revert it; undo and redo are journaled too, so the stacks are
+// rebuilt exactly on reload. Snapshots of the whole history keep that replay short.
+export type Action = { id: string; label: string; ops: SessionOp[]; inverse: SessionOp[] };
+export type History = { session: Session; done: Action[]; undone: Action[] };
+
+const MAX_UNDO = 200;
+const SNAPSHOT_EVERY = 50; // journal records between snapshots
+
+// What boot recovery found: the snapshot it started from, how much journal it replayed on top
+export type Recovery = { snapshotTs: number | null; replayed: number; problems: JournalProblem[] };
+
+let sinceSnapshot = 0;
+
+// Snapshot files are tagged with a version. Untagged ones come from before the tag: the first
+// format wrapped the history as `{ ts, history }`, later ones were the bare History. A version
+// this build doesn't know is skipped like a damaged snapshot, falling back to an older one.
+const SNAPSHOT_VERSION = 2;
+
+function encodeSnapshot(history: History): ArrayBuffer {
+  return new TextEncoder().encode(JSON.stringify({ version: SNAPSHOT_VERSION, history })).buffer as ArrayBuffer;
+}
+
+function decodeSnapshot(json: any): History | null {
+  if (json?.version !== undefined && json.version !== SNAPSHOT_VERSION) return null;
+  const h = json?.version === undefined && !('history' in json) ? json : json.history;
+  if (!Array.isArray(h?.session?.tracks) || !Array.isArray(h.done) || !Array.isArray(h.undone)) return null;
+  return { ...h, session: { ...emptySession(), ...h.session } }; // old sessions predate the tempo map
+}
+
+export function emptyHistory(): History {
+  return { session: emptySession(), done: [], undone: [] };
+}
+
+/** Pure reducer over journal records; plain session ops from older journals apply but can't be undone. */
+export function reduceHistory(h: History, op: JournalOp): History {
+  const p = op.payload as any;
+  switch (op.kind) {
+    case 'action':
+      return { session: p.ops.reduce(applyOp, h.session), done: [...h.done, p].slice(-MAX_UNDO), undone: [] };
+    case 'undo': {
+      const a = h.done[h.done.length - 1];
+      if (a?.id !== p.id) return h;
+      return { session: a.inverse.reduce(applyOp, h.session), done: h.done.slice(0, -1), undone: [...h.undone, a] };
+    }
+    case 'redo': {
+      const a = h.undone[h.undone.length - 1];
+      if (a?.id !== p.id) return h;
+      return { session: a.ops.reduce(applyOp, h.session), done: [...h.done, a], undone: h.undone.slice(0, -1) };
+    }
+    default:
+      return { ...h, session: applyOp(h.session, op) };
+  }
+}
+
+/** Latest readable snapshot plus the journal written after it, for the project being edited. */
+export async function loadHistory(projectId: string): Promise<{ history: History; recovery: Recovery }> {
+  const loaded = await readHistory(projectId);
+  sinceSnapshot = loaded.recovery.replayed;
+  return loaded;
+}
+
+/** The same, for looking at another project (export, cleanup) without disturbing snapshot timing. */
+export async function readHistory(projectId: string): Promise<{ history: History; recovery: Recovery }> {
+  const problems: JournalProblem[] = [];
+  const snap = await loadSnapshot(projectId, problems, decodeSnapshot);
+  const journal = await readJournal(projectId);
+  const ops = journal.ops.filter((op) => !snap || op.seq! > snap.seq);
+  const history = ops.reduce(reduceHistory, snap?.data ?? emptyHistory());
+  return {
+    history,
+    recovery: { snapshotTs: snap?.ts ?? null, replayed: ops.length, problems: [...problems, ...journal.problems] }
+  };
+}
+
+/** Journal one user action made of `ops`, then apply it. */
+export async function perform(projectId: string, h: History, label: string, ops: SessionOp[]): Promise<History> {
+  const inverse: SessionOp[] = [];
+  ops.reduce((s, op) => {
+    inverse.unshift(inverseOp(s, op));
+    return applyOp(s, op);
+  }, h.session);
+  const action: Action = { id: crypto.randomUUID().slice(0, 8), label, ops, inverse };
+  return record(projectId, h, { ts: Date.now(), kind: 'action', payload: action });
+}
+
+export async function undo(projectId: string, h: History): Promise<History> {
+  const a = h.done[h.done.length - 1];
+  return a ? record(projectId, h, { ts: Date.now(), kind: 'undo', payload: { id: a.id } }) : h;
+}
+
+export async function redo(projectId: string, h: History): Promise<History> {
+  const a = h.undone[h.undone.length - 1];
+  return a ? record(projectId, h, { ts: Date.now(), kind: 'redo', payload: { id: a.id } }) : h;
+}
+
+/** Undo or redo until `count` actions are done. */
+export async function jumpTo(projectId: string, h: History, count: number): Promise<History> {
+  while (h.done.length > count) h = await undo(projectId, h);
+  while (h.done.length < count && h.undone.length) h = await redo(projectId, h);
+  return h;
+}
+
+async function record(projectId: string, h: History, op: JournalOp): Promise<History> {
+  const seq = await append(projectId, op);
+  const next = reduceHistory(h, op);
+  if (++sinceSnapshot >= SNAPSHOT_EVERY) {
+    sinceSnapshot = 0;
+    await snapshot(projectId, encodeSnapshot(next), seq);
+    await compact(projectId).catch((e) => console.warn('[history] compaction failed:', e));
+  }
+  return next;
+}
+
+/** Short name of a single-op action for the history list. */
+export function describe(op: SessionOp): string {
+  switch (op.kind) {
+    case 'track-add': return `Add ${op.payload.name}`;
+    case 'track-remove': return 'Remove track';
+    case 'track-update': return `Change ${Object.keys(op.payload).filter((k) => k !== 'id').join(', ') || 'track'}`;
+    case 'track-restore': return 'Restore track';
+    case 'clip-add': return 'Add clip';
+    case 'clip-remove': return 'Remove clip';
+    case 'clip-move': return 'Move clip';
+    case 'clip-trim': return 'Trim clip';
+    case 'clip-split': return 'Split clip';
+    case 'clip-fade': return 'Edit fades';
+    case 'take-add': return 'Add take';
+    case 'take-remove': return 'Remove take';
+    case 'comp-set': return 'Comp';
+    case 'tempo-set': return 'Change tempo';
+  }
+}
@@ -0,0 +1,23 @@
+import type { History } from './history';
+
+// Undo history as a list: done actions, then undone ones (dimmed). Clicking an entry undoes or
+// redoes up to and including it; the first row goes back to before the oldest kept action.
+export function renderHistory(container: HTMLElement, h: History, jump: (count: number) => void) {
+  container.innerHTML = '';
+  const entries = [...h.done, ...[...h.undone].reverse()];
+  container.appendChild(item('Start', 0, h.done.length === 0, false, jump));
+  entries.forEach((a, i) => {
+    container.appendChild(item(a.label, i + 1, i + 1 === h.done.length, i >= h.done.length, jump));
+  });
+  container.lastElementChild?.scrollIntoView({ block: 'nearest' });
+}
+
+function item(label: string, count: number, current: boolean, undone: boolean, jump: (count: number) => void) {
+  const d = document.createElement('div');
+  d.className = 'file-item history-item';
+  if (current) d.classList.add('selected');
+  if (undone) d.classList.add('undone');
+  d.textContent = label;
+  d.addEventListener('click', () => jump(count));
+  return d;
+}
@@ -1,5 +1,6 @@
 import { envInfo } from './env';
-import { canUseWebCodecs } from './encode';
+import { canUseWebCodecs, chooseEncoder, type EncodeFormat, type EncoderChoice } from './encode';
+import type { RingStats } from './ringbuffer';
 
 export async function mountHUD() {
   const hud = {
@@ -19,4 +20,26 @@ export async function mountHUD() {
   } catch (e) {
     hud.webcodecs.textContent = 'error';
   }
+  updateEncoderHUD('opus', await chooseEncoder('opus'));
+}
+
+const ENCODER_LABELS = { webcodecs: 'WebCodecs', ffmpeg: 'ffmpeg.wasm' };
+
+/** Which encoder handles `format` (the last export's, or Opus at startup); the reason is the tooltip. */
+export function updateEncoderHUD(format: EncodeFormat, choice: EncoderChoice) {
+  const el = document.getElementById('hud-encoder')!;
+  el.textContent = `${format.toUpperCase()} → ${ENCODER_LABELS[choice.encoder]}`;
+  el.title = choice.reason;
+}
+
+export function updateRingHUD(stats: RingStats & { mode: 'sab' | 'postMessage' }) {
+  const el = document.getElementById('hud-ring')!;
+  el.textContent = stats.mode === 'sab' ? `SAB ovf ${stats.overflow} / unf ${stats.underflow}` : 'postMessage';
+  document.getElementById('indicator-ring')!.classList.toggle('error', stats.overflow > 0);
+}
+
+export function updateXrunHUD(stats: { total: number; perMinute: number; batchFrames: number }) {
+  const el = document.getElementById('hud-xruns')!;
+  el.textContent = `${stats.perMinute}/min (${stats.total} total, ${stats.batchFrames}f)`;
+  document.getElementById('indicator-xruns')!.classList.toggle('error', stats.perMinute > 0);
 }
@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import { sniffAudio } from './importer';
+import { encodeWAV } from './wav';
+
+// A RIFF chunk of `size` zero bytes, for placing ahead of the format chunk
+function chunk(id: string, size: number) {
+  const out = new Uint8Array(8 + size);
+  out.set(new TextEncoder().encode(id));
+  new DataView(out.buffer).setUint32(4, size, true);
+  return out;
+}
+
+describe('sniffAudio', () => {
+  it('reads the rate of a WAV from its head', () => {
+    const wav = new Uint8Array(encodeWAV([new Float32Array(48000)], 44100, { bitDepth: 16 }));
+    expect(sniffAudio(wav)).toEqual({ format: 'wav', sampleRate: 44100 });
+  });
+
+  it('leaves WAVs it cannot read to the decoder', () => {
+    const wav = new Uint8Array(encodeWAV([new Float32Array(100)], 44100, { bitDepth: 16 }));
+    const junk = chunk('JUNK', 100 * 1024);
+    const moved = new Uint8Array(wav.length + junk.length);
+    moved.set(wav.subarray(0, 12));
+    moved.set(junk, 12);
+    moved.set(wav.subarray(12), 12 + junk.length);
+    expect(sniffAudio(moved)).toEqual({ format: 'wav' });
+  });
+
+  it('knows FLAC and Ogg by their magic', () => {
+    const flac = new Uint8Array(64);
+    flac.set(new TextEncoder().encode('fLaC'));
+    flac.set([0x0b, 0xb8, 0x00], 18); // 48000 << 4
+    expect(sniffAudio(flac)).toEqual({ format: 'flac', sampleRate: 48000 });
+    expect(sniffAudio(new TextEncoder().encode('not audio at all, just text'))).toBeNull();
+  });
+});
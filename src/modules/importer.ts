@@ -0,0 +1,122 @@
+import { saveFile } from './opfs';
+import { projectFile } from './projects';
+import { readWavInfo, encodeWAV } from './wav';
+import { bufferChannels } from './render';
+
+// Audio files brought in from outside (drop or file picker). The format is told from the file's
+// first bytes, not its name. Without resampling the file is stored as it is; with it, the decode at
+// the target rate is stored as 32-bit float WAV.
+export type ImportFormat = 'wav' | 'flac' | 'mp3' | 'ogg';
+export type ImportStage = 'reading' | 'decoding' | 'saving';
+export type ImportResult = { path: string; duration: number; sampleRate: number; channels: number; resampled: boolean };
+
+const IMPORTS_DIR = 'imports';
+const WAV_HEAD_BYTES = 64 * 1024; // enough to reach the fmt chunk of any ordinary WAV
+const MP3_RATES = [
+  [11025, 12000, 8000], // MPEG 2.5
+  [0, 0, 0],
+  [22050, 24000, 16000], // MPEG 2
+  [44100, 48000, 32000] // MPEG 1
+];
+
+/**
+ * Decode `file`, store it under project `projectId`'s imports folder and return the project-relative path.
+ * With `targetRate` (the session's rate), audio at any other rate is resampled to it.
+ */
+export async function importAudio(
+  file: File,
+  projectId: string,
+  opts: { targetRate?: number; onProgress?: (stage: ImportStage, fraction: number) => void } = {}
+): Promise<ImportResult> {
+  const progress = opts.onProgress ?? (() => {});
+  const bytes = await readAll(file, (f) => progress('reading', f));
+  const sniffed = sniffAudio(bytes);
+  if (!sniffed) throw new Error(`${file.name}: unsupported format (expected WAV, FLAC, MP3 or OGG)`);
+  const { format, sampleRate: native } = sniffed;
+
+  const resample = !!opts.targetRate && opts.targetRate !== native;
+  // decodeAudioData converts to the context's rate: that is the resampling, and decoding at the
+  // file's own rate is how it is avoided
+  const rate = resample || !native ? opts.targetRate ?? 48000 : native;
+  progress('decoding', 0);
+  let audio: AudioBuffer;
+  try {
+    // decodeAudioData takes the buffer over; the file is saved from `file` itself, so no copy is kept
+    const whole = bytes.length === bytes.buffer.byteLength ? bytes.buffer : bytes.slice().buffer;
+    audio = await new OfflineAudioContext(1, 1, rate).decodeAudioData(whole as ArrayBuffer);
+  } catch {
+    throw new Error(`${file.name}: this browser could not decode the ${format.toUpperCase()} data`);
+  }
+  progress('decoding', 1);
+
+  const stem = file.name.replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_') || 'audio';
+  let path: string;
+  progress('saving', 0);
+  if (resample) {
+    path = `${IMPORTS_DIR}/${Date.now()}-${stem}.wav`;
+    await saveFile(projectFile(path, projectId), encodeWAV(bufferChannels(audio), audio.sampleRate, { bitDepth: 32 }));
+  } else {
+    path = `${IMPORTS_DIR}/${Date.now()}-${stem}.${format}`;
+    await saveFile(projectFile(path, projectId), file);
+  }
+  progress('saving', 1);
+  return {
+    path,
+    duration: audio.duration,
+    sampleRate: audio.sampleRate,
+    channels: audio.numberOfChannels,
+    resampled: resample
+  };
+}
+
+async function readAll(file: File, onProgress: (fraction: number) => void): Promise<Uint8Array> {
+  const out = new Uint8Array(file.size);
+  const reader = file.stream().getReader();
+  let o = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    out.set(value, o);
+    o += value.length;
+    onProgress(file.size ? o / file.size : 1);
+  }
+  return out.subarray(0, o);
+}
+
+/** Format from the magic bytes, with the sample rate when the header gives it. */
+export function sniffAudio(b: Uint8Array): { format: ImportFormat; sampleRate?: number } | null {
+  const ascii = (o: number, n: number) => String.fromCharCode(...b.subarray(o, o + n));
+  if (b.length < 12) return null;
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WAVE') {
+    // Formats readWavInfo doesn't take (8-bit, compressed, fmt past the head) may still decode
+    try {
+      return { format: 'wav', sampleRate: readWavInfo(b.slice(0, WAV_HEAD_BYTES).buffer, b.length).sampleRate };
+    } catch {
+      return { format: 'wav' };
+    }
+  }
+  if (ascii(0, 4) === 'fLaC') {
+    // STREAMINFO is always the first metadata block; the rate is 20 bits at byte 10 of its body
+    return { format: 'flac', sampleRate: (b[18] << 12) | (b[19] << 4) | (b[20] >> 4) || undefined };
+  }
+  if (ascii(0, 4) === 'OggS') {
+    const body = 27 + b[26]; // after the segment table of the first page
+    if (ascii(body, 7) === '\x01vorbis') {
+      return { format: 'ogg', sampleRate: new DataView(b.buffer, b.byteOffset).getUint32(body + 12, true) };
+    }
+    if (ascii(body, 8) === 'OpusHead') return { format: 'ogg', sampleRate: 48000 }; // Opus always decodes at 48k
+    return { format: 'ogg' };
+  }
+  // MP3: skip an ID3v2 tag, then read the first frame header
+  let o = 0;
+  if (ascii(0, 3) === 'ID3') o = 10 + ((b[6] << 21) | (b[7] << 14) | (b[8] << 7) | b[9]);
+  for (const end = Math.min(b.length - 4, o + 4096); o < end; o++) {
+    if (b[o] !== 0xff || (b[o + 1] & 0xe0) !== 0xe0) continue;
+    const version = (b[o + 1] >> 3) & 3;
+    const layer = (b[o + 1] >> 1) & 3;
+    const rateIndex = (b[o + 2] >> 2) & 3;
+    if (version === 1 || layer === 0 || rateIndex === 3) continue;
+    return { format: 'mp3', sampleRate: MP3_RATES[version][rateIndex] };
+  }
+  return null;
+}
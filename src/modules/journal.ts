@@ -1,41 +1,288 @@
-export type JournalOp = { ts: number; kind: string; payload: unknown };
+import { crc32 } from './crc32';
+
+export type JournalOp = { ts: number; kind: string; payload: unknown; seq?: number };
+
+// Damage found while reading the journal back; the affected records are left out of the replay.
+export type JournalProblem = {
+  file: string;
+  line?: number;
+  seq?: number;
+  issue:
+    | 'empty'
+    | 'partial'
+    | 'unparseable'
+    | 'malformed'
+    | 'bad-checksum'
+    | 'gap'
+    | 'out-of-order'
+    | 'bad-snapshot';
+};
+
+export type JournalReport = {
+  segments: number;
+  records: number;
+  first: number | null;
+  last: number | null;
+  problems: JournalProblem[];
+};
+
+// Ops are records in segment files named after their first sequence number, one line each:
+// `seq<TAB>crc32<TAB>json`, the CRC taken over the JSON bytes. Appends go to the newest segment
+// until it passes SEGMENT_BYTES, then a new one is started. Appends are queued so sequence
+// numbers match write order.
+const SEGMENT_BYTES = 256 * 1024;
+const SEGMENT = /^seg-(\d+)\.log$/;
+const SNAPSHOT = /^snap-(\d+)\.bin$/;
+const LEGACY_LOG = /^\d+-.+\.log$/; // one file per op, from before segments
+const LEGACY_SNAPSHOT = /^(\d+)\.bin$/; // named by time rather than sequence
+
+type Head = { seq: number; segment: string; size: number }; // segment '' = start a new one
+const heads = new Map<string, Head>();
+const migrated = new Map<string, Promise<JournalProblem[]>>();
+let queue: Promise<unknown> = Promise.resolve();
 
 async function rootDir() {
   // @ts-ignore
   return await navigator.storage.getDirectory();
 }
 
-export async function append(projectId: string, op: JournalOp) {
+/** Append an op; resolves with its sequence number once the record is on disk. */
+export function append(projectId: string, op: JournalOp): Promise<number> {
+  const done = queue.then(async () => {
+    await migrate(projectId);
+    return write(projectId, op);
+  });
+  queue = done.catch(() => {});
+  return done;
+}
+
+async function write(projectId: string, op: JournalOp): Promise<number> {
   const dir = await ensureDir(`projects/${projectId}/journal`);
-  const name = `${op.ts}-${op.kind}.log`;
-  const fh = await dir.getFileHandle(name, { create: true });
-  const w = await fh.createWritable();
-  await w.write(new TextEncoder().encode(JSON.stringify(op) + "\n"));
+  let head = heads.get(projectId) ?? (await findHead(dir));
+  const seq = head.seq + 1;
+  const line = encodeRecord(seq, { ...op, seq });
+  if (!head.segment || (head.size > 0 && head.size + line.length > SEGMENT_BYTES)) {
+    head = { seq: head.seq, segment: segmentName(seq), size: 0 };
+  }
+  const fh = await dir.getFileHandle(head.segment, { create: true });
+  // The write lands in a swap file that replaces the segment on close, so a record is either
+  // fully there or not at all
+  const w = await fh.createWritable({ keepExistingData: true });
+  await w.seek(head.size);
+  await w.write(line);
   await w.close();
+  heads.set(projectId, { seq, segment: head.segment, size: head.size + line.length });
+  return seq;
+}
+
+function encodeRecord(seq: number, op: JournalOp): Uint8Array {
+  const json = JSON.stringify(op);
+  const crc = crc32(new TextEncoder().encode(json)).toString(16).padStart(8, '0');
+  return new TextEncoder().encode(`${seq}\t${crc}\t${json}\n`);
 }
 
-export async function snapshot(projectId: string, data: ArrayBuffer) {
+function parseRecord(line: string): { seq?: number; op?: JournalOp; issue?: JournalProblem['issue'] } {
+  const [seqText, crc, ...rest] = line.split('\t');
+  const json = rest.join('\t');
+  const seq = Number(seqText);
+  if (!Number.isInteger(seq) || !json) return { issue: 'unparseable' };
+  if (crc32(new TextEncoder().encode(json)).toString(16).padStart(8, '0') !== crc) {
+    return { seq, issue: 'bad-checksum' };
+  }
+  let op: JournalOp;
+  try {
+    op = JSON.parse(json);
+  } catch {
+    return { seq, issue: 'unparseable' };
+  }
+  if (typeof op?.ts !== 'number' || typeof op.kind !== 'string') return { seq, issue: 'malformed' };
+  return { seq, op: { ...op, seq } };
+}
+
+function segmentName(firstSeq: number) {
+  return `seg-${String(firstSeq).padStart(12, '0')}.log`;
+}
+
+// Where the next record goes: after the highest sequence number in the newest segment. A segment
+// with a torn last line is left alone so the damage stays isolated.
+async function findHead(dir: any): Promise<Head> {
+  const names = await fileNames(dir, SEGMENT);
+  if (!names.length) return { seq: 0, segment: '', size: 0 };
+  const name = names[names.length - 1];
+  const file = await (await dir.getFileHandle(name)).getFile();
+  const text: string = await file.text();
+  let seq = Number(SEGMENT.exec(name)![1]) - 1;
+  for (const line of text.split('\n')) {
+    const n = parseInt(line);
+    if (Number.isInteger(n) && n > seq) seq = n;
+  }
+  return { seq, segment: text === '' || text.endsWith('\n') ? name : '', size: file.size };
+}
+
+/** Store a snapshot of the state after the op with sequence number `seq`. */
+export async function snapshot(projectId: string, data: ArrayBuffer, seq: number) {
   const dir = await ensureDir(`projects/${projectId}/snapshots`);
-  const fh = await dir.getFileHandle(`${Date.now()}.bin`, { create: true });
+  const fh = await dir.getFileHandle(`snap-${String(seq).padStart(12, '0')}.bin`, { create: true });
   const w = await fh.createWritable();
   await w.write(data);
   await w.close();
 }
 
+/**
+ * Newest snapshot that still parses, as JSON, with the sequence number it covers up to and when it
+ * was written. `parse` turns the JSON into the caller's state, or null for a shape it can't use.
+ * Unreadable ones are reported in `problems` and the next older one is tried.
+ */
+export async function loadSnapshot<T>(
+  projectId: string,
+  problems: JournalProblem[] = [],
+  parse: (json: any) => T | null = (json) => json
+): Promise<{ seq: number; ts: number; data: T } | null> {
+  await migrate(projectId);
+  const dir = await ensureDir(`projects/${projectId}/snapshots`);
+  for (const name of (await fileNames(dir, SNAPSHOT)).reverse()) {
+    try {
+      const f = await (await dir.getFileHandle(name)).getFile();
+      const data = parse(JSON.parse(await f.text()));
+      if (data === null) throw new Error('Unknown snapshot format');
+      return { seq: Number(SNAPSHOT.exec(name)![1]), ts: f.lastModified, data };
+    } catch {
+      problems.push({ file: `snapshots/${name}`, issue: 'bad-snapshot' });
+    }
+  }
+  return null;
+}
+
 export async function replay(projectId: string): Promise<JournalOp[]> {
+  return (await readJournal(projectId)).ops;
+}
+
+/** Every intact op in sequence order, plus what could not be read and why. */
+export async function readJournal(projectId: string): Promise<{ ops: JournalOp[]; problems: JournalProblem[] }> {
+  const { ops, report } = await scan(projectId);
+  return { ops, problems: report.problems };
+}
+
+/** Check every segment: checksums, torn writes, and gaps or reordering in the sequence. */
+export async function verifyJournal(projectId: string): Promise<JournalReport> {
+  return (await scan(projectId)).report;
+}
+
+async function scan(projectId: string): Promise<{ ops: JournalOp[]; report: JournalReport }> {
+  const problems = [...(await migrate(projectId))];
+  await queue; // let pending appends land first
+  const dir = await ensureDir(`projects/${projectId}/journal`);
+  const names = await fileNames(dir, SEGMENT);
+  const ops: JournalOp[] = [];
+  const seen = new Set<number>();
+  let prev = 0;
+  for (const name of names) {
+    const file = `journal/${name}`;
+    const text: string = await (await (await dir.getFileHandle(name)).getFile()).text();
+    if (!text) {
+      problems.push({ file, issue: 'empty' });
+      continue;
+    }
+    const lines = text.split('\n');
+    // Every record ends in a newline; a segment that doesn't was cut off mid-write
+    if (!text.endsWith('\n')) problems.push({ file, line: lines.length, issue: 'partial' });
+    lines.slice(0, -1).forEach((line, i) => {
+      const rec = parseRecord(line);
+      if (rec.seq !== undefined) {
+        if (rec.seq <= prev) problems.push({ file, line: i + 1, seq: rec.seq, issue: 'out-of-order' });
+        seen.add(rec.seq);
+        prev = Math.max(prev, rec.seq);
+      }
+      if (rec.op) ops.push(rec.op);
+      else problems.push({ file, line: i + 1, seq: rec.seq, issue: rec.issue! });
+    });
+  }
+  ops.sort((a, b) => a.seq! - b.seq!);
+  const all = [...seen].sort((a, b) => a - b);
+  for (let i = 1; i < all.length; i++) {
+    if (all[i] > all[i - 1] + 1) problems.push({ file: 'journal', seq: all[i - 1] + 1, issue: 'gap' });
+  }
+  const report = {
+    segments: names.length,
+    records: ops.length,
+    first: all[0] ?? null,
+    last: all[all.length - 1] ?? null,
+    problems
+  };
+  return { ops, report };
+}
+
+/**
+ * Keep the newest `keep` snapshots and drop the ones before them, along with segments that the
+ * oldest kept snapshot already covers. Keeping more than one leaves a fallback if the newest
+ * snapshot turns out to be unreadable. The newest segment always stays.
+ */
+export async function compact(projectId: string, keep = 2) {
+  const snaps = await ensureDir(`projects/${projectId}/snapshots`);
+  const names = await fileNames(snaps, SNAPSHOT);
+  if (names.length < keep) return;
+  const cutoff = Number(SNAPSHOT.exec(names[names.length - keep])![1]);
+  for (const name of names.slice(0, -keep)) await snaps.removeEntry(name);
+  const journal = await ensureDir(`projects/${projectId}/journal`);
+  const segments = await fileNames(journal, SEGMENT);
+  for (let i = 0; i + 1 < segments.length; i++) {
+    const lastSeq = Number(SEGMENT.exec(segments[i + 1])![1]) - 1;
+    if (lastSeq <= cutoff) await journal.removeEntry(segments[i]);
+  }
+}
+
+// Journals from before segments kept one file per op and named snapshots by time. Move those ops
+// into segments in time order and rename the snapshots to the sequence number they cover.
+function migrate(projectId: string): Promise<JournalProblem[]> {
+  let done = migrated.get(projectId);
+  if (!done) {
+    done = migrateLegacy(projectId);
+    migrated.set(projectId, done);
+  }
+  return done;
+}
+
+async function migrateLegacy(projectId: string): Promise<JournalProblem[]> {
+  const problems: JournalProblem[] = [];
   const dir = await ensureDir(`projects/${projectId}/journal`);
-  const out: JournalOp[] = [];
+  const names = await fileNames(dir, LEGACY_LOG);
+  const ops: JournalOp[] = [];
+  for (const name of names) {
+    const text: string = await (await (await dir.getFileHandle(name)).getFile()).text();
+    text.split('\n').forEach((line, i) => {
+      if (!line) return;
+      try {
+        ops.push(JSON.parse(line));
+      } catch {
+        problems.push({ file: `journal/${name}`, line: i + 1, issue: 'unparseable' });
+      }
+    });
+  }
+  ops.sort((a, b) => a.ts - b.ts);
+  const base = (heads.get(projectId) ?? (await findHead(dir))).seq;
+  const seqs: { ts: number; seq: number }[] = [];
+  for (const op of ops) seqs.push({ ts: op.ts, seq: await write(projectId, op) });
+
+  const snaps = await ensureDir(`projects/${projectId}/snapshots`);
+  for (const name of await fileNames(snaps, LEGACY_SNAPSHOT)) {
+    const ts = Number(LEGACY_SNAPSHOT.exec(name)![1]);
+    const covered = seqs.filter((s) => s.ts <= ts);
+    const data = await (await (await snaps.getFileHandle(name)).getFile()).arrayBuffer();
+    await snapshot(projectId, data, covered.length ? covered[covered.length - 1].seq : base);
+    await snaps.removeEntry(name);
+  }
+  for (const name of names) await dir.removeEntry(name);
+  return problems;
+}
+
+// Matching file names in a directory; zero-padded and time-stamped names sort by number
+async function fileNames(dir: any, pattern: RegExp): Promise<string[]> {
+  const names: string[] = [];
   // @ts-ignore
   for await (const [name, handle] of dir.entries()) {
-    if (handle.kind !== 'file' || !name.endsWith('.log')) continue;
-    const f = await handle.getFile();
-    const txt = await f.text();
-    txt.split(/\n/).filter(Boolean).forEach(line => {
-      try { out.push(JSON.parse(line)); } catch {}
-    });
+    if (handle.kind === 'file' && pattern.test(name)) names.push(name);
   }
-  out.sort((a,b) => a.ts - b.ts);
-  return out;
+  return names.sort((a, b) => parseInt(a.replace(/^\D+/, '')) - parseInt(b.replace(/^\D+/, '')));
 }
 
 async function ensureDir(path: string): Promise<any> {
@@ -0,0 +1,24 @@
+import { describe, expect, it } from 'vitest';
+import { crossCorrelate } from './latency';
+
+describe('crossCorrelate', () => {
+  it('matches the direct sum at every lag', () => {
+    const a = Float32Array.from({ length: 300 }, (_, i) => Math.sin(i * 0.37) + ((i * 7919) % 13) / 13);
+    const b = Float32Array.from({ length: 37 }, (_, i) => Math.cos(i * 1.3));
+    const corr = crossCorrelate(a, b);
+    expect(corr.length).toBe(264);
+    for (let lag = 0; lag < corr.length; lag++) {
+      let acc = 0;
+      for (let i = 0; i < b.length; i++) acc += b[i] * a[lag + i];
+      expect(corr[lag]).toBeCloseTo(acc, 6);
+    }
+  });
+
+  it('peaks where the burst sits', () => {
+    const burst = Float32Array.from({ length: 64 }, (_, i) => ((i * 37) % 11 < 5 ? 0.5 : -0.5));
+    const rec = new Float32Array(1000);
+    rec.set(burst.map((x) => x * 0.3), 421);
+    const corr = Array.from(crossCorrelate(rec, burst), Math.abs);
+    expect(corr.indexOf(Math.max(...corr))).toBe(421);
+  });
+});
@@ -0,0 +1,153 @@
+import { readJSON, writeJSON } from './opfs';
+
+export type Calibration = { frames: number; ms: number; sampleRate: number; measured: number };
+
+// At the OPFS root, outside every project: a round trip is a property of the device pair, so one
+// measurement serves all projects and survives deleting or importing any of them
+const CALIBRATION_PATH = 'calibration/latency.json';
+const MLS_ORDER = 12; // 4095-sample burst
+const MAX_ROUNDTRIP_S = 0.5;
+const LEAD_IN_S = 0.3;
+const MIN_PEAK_RATIO = 8; // correlation peak vs. mean magnitude for a trustworthy detection
+
+// Maximum-length sequence from a Fibonacci LFSR (taps 12, 11, 10, 4), mapped to ±amp
+function mls(order: number, amp: number): Float32Array {
+  const length = (1 << order) - 1;
+  const out = new Float32Array(length);
+  let reg = 1;
+  for (let i = 0; i < length; i++) {
+    const bit = ((reg >> 11) ^ (reg >> 10) ^ (reg >> 9) ^ (reg >> 3)) & 1;
+    out[i] = reg & 1 ? amp : -amp;
+    reg = ((reg << 1) | bit) & length;
+  }
+  return out;
+}
+
+/**
+ * `sum(b[i] * a[lag + i])` for every lag at which `b` fits in `a`, through FFTs: searching half a
+ * second of lags directly takes ~10⁸ multiply-adds, long enough to freeze the page.
+ */
+export function crossCorrelate(a: Float32Array, b: Float32Array): Float64Array {
+  let size = 1;
+  while (size < a.length + b.length) size <<= 1;
+  const aRe = new Float64Array(size), aIm = new Float64Array(size);
+  const bRe = new Float64Array(size), bIm = new Float64Array(size);
+  aRe.set(a);
+  bRe.set(b);
+  fft(aRe, aIm, false);
+  fft(bRe, bIm, false);
+  // A times the conjugate of B, so the inverse transform correlates instead of convolving
+  for (let k = 0; k < size; k++) {
+    const re = aRe[k] * bRe[k] + aIm[k] * bIm[k];
+    aIm[k] = aIm[k] * bRe[k] - aRe[k] * bIm[k];
+    aRe[k] = re;
+  }
+  fft(aRe, aIm, true);
+  const out = new Float64Array(Math.max(0, a.length - b.length + 1));
+  for (let lag = 0; lag < out.length; lag++) out[lag] = aRe[lag] / size;
+  return out;
+}
+
+// In-place radix-2 FFT (unscaled both ways); the length must be a power of two
+function fft(re: Float64Array, im: Float64Array, inverse: boolean) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const angle = ((inverse ? 2 : -2) * Math.PI) / len;
+    const wRe = Math.cos(angle), wIm = Math.sin(angle);
+    for (let i = 0; i < n; i += len) {
+      let uRe = 1, uIm = 0;
+      for (let k = 0; k < len >> 1; k++) {
+        const p = i + k, q = p + (len >> 1);
+        const tRe = re[q] * uRe - im[q] * uIm;
+        const tIm = re[q] * uIm + im[q] * uRe;
+        re[q] = re[p] - tRe; im[q] = im[p] - tIm;
+        re[p] += tRe; im[p] += tIm;
+        const next = uRe * wRe - uIm * wIm;
+        uIm = uRe * wIm + uIm * wRe;
+        uRe = next;
+      }
+    }
+  }
+}
+
+/**
+ * Play an MLS burst through the output and find it in the input by cross-correlation.
+ * Needs a loopback path (cable, or mic near the speaker); monitoring should be muted meanwhile.
+ * Returns the round trip in frames from scheduling the burst to capturing it.
+ */
+export async function measureRoundTrip(ctx: AudioContext, input: AudioNode): Promise<Calibration> {
+  const burst = mls(MLS_ORDER, 0.5);
+  const capture = new AudioWorkletNode(ctx, 'monitor-processor', { channelCount: 1, channelCountMode: 'explicit' });
+  const sink = new GainNode(ctx, { gain: 0 });
+  input.connect(capture).connect(sink).connect(ctx.destination);
+
+  const chunks: { frame: number; data: Float32Array }[] = [];
+  capture.port.onmessage = (ev) => {
+    if (ev.data?.type === 'frames') chunks.push({ frame: ev.data.frame, data: ev.data.channels[0] });
+  };
+  capture.port.postMessage({ type: 'monitor', on: false });
+  capture.port.postMessage({ type: 'record', on: true, channels: [0], skip: 0 });
+
+  const when = ctx.currentTime + LEAD_IN_S;
+  const burstFrame = Math.round(when * ctx.sampleRate);
+  const buffer = new AudioBuffer({ length: burst.length, sampleRate: ctx.sampleRate });
+  buffer.copyToChannel(burst, 0);
+  const src = new AudioBufferSourceNode(ctx, { buffer });
+  src.connect(ctx.destination);
+  src.start(when);
+
+  const total = LEAD_IN_S + burst.length / ctx.sampleRate + MAX_ROUNDTRIP_S + 0.2;
+  await new Promise((r) => setTimeout(r, total * 1000));
+  capture.port.postMessage({ type: 'record', on: false });
+  await new Promise((r) => setTimeout(r, 50));
+  input.disconnect(capture);
+  capture.disconnect();
+  sink.disconnect();
+  if (!chunks.length) throw new Error('No input captured');
+
+  const start = chunks[0].frame;
+  const length = chunks.reduce((a, c) => a + c.data.length, 0);
+  const rec = new Float32Array(length);
+  let o = 0;
+  for (const c of chunks) { rec.set(c.data, o); o += c.data.length; }
+
+  // Correlate only over plausible lags after the burst was scheduled
+  const from = Math.max(0, burstFrame - start);
+  const maxLag = Math.min(length - burst.length, from + Math.round(MAX_ROUNDTRIP_S * ctx.sampleRate));
+  const corr = crossCorrelate(rec, burst);
+  let best = 0, bestLag = -1, sumAbs = 0, n = 0;
+  for (let lag = from; lag <= maxLag; lag++) {
+    const a = Math.abs(corr[lag]);
+    sumAbs += a; n++;
+    if (a > best) { best = a; bestLag = lag; }
+  }
+  if (bestLag < 0 || best < (sumAbs / n) * MIN_PEAK_RATIO) {
+    throw new Error('Loopback burst not detected; check the output→input connection and levels');
+  }
+  const frames = start + bestLag - burstFrame;
+  return { frames, ms: (frames / ctx.sampleRate) * 1000, sampleRate: ctx.sampleRate, measured: Date.now() };
+}
+
+function deviceKey(inputLabel = 'default', outputLabel = 'default') {
+  return `${inputLabel}|${outputLabel}`;
+}
+
+export async function loadCalibration(inputLabel?: string, outputLabel?: string): Promise<Calibration | null> {
+  const all = (await readJSON<Record<string, Calibration>>(CALIBRATION_PATH)) ?? {};
+  return all[deviceKey(inputLabel, outputLabel)] ?? null;
+}
+
+export async function saveCalibration(cal: Calibration, inputLabel?: string, outputLabel?: string) {
+  const all = (await readJSON<Record<string, Calibration>>(CALIBRATION_PATH)) ?? {};
+  all[deviceKey(inputLabel, outputLabel)] = cal;
+  await writeJSON(CALIBRATION_PATH, all);
+}
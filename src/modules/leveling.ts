@@ -0,0 +1,22 @@
+import type { LoudnessReading, Normalized, NormalizeOptions } from './loudness';
+import { workerClient } from './workerclient';
+
+// loudness.ts's whole-signal analysis through loudness-worker.ts. The channels are copied over, not
+// transferred: they are often an AudioBuffer's, which the caller still has a use for.
+const call = workerClient(() => new Worker(new URL('../workers/loudness-worker.ts', import.meta.url), { type: 'module' }));
+
+/** measureLoudness() off the main thread. */
+export async function measure(channels: Float32Array[], sampleRate: number): Promise<LoudnessReading> {
+  return (await call({ type: 'measure', channels, sampleRate })).reading;
+}
+
+/** normalizeLoudness() off the main thread. */
+export async function normalize(channels: Float32Array[], sampleRate: number, opts: NormalizeOptions): Promise<Normalized> {
+  const { channels: out, gainDb, limited, before, after } = await call({ type: 'normalize', channels, sampleRate, opts });
+  return { channels: out, gainDb, limited, before, after };
+}
+
+/** blockTruePeak() off the main thread; the channels are transferred, as only the live meter uses it. */
+export async function truePeak(channels: Float32Array[], sampleRate: number, from: number): Promise<number> {
+  return (await call({ type: 'truePeak', channels, sampleRate, from }, channels.map((ch) => ch.buffer))).peak;
+}
@@ -0,0 +1,25 @@
+import type { FlacData, FlacOptions } from './flac';
+import { workerClient } from './workerclient';
+
+// FLAC through flac-worker.ts. Buffers handed over are transferred, so the caller's copy is left
+// empty.
+const call = workerClient(() => new Worker(new URL('../workers/flac-worker.ts', import.meta.url), { type: 'module' }));
+
+export function isFlac(path: string) {
+  return /\.flac$/i.test(path);
+}
+
+/** Encode a WAV file's audio as FLAC; its markers are kept as Vorbis comments. */
+export async function wavToFlac(wav: ArrayBuffer, opts: FlacOptions = {}): Promise<ArrayBuffer> {
+  return (await call({ type: 'encode', wav, opts }, [wav])).data;
+}
+
+export async function decodeFlac(data: ArrayBuffer): Promise<FlacData> {
+  const { info, channels, markers, comments } = await call({ type: 'decode', data }, [data]);
+  return { info, channels, markers, comments };
+}
+
+/** Encode the WAV at OPFS path `from` to FLAC at `to`, without moving the audio through this thread. */
+export async function transcodeToFlac(from: string, to: string, opts: FlacOptions = {}): Promise<number> {
+  return (await call({ type: 'transcode', from, to, opts })).bytes;
+}
@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import { blockTruePeak, channelWeights, measureLoudness, normalizeLoudness } from './loudness';
+
+const RATE = 48000;
+
+function sine(seconds: number, freq: number, amp: number) {
+  return Float32Array.from({ length: seconds * RATE }, (_, i) => amp * Math.sin((2 * Math.PI * freq * i) / RATE));
+}
+
+describe('channelWeights', () => {
+  it('counts numbered channels equally', () => {
+    expect(channelWeights(8)).toEqual([1, 1, 1, 1, 1, 1, 1, 1]);
+  });
+
+  it('drops the LFE and lifts the surrounds of a known surround layout', () => {
+    expect(channelWeights(6, true)).toEqual([1, 1, 1, 0, 1.41, 1.41]);
+    expect(channelWeights(2, true)).toEqual([1, 1]);
+  });
+});
+
+describe('measureLoudness', () => {
+  it('reads a -20 dBFS 1 kHz stereo sine as -20 LUFS', () => {
+    const tone = sine(5, 1000, 0.1);
+    const r = measureLoudness([tone, tone], RATE);
+    expect(r.integrated).toBeCloseTo(-20, 1);
+    expect(r.maxShortTerm).toBeCloseTo(-20, 1);
+    expect(r.truePeak).toBeCloseTo(-20, 1);
+  });
+
+  it('hears the fourth of several inputs', () => {
+    const channels = Array.from({ length: 8 }, (_, c) => (c === 3 ? sine(1, 1000, 0.1) : new Float32Array(RATE)));
+    expect(measureLoudness(channels, RATE).integrated).toBeCloseTo(-23, 0);
+  });
+
+  it('gates silence out', () => {
+    expect(measureLoudness([new Float32Array(RATE)], RATE).integrated).toBe(-Infinity);
+  });
+});
+
+describe('blockTruePeak', () => {
+  it('finds the peak between samples, past the lead-in', () => {
+    // A quarter-rate sine sampled 45° off its crests: every sample is 0.5 * 0.707
+    const block = Float32Array.from({ length: 4800 }, (_, i) => 0.5 * Math.sin((Math.PI * i) / 2 + Math.PI / 4));
+    expect(blockTruePeak([block], RATE)).toBeCloseTo(0.5, 1);
+    const led = new Float32Array(4812);
+    led.set([0.9], 0);
+    led.set(block.subarray(0, 100), 12);
+    expect(blockTruePeak([led], RATE, 12)).toBeLessThan(0.6);
+  });
+});
+
+describe('normalizeLoudness', () => {
+  it('gains to the target', () => {
+    const tone = sine(3, 1000, 0.05);
+    const res = normalizeLoudness([tone, tone], RATE, { target: -16 });
+    expect(res.limited).toBe(false);
+    expect(res.after.integrated).toBeCloseTo(-16, 1);
+    expect(tone[100]).toBe(sine(3, 1000, 0.05)[100]); // the input is left alone
+  });
+
+  it('limits true peaks under the ceiling', () => {
+    const tone = sine(3, 997, 0.3);
+    const res = normalizeLoudness([tone], RATE, { target: -3, ceiling: -1 });
+    expect(res.limited).toBe(true);
+    expect(res.after.truePeak).toBeLessThanOrEqual(-1);
+  });
+
+  it('returns silence as it is', () => {
+    const silence = [new Float32Array(RATE)];
+    expect(normalizeLoudness(silence, RATE, { target: -14 })).toMatchObject({ channels: silence, gainDb: 0 });
+  });
+});
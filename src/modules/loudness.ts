@@ -0,0 +1,293 @@
+// Loudness after ITU-R BS.1770 / EBU R128. Each channel is K-weighted (a high shelf, then a high-pass),
+// its mean square taken over 100 ms sub-blocks and the channels summed with their weights. Four
+// sub-blocks make a momentary (400 ms) reading, thirty a short-term (3 s) one; integrated loudness
+// averages the 400 ms blocks that pass a -70 LUFS absolute and a -10 LU relative gate. True peak is
+// the sample peak of the signal oversampled through a windowed-sinc interpolator.
+export type LoudnessReading = {
+  momentary: number; // LUFS, -Infinity until there is enough signal
+  shortTerm: number;
+  integrated: number;
+  maxMomentary: number;
+  maxShortTerm: number;
+  truePeak: number; // dBTP
+};
+
+export type Biquad = { b: [number, number, number]; a: [number, number] }; // a0 normalised to 1
+
+/** Everything the per-sample part needs, for the offline analysis and the monitor worklet alike. */
+export type MeterConfig = {
+  stages: Biquad[];
+  phases: number[][]; // interpolator taps per oversampling phase
+  weights: number[];
+  blockFrames: number;
+};
+
+export type NormalizeOptions = {
+  target: number; // LUFS
+  ceiling?: number; // dBTP, -1 by default
+};
+
+export type Normalized = {
+  channels: Float32Array[];
+  gainDb: number;
+  limited: boolean;
+  before: LoudnessReading;
+  after: LoudnessReading;
+};
+
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+const MOMENTARY_BLOCKS = 4;
+const SHORT_TERM_BLOCKS = 30;
+const INTERPOLATOR_TAPS = 49;
+const LIMITER_LOOKAHEAD_S = 0.0015;
+const LIMITER_RELEASE_S = 0.1;
+const LIMITER_PASSES = 4;
+const LIMITER_MARGIN_DB = 0.05; // aimed under the ceiling so one pass usually holds it
+
+/** The two K-weighting stages, derived for any rate (at 48 kHz they are the BS.1770 table's). */
+export function kWeighting(sampleRate: number): Biquad[] {
+  let f0 = 1681.974450955533;
+  let q = 0.7071752369554196;
+  let k = Math.tan((Math.PI * f0) / sampleRate);
+  const vh = 10 ** (3.999843853973347 / 20);
+  const vb = vh ** 0.4996667741545416;
+  let a0 = 1 + k / q + k * k;
+  const shelf: Biquad = {
+    b: [(vh + (vb * k) / q + k * k) / a0, (2 * (k * k - vh)) / a0, (vh - (vb * k) / q + k * k) / a0],
+    a: [(2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0]
+  };
+  f0 = 38.13547087602444;
+  q = 0.5003270373238773;
+  k = Math.tan((Math.PI * f0) / sampleRate);
+  a0 = 1 + k / q + k * k;
+  const highPass: Biquad = { b: [1, -2, 1], a: [(2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0] };
+  return [shelf, highPass];
+}
+
+/**
+ * Polyphase taps for true-peak oversampling: 4x below 96 kHz, 2x below 192 kHz, none above, so
+ * every rate is looked at around 192 kHz.
+ */
+export function truePeakPhases(sampleRate: number): number[][] {
+  const factor = sampleRate < 96000 ? 4 : sampleRate < 192000 ? 2 : 1;
+  if (factor === 1) return [[1]];
+  const phases: number[][] = Array.from({ length: factor }, () => []);
+  for (let j = 0; j < INTERPOLATOR_TAPS; j++) {
+    const m = j - (INTERPOLATOR_TAPS - 1) / 2;
+    const x = (m * Math.PI) / factor;
+    const sinc = Math.abs(m) < 1e-6 ? 1 : Math.sin(x) / x;
+    const hann = 0.5 * (1 - Math.cos((2 * Math.PI * j) / (INTERPOLATOR_TAPS - 1)));
+    phases[j % factor].push(sinc * hann);
+  }
+  return phases;
+}
+
+/**
+ * BS.1770 channel weights. Channels count equally unless they are known to be surround in WAV
+ * order (L, R, C, LFE, surrounds): then LFE doesn't count and the surrounds get +1.5 dB. Interface
+ * inputs and files of unknown layout are just numbered channels, and silencing the fourth of them
+ * would be wrong.
+ */
+export function channelWeights(count: number, surround = false): number[] {
+  if (!surround) return new Array(count).fill(1);
+  return Array.from({ length: count }, (_, c) => (count >= 4 && c === 3 ? 0 : count >= 5 && c >= 4 ? 1.41 : 1));
+}
+
+export function meterConfig(sampleRate: number, channels: number, surround = false): MeterConfig {
+  return {
+    stages: kWeighting(sampleRate),
+    phases: truePeakPhases(sampleRate),
+    weights: channelWeights(channels, surround),
+    blockFrames: Math.round(sampleRate / 10)
+  };
+}
+
+/**
+ * Gating and averaging over 100 ms sub-blocks, each given as the weighted sum of the channels'
+ * mean squares after K-weighting plus the block's linear true peak. The monitor worklet feeds one
+ * of these live; `measureLoudness` feeds one from whole files.
+ */
+export class LoudnessMeter {
+  private recent: number[] = [];
+  private blocks: number[] = []; // 400 ms block powers, overlapping by 300 ms
+  private peak = 0;
+  private maxMomentary = -Infinity;
+  private maxShortTerm = -Infinity;
+
+  addBlock(power: number, peak: number) {
+    this.recent.push(power);
+    if (this.recent.length > SHORT_TERM_BLOCKS) this.recent.shift();
+    this.peak = Math.max(this.peak, peak);
+    if (this.recent.length >= MOMENTARY_BLOCKS) {
+      const m = mean(this.recent.slice(-MOMENTARY_BLOCKS));
+      this.blocks.push(m);
+      this.maxMomentary = Math.max(this.maxMomentary, lufs(m));
+    }
+    if (this.recent.length === SHORT_TERM_BLOCKS) this.maxShortTerm = Math.max(this.maxShortTerm, lufs(mean(this.recent)));
+  }
+
+  reading(): LoudnessReading {
+    const n = this.recent.length;
+    return {
+      momentary: n >= MOMENTARY_BLOCKS ? lufs(mean(this.recent.slice(-MOMENTARY_BLOCKS))) : -Infinity,
+      shortTerm: n === SHORT_TERM_BLOCKS ? lufs(mean(this.recent)) : -Infinity,
+      integrated: this.integrated(),
+      maxMomentary: this.maxMomentary,
+      maxShortTerm: this.maxShortTerm,
+      truePeak: 20 * Math.log10(this.peak)
+    };
+  }
+
+  reset() {
+    this.recent = [];
+    this.blocks = [];
+    this.peak = 0;
+    this.maxMomentary = -Infinity;
+    this.maxShortTerm = -Infinity;
+  }
+
+  private integrated() {
+    const loud = this.blocks.filter((p) => lufs(p) > ABSOLUTE_GATE);
+    if (!loud.length) return -Infinity;
+    const gate = lufs(mean(loud)) + RELATIVE_GATE;
+    const gated = loud.filter((p) => lufs(p) > gate);
+    return gated.length ? lufs(mean(gated)) : -Infinity;
+  }
+}
+
+/** Loudness and true peak of a whole signal. */
+export function measureLoudness(channels: Float32Array[], sampleRate: number): LoudnessReading {
+  const meter = new LoudnessMeter();
+  const cfg = meterConfig(sampleRate, channels.length);
+  const length = channels[0]?.length ?? 0;
+  const sums = new Float64Array(channels.length);
+  const weighted = channels.map((data) => applyStages(data, cfg.stages));
+  const peaks = truePeakEnvelope(channels, cfg.phases);
+  for (let from = 0; from + cfg.blockFrames <= length; from += cfg.blockFrames) {
+    sums.fill(0);
+    let peak = 0;
+    for (let i = from; i < from + cfg.blockFrames; i++) {
+      for (let c = 0; c < weighted.length; c++) sums[c] += weighted[c][i] * weighted[c][i];
+      if (peaks[i] > peak) peak = peaks[i];
+    }
+    meter.addBlock(cfg.weights.reduce((p, w, c) => p + (w * sums[c]) / cfg.blockFrames, 0), peak);
+  }
+  // The peak also counts a tail shorter than a block
+  return { ...meter.reading(), truePeak: 20 * Math.log10(peaks.reduce((a, b) => Math.max(a, b), 0)) };
+}
+
+/**
+ * Gain the signal to `target` LUFS integrated, then hold its true peak under `ceiling` with a
+ * look-ahead limiter (which can leave it a little quieter than the target). Silence is returned
+ * as it is. The input arrays are not modified.
+ */
+export function normalizeLoudness(channels: Float32Array[], sampleRate: number, opts: NormalizeOptions): Normalized {
+  const ceiling = opts.ceiling ?? -1;
+  const before = measureLoudness(channels, sampleRate);
+  if (!Number.isFinite(before.integrated)) {
+    return { channels, gainDb: 0, limited: false, before, after: before };
+  }
+  const gainDb = opts.target - before.integrated;
+  const gain = 10 ** (gainDb / 20);
+  let out = channels.map((data) => data.map((s) => s * gain));
+  let after = measureLoudness(out, sampleRate);
+  let limited = false;
+  // The gain curve's own modulation can still nudge an intersample peak over; another pass over
+  // the limited signal catches what is left
+  for (let pass = 0; pass < LIMITER_PASSES && after.truePeak > ceiling; pass++) {
+    out = limitTruePeak(out, sampleRate, ceiling - LIMITER_MARGIN_DB);
+    limited = true;
+    after = measureLoudness(out, sampleRate);
+  }
+  return { channels: out, gainDb, limited, before, after };
+}
+
+export function formatLoudness(r: LoudnessReading) {
+  const f = (v: number) => (Number.isFinite(v) ? v.toFixed(1) : '-inf');
+  return `${f(r.integrated)} LUFS integrated, max short-term ${f(r.maxShortTerm)}, max momentary ${f(r.maxMomentary)}, true peak ${f(r.truePeak)} dBTP`;
+}
+
+function lufs(power: number) {
+  return -0.691 + 10 * Math.log10(power);
+}
+
+function mean(values: number[]) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+// Transposed direct form II, one stage after another
+function applyStages(data: Float32Array, stages: Biquad[]): Float64Array {
+  const out = Float64Array.from(data);
+  for (const { b, a } of stages) {
+    let z1 = 0;
+    let z2 = 0;
+    for (let i = 0; i < out.length; i++) {
+      const x = out[i];
+      const y = b[0] * x + z1;
+      z1 = b[1] * x - a[0] * y + z2;
+      z2 = b[2] * x - a[1] * y;
+      out[i] = y;
+    }
+  }
+  return out;
+}
+
+/** Linear true peak of frames `from` onward; the frames before them only feed the interpolator. */
+export function blockTruePeak(channels: Float32Array[], sampleRate: number, from = 0): number {
+  const env = truePeakEnvelope(channels, truePeakPhases(sampleRate));
+  let peak = 0;
+  for (let i = from; i < env.length; i++) if (env[i] > peak) peak = env[i];
+  return peak;
+}
+
+// Per frame, the largest absolute value over all channels of the oversampled signal up to that frame
+function truePeakEnvelope(channels: Float32Array[], phases: number[][]): Float32Array {
+  const length = channels[0]?.length ?? 0;
+  const env = new Float32Array(length);
+  for (const data of channels) {
+    for (let i = 0; i < length; i++) {
+      let peak = Math.abs(data[i]);
+      for (const taps of phases) {
+        let acc = 0;
+        for (let k = 0; k < taps.length && k <= i; k++) acc += taps[k] * data[i - k];
+        if (Math.abs(acc) > peak) peak = Math.abs(acc);
+      }
+      if (peak > env[i]) env[i] = peak;
+    }
+  }
+  return env;
+}
+
+// Gain that keeps the true-peak envelope under `ceiling` dBTP: the needed gain is taken as the
+// minimum over a look-ahead window and averaged over the same window, so it ramps down ahead of a
+// peak and reaches the needed value on it, then recovers with an exponential release. An envelope
+// value depends on the interpolator's length of samples before it, so those are covered as well.
+function limitTruePeak(channels: Float32Array[], sampleRate: number, ceiling: number): Float32Array[] {
+  const phases = truePeakPhases(sampleRate);
+  const env = truePeakEnvelope(channels, phases);
+  const limit = 10 ** (ceiling / 20);
+  const n = env.length;
+  const look = Math.max(1, Math.round(LIMITER_LOOKAHEAD_S * sampleRate));
+  const span = look + phases[0].length - 1;
+  const ahead = new Float32Array(n);
+  const window: number[] = []; // indices whose needed gain increases from the front, for a running minimum
+  const need = (i: number) => (env[i] > limit ? limit / env[i] : 1);
+  for (let i = n - 1; i >= 0; i--) {
+    while (window.length && need(window[window.length - 1]) >= need(i)) window.pop();
+    window.push(i);
+    if (window[0] >= i + span) window.shift();
+    ahead[i] = need(window[0]);
+  }
+  const release = 1 - Math.exp(-1 / (LIMITER_RELEASE_S * sampleRate));
+  const gains = new Float32Array(n);
+  let sum = look * (ahead[0] ?? 1); // of the last `look` look-ahead gains, the first standing in before the start
+  let g = 1;
+  for (let i = 0; i < n; i++) {
+    sum += ahead[i] - ahead[Math.max(0, i - look)];
+    const smooth = Math.min(1, sum / look);
+    g = smooth < g ? smooth : g + (smooth - g) * release;
+    gains[i] = g;
+  }
+  return channels.map((data) => data.map((s, i) => s * gains[i]));
+}
@@ -0,0 +1,95 @@
+import { describe, expect, it } from 'vitest';
+import { muxOggOpus, opusHead, type OpusPacket } from './ogg';
+
+type Page = { flags: number; granule: number; seq: number; serial: number; crcOk: boolean; packets: Uint8Array[] };
+
+// Bit-at-a-time CRC-32/MPEG-2 without the final xor, as a reference for the table-driven one
+function refCrc(bytes: Uint8Array) {
+  let c = 0;
+  for (const b of bytes) {
+    c ^= b << 24;
+    for (let k = 0; k < 8; k++) c = c & 0x80000000 ? (c << 1) ^ 0x04c11db7 : c << 1;
+  }
+  return c >>> 0;
+}
+
+// Split a stream into pages and their packets (none of ours continue across pages)
+function readPages(bytes: Uint8Array): Page[] {
+  const pages: Page[] = [];
+  for (let o = 0; o < bytes.length; ) {
+    const v = new DataView(bytes.buffer, bytes.byteOffset + o);
+    expect(String.fromCharCode(...bytes.subarray(o, o + 4))).toBe('OggS');
+    const count = bytes[o + 26];
+    const lacing = bytes.subarray(o + 27, o + 27 + count);
+    const size = lacing.reduce((n, l) => n + l, 0);
+    const page = bytes.slice(o, o + 27 + count + size);
+    const crc = v.getUint32(22, true);
+    page.fill(0, 22, 26);
+    const packets: Uint8Array[] = [];
+    let at = o + 27 + count;
+    let len = 0;
+    for (const l of lacing) {
+      len += l;
+      if (l < 255) {
+        packets.push(bytes.slice(at, at + len));
+        at += len;
+        len = 0;
+      }
+    }
+    pages.push({
+      flags: bytes[o + 5], granule: Number(v.getBigUint64(6, true)), serial: v.getUint32(14, true),
+      seq: v.getUint32(18, true), crcOk: refCrc(page) === crc, packets
+    });
+    o += page.length;
+  }
+  return pages;
+}
+
+const packet = (size: number, fill: number): OpusPacket => ({ data: new Uint8Array(size).fill(fill), samples: 960 });
+
+describe('muxOggOpus', () => {
+  it('writes the header pages, then the packets with checksummed pages', () => {
+    const packets = [packet(100, 1), packet(255, 2), packet(600, 3)];
+    const pages = readPages(muxOggOpus(packets, { channels: 2, preSkip: 312, inputRate: 44100, length: 2000 }));
+    expect(pages.map((p) => p.seq)).toEqual([0, 1, 2]);
+    expect(pages.every((p) => p.crcOk && p.serial === pages[0].serial)).toBe(true);
+    expect(pages[0]).toMatchObject({ flags: 0x02, granule: 0, packets: [opusHead(2, 312, 44100)] });
+    expect(new TextDecoder().decode(pages[1].packets[0].subarray(0, 8))).toBe('OpusTags');
+    // A 255-byte packet needs a zero-length segment to end it
+    expect(pages[2].packets.map((p) => p.length)).toEqual([100, 255, 600]);
+    expect(pages[2].packets[2].every((b) => b === 3)).toBe(true);
+  });
+
+  it('ends on the real length, not the padded packets', () => {
+    const opts = { channels: 1, preSkip: 312, inputRate: 48000, length: 1500 };
+    const pages = readPages(muxOggOpus([packet(10, 1), packet(10, 2)], opts));
+    expect(pages[pages.length - 1]).toMatchObject({ flags: 0x04, granule: 312 + 1500 });
+  });
+
+  it('closes a page about every second of audio', () => {
+    const packets = Array.from({ length: 120 }, (_, i) => packet(20, i)); // 2.4 s of 20 ms packets
+    const pages = readPages(muxOggOpus(packets, { channels: 1, preSkip: 0, inputRate: 48000, length: 120 * 960 }));
+    const audio = pages.slice(2);
+    expect(audio.length).toBe(3);
+    expect(audio[0]).toMatchObject({ granule: 48000 });
+    expect(audio.flatMap((p) => p.packets).map((p) => p[0])).toEqual(packets.map((p) => p.data[0]));
+  });
+
+  it('counts the pre-skip within the granule, not on top of it', () => {
+    const packets = Array.from({ length: 120 }, (_, i) => packet(20, i));
+    const opts = { channels: 2, preSkip: 312, inputRate: 48000, length: 120 * 960 - 312 };
+    const audio = readPages(muxOggOpus(packets, opts)).slice(2);
+    expect(audio.map((p) => p.granule)).toEqual([48000, 96000, 120 * 960]);
+  });
+
+  it('never ends past the samples the packets hold', () => {
+    const opts = { channels: 1, preSkip: 312, inputRate: 48000, length: 2000 };
+    const pages = readPages(muxOggOpus([packet(10, 1), packet(10, 2)], opts));
+    expect(pages[pages.length - 1]).toMatchObject({ flags: 0x04, granule: 2 * 960 });
+  });
+
+  it('still ends the stream without packets', () => {
+    const pages = readPages(muxOggOpus([], { channels: 1, preSkip: 312, inputRate: 48000, length: 0 }));
+    expect(pages[2]).toMatchObject({ flags: 0x04, granule: 0, packets: [] });
+  });
+});
@@ -0,0 +1,127 @@
+// Ogg Opus (RFC 7845): an OpusHead page, an OpusTags page, then the audio packets. A page's granule
+// position is the number of 48 kHz samples decoded up to its last packet; the pre-skip is among
+// them, not added on top. The last page's granule marks where the real audio ends (pre-skip plus
+// length) so players trim the padding of the final packet, but never claims more than was encoded.
+export type OpusPacket = { data: Uint8Array; samples: number }; // samples at 48 kHz
+
+const MAX_SEGMENTS = 255;
+const PAGE_SAMPLES = 48000; // close a page after about a second of audio, for seeking
+const VENDOR = 'wasmix';
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n << 24;
+    for (let k = 0; k < 8; k++) c = c & 0x80000000 ? (c << 1) ^ 0x04c11db7 : c << 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+// Ogg's CRC is the unreflected CRC-32 (polynomial 0x04C11DB7, no final xor), unlike zip's
+function oggCrc(bytes: Uint8Array): number {
+  let c = 0;
+  for (let i = 0; i < bytes.length; i++) c = (c << 8) ^ CRC_TABLE[((c >>> 24) ^ bytes[i]) & 0xff];
+  return c >>> 0;
+}
+
+/** The identification header; also the CodecPrivate of Opus in WebM. */
+export function opusHead(channels: number, preSkip: number, inputRate: number): Uint8Array {
+  const head = new Uint8Array(19);
+  const v = new DataView(head.buffer);
+  head.set(new TextEncoder().encode('OpusHead'));
+  v.setUint8(8, 1); // version
+  v.setUint8(9, channels);
+  v.setUint16(10, preSkip, true);
+  v.setUint32(12, inputRate, true);
+  v.setInt16(16, 0, true); // output gain
+  v.setUint8(18, 0); // channel mapping family 0: mono or stereo
+  return head;
+}
+
+function opusTags(): Uint8Array {
+  const vendor = new TextEncoder().encode(VENDOR);
+  const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+  const v = new DataView(tags.buffer);
+  tags.set(new TextEncoder().encode('OpusTags'));
+  v.setUint32(8, vendor.length, true);
+  tags.set(vendor, 12);
+  v.setUint32(12 + vendor.length, 0, true); // no user comments
+  return tags;
+}
+
+/**
+ * Mux encoded packets into an Ogg Opus file. `length` is the number of 48 kHz samples of real
+ * audio (without pre-skip or the final packet's padding).
+ */
+export function muxOggOpus(
+  packets: OpusPacket[],
+  opts: { channels: number; preSkip: number; inputRate: number; length: number }
+): Uint8Array {
+  const serial = (Math.random() * 0xffffffff) >>> 0;
+  const pages: Uint8Array[] = [];
+  let seq = 0;
+  const page = (data: Uint8Array[], granule: number, flags: number) => {
+    pages.push(oggPage(data, granule, serial, seq++, flags));
+  };
+  page([opusHead(opts.channels, opts.preSkip, opts.inputRate)], 0, 0x02);
+  page([opusTags()], 0, 0);
+
+  let pending: Uint8Array[] = [];
+  let segments = 0;
+  let pageSamples = 0;
+  let granule = 0;
+  const end = opts.preSkip + opts.length;
+  packets.forEach((p, i) => {
+    const need = Math.floor(p.data.length / 255) + 1;
+    if (pending.length && (segments + need > MAX_SEGMENTS || pageSamples >= PAGE_SAMPLES)) {
+      page(pending, granule, 0);
+      pending = [];
+      segments = 0;
+      pageSamples = 0;
+    }
+    pending.push(p.data);
+    segments += need;
+    pageSamples += p.samples;
+    granule += p.samples;
+    if (i === packets.length - 1) page(pending, Math.min(granule, end), 0x04);
+  });
+  if (!packets.length) page([], 0, 0x04);
+
+  const out = new Uint8Array(pages.reduce((n, p) => n + p.length, 0));
+  let o = 0;
+  for (const p of pages) {
+    out.set(p, o);
+    o += p.length;
+  }
+  return out;
+}
+
+// One page holding whole packets; each is laced as 255-byte segments plus a final shorter one
+function oggPage(packets: Uint8Array[], granule: number, serial: number, seq: number, flags: number) {
+  const lacing: number[] = [];
+  for (const p of packets) {
+    for (let n = p.length; ; n -= 255) {
+      lacing.push(Math.min(n, 255));
+      if (n < 255) break;
+    }
+  }
+  const size = packets.reduce((n, p) => n + p.length, 0);
+  const page = new Uint8Array(27 + lacing.length + size);
+  const v = new DataView(page.buffer);
+  page.set(new TextEncoder().encode('OggS'));
+  v.setUint8(4, 0); // version
+  v.setUint8(5, flags); // 0x02 first page, 0x04 last page
+  v.setBigUint64(6, BigInt(granule), true);
+  v.setUint32(14, serial, true);
+  v.setUint32(18, seq, true);
+  v.setUint8(26, lacing.length);
+  page.set(lacing, 27);
+  let o = 27 + lacing.length;
+  for (const p of packets) {
+    page.set(p, o);
+    o += p.length;
+  }
+  v.setUint32(22, oggCrc(page), true); // computed with the CRC field still zero
+  return page;
+}
@@ -1,4 +1,26 @@
-export async function saveFile(path: string, data: ArrayBuffer) {
+// Writes are refused when they would leave less than this much of the quota, so running out of
+// space fails before a file is started rather than halfway through it
+const RESERVE_BYTES = 16 * 1024 * 1024;
+let quotaWarning: (message: string) => void = () => {};
+
+export function onQuotaWarning(cb: (message: string) => void) {
+  quotaWarning = cb;
+}
+
+/** Whether `bytes` more still fit in the origin's quota; warns through onQuotaWarning if not. */
+export async function checkSpace(bytes: number): Promise<boolean> {
+  if (!navigator.storage?.estimate) return true;
+  const { usage = 0, quota = Infinity } = await navigator.storage.estimate();
+  if (usage + bytes + RESERVE_BYTES <= quota) return true;
+  const mb = (n: number) => `${(n / 1024 / 1024).toFixed(1)} MB`;
+  quotaWarning(`Storage nearly full: ${mb(usage)} of ${mb(quota)} used, ${mb(bytes)} more needed`);
+  return false;
+}
+
+/** Write a file, replacing any old one; a Blob (e.g. a picked File) is streamed rather than loaded. */
+export async function saveFile(path: string, data: ArrayBuffer | Blob) {
+  const size = data instanceof Blob ? data.size : data.byteLength;
+  if (!(await checkSpace(size))) throw new Error(`Not enough storage to save ${path}`);
   // @ts-ignore
   const root = await navigator.storage.getDirectory();
   const parts = path.split('/').filter(Boolean);
@@ -12,7 +34,16 @@ export async function saveFile(path: string, data: ArrayBuffer) {
   await stream.close();
 }
 
-export async function listFiles(folder = ''): Promise<string[]> {
+export type FileEntry = {
+  path: string; // full OPFS path
+  name: string;
+  kind: 'file' | 'directory';
+  size: number; // bytes; 0 for folders
+  modified: number; // ms since epoch; 0 for folders
+};
+
+/** Folders first, then files, each sorted by name. */
+export async function listFiles(folder = ''): Promise<FileEntry[]> {
   // @ts-ignore
   const root = await navigator.storage.getDirectory();
   const parts = folder.split('/').filter(Boolean);
@@ -20,26 +51,157 @@ export async function listFiles(folder = ''): Promise<string[]> {
   for (const p of parts) {
     dir = await dir.getDirectoryHandle(p, { create: true });
   }
-  const out: string[] = [];
+  const out: FileEntry[] = [];
   // @ts-ignore
   for await (const [name, handle] of dir.entries()) {
-    if (handle.kind === 'file') out.push(`${folder ? folder + '/' : ''}${name}`);
+    const path = `${folder ? folder + '/' : ''}${name}`;
+    if (handle.kind === 'directory') {
+      out.push({ path, name, kind: 'directory', size: 0, modified: 0 });
+    } else {
+      const file = await handle.getFile();
+      out.push({ path, name, kind: 'file', size: file.size, modified: file.lastModified });
+    }
   }
-  return out.sort();
+  return out.sort((a, b) => (a.kind === b.kind ? a.name.localeCompare(b.name) : a.kind === 'directory' ? -1 : 1));
 }
 
 export async function loadLatest(folder = ''): Promise<ArrayBuffer | null> {
-  const files = await listFiles(folder);
+  const files = (await listFiles(folder)).filter((f) => f.kind === 'file');
   if (!files.length) return null;
-  const last = files[files.length - 1];
+  return await loadFile(files[files.length - 1].path);
+}
+
+export async function loadFile(path: string): Promise<ArrayBuffer> {
+  return await (await openFile(path)).arrayBuffer();
+}
+
+/** The stored file as a File, to read parts of it with slice() instead of loading it whole. */
+export async function openFile(path: string): Promise<File> {
   // @ts-ignore
   const root = await navigator.storage.getDirectory();
-  const parts = last.split('/').filter(Boolean);
+  const parts = path.split('/').filter(Boolean);
   let dir = root;
   for (let i = 0; i < parts.length - 1; i++) {
     dir = await dir.getDirectoryHandle(parts[i], { create: false });
   }
   const fh = await dir.getFileHandle(parts[parts.length - 1], { create: false });
-  const file = await fh.getFile();
-  return await file.arrayBuffer();
+  return await fh.getFile();
+}
+
+export async function readJSON<T>(path: string): Promise<T | null> {
+  try {
+    return JSON.parse(new TextDecoder().decode(await loadFile(path))) as T;
+  } catch {
+    return null;
+  }
+}
+
+export async function writeJSON(path: string, value: unknown) {
+  await saveFile(path, new TextEncoder().encode(JSON.stringify(value)).buffer as ArrayBuffer);
+}
+
+async function dirAt(path: string, create = false): Promise<any> {
+  // @ts-ignore
+  let dir = await navigator.storage.getDirectory();
+  for (const p of path.split('/').filter(Boolean)) dir = await dir.getDirectoryHandle(p, { create });
+  return dir;
+}
+
+/** Names of the subfolders of `folder`. */
+export async function listDirs(folder = ''): Promise<string[]> {
+  const dir = await dirAt(folder, true);
+  const out: string[] = [];
+  // @ts-ignore
+  for await (const [name, handle] of dir.entries()) {
+    if (handle.kind === 'directory') out.push(name);
+  }
+  return out.sort();
+}
+
+export async function exists(path: string): Promise<boolean> {
+  const parts = path.split('/').filter(Boolean);
+  try {
+    const dir = await dirAt(parts.slice(0, -1).join('/'));
+    const name = parts[parts.length - 1];
+    await dir.getDirectoryHandle(name).catch(() => dir.getFileHandle(name));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Delete a file or a whole folder. */
+export async function removePath(path: string) {
+  const parts = path.split('/').filter(Boolean);
+  const dir = await dirAt(parts.slice(0, -1).join('/'));
+  await dir.removeEntry(parts[parts.length - 1], { recursive: true });
+}
+
+/** Copy a folder and everything in it; files already at the destination are overwritten. */
+export async function copyDir(from: string, to: string) {
+  const src = await dirAt(from);
+  await dirAt(to, true);
+  // @ts-ignore
+  for await (const [name, handle] of src.entries()) {
+    if (handle.kind === 'directory') await copyDir(`${from}/${name}`, `${to}/${name}`);
+    else await saveFile(`${to}/${name}`, await (await handle.getFile()).arrayBuffer());
+  }
+}
+
+/**
+ * Move a folder to a path that doesn't exist yet. Where handles can't move, it is copied and the
+ * original removed only once the copy is complete, so a failure leaves `from` as it was (and
+ * possibly part of `to`).
+ */
+export async function moveDir(from: string, to: string) {
+  const parts = to.split('/').filter(Boolean);
+  const src = await dirAt(from);
+  if (typeof src.move === 'function') {
+    await src.move(await dirAt(parts.slice(0, -1).join('/'), true), parts[parts.length - 1]);
+  } else {
+    await copyDir(from, to);
+    await removePath(from);
+  }
+}
+
+/** Total bytes of the files under a folder. */
+export async function dirSize(path: string): Promise<number> {
+  let total = 0;
+  // @ts-ignore
+  for await (const [name, handle] of (await dirAt(path)).entries()) {
+    total += handle.kind === 'directory' ? await dirSize(`${path}/${name}`) : (await handle.getFile()).size;
+  }
+  return total;
+}
+
+/** Paths (relative to `path`) of every file under a folder, subfolders included. */
+export async function walkFiles(path: string, prefix = ''): Promise<string[]> {
+  const out: string[] = [];
+  // @ts-ignore
+  for await (const [name, handle] of (await dirAt(path)).entries()) {
+    if (handle.kind === 'directory') out.push(...(await walkFiles(`${path}/${name}`, `${prefix}${name}/`)));
+    else out.push(`${prefix}${name}`);
+  }
+  return out.sort();
+}
+
+export async function fileSize(path: string): Promise<number> {
+  const parts = path.split('/').filter(Boolean);
+  const dir = await dirAt(parts.slice(0, -1).join('/'));
+  return (await (await dir.getFileHandle(parts[parts.length - 1])).getFile()).size;
+}
+
+/** Rename a file within its folder; fails if the new name is taken. */
+export async function renameFile(path: string, name: string) {
+  const parts = path.split('/').filter(Boolean);
+  const folder = parts.slice(0, -1).join('/');
+  const dir = await dirAt(folder);
+  const fh = await dir.getFileHandle(parts[parts.length - 1]);
+  if (await exists(`${folder}/${name}`)) throw new Error(`${name} already exists`);
+  if (typeof fh.move === 'function') {
+    await fh.move(name);
+  } else {
+    await saveFile(`${folder}/${name}`, await (await fh.getFile()).arrayBuffer());
+    await dir.removeEntry(parts[parts.length - 1]);
+  }
 }
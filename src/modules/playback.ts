@@ -0,0 +1,79 @@
+import { loadFile } from './opfs';
+import { projectFile } from './projects';
+import { audibleTracks, type Session } from './session';
+import { clipEnvelopes, envelopeNode } from './fades';
+import { effectChain } from './effects';
+import { decodeFlac, isFlac } from './lossless';
+
+// Decoded sources, shared by every clip that points at the same file. Clip paths are relative to
+// the project, so the cache is keyed by the full OPFS path.
+const buffers = new Map<string, AudioBuffer>();
+
+export async function loadBuffer(ctx: BaseAudioContext, path: string, projectId: string): Promise<AudioBuffer> {
+  const file = projectFile(path, projectId);
+  let buf = buffers.get(file);
+  if (!buf) {
+    const data = await loadFile(file);
+    buf = isFlac(path) ? await flacBuffer(data) : await ctx.decodeAudioData(data);
+    buffers.set(file, buf);
+  }
+  return buf;
+}
+
+// FLAC goes through our own decoder on a worker, at the file's rate (the source node resamples)
+async function flacBuffer(data: ArrayBuffer): Promise<AudioBuffer> {
+  const { info, channels } = await decodeFlac(data);
+  const buf = new AudioBuffer({
+    numberOfChannels: info.numChannels,
+    length: Math.max(1, info.frames),
+    sampleRate: info.sampleRate
+  });
+  channels.forEach((ch, c) => buf.copyToChannel(ch, c));
+  return buf;
+}
+
+export async function loadSessionBuffers(ctx: BaseAudioContext, session: Session, projectId: string) {
+  const paths = new Set(session.tracks.flatMap((t) => t.clips.map((c) => c.path)));
+  await Promise.all([...paths].map((p) => loadBuffer(ctx, p, projectId)));
+}
+
+/**
+ * Build the session graph (clip sources → clip fades → track effects → track gain → track pan →
+ * destination) and schedule the timeline between `from` and `to` to start sounding at context time
+ * `when`. Buffers must already be loaded (for project `projectId`). Returns the scheduled sources so the caller can stop them.
+ */
+export function scheduleSession(
+  ctx: BaseAudioContext,
+  session: Session,
+  projectId: string,
+  when: number,
+  from = 0,
+  to = Infinity,
+  destination: AudioNode = ctx.destination
+): AudioScheduledSourceNode[] {
+  const sources: AudioScheduledSourceNode[] = [];
+  for (const track of audibleTracks(session)) {
+    const gain = new GainNode(ctx, { gain: Math.pow(10, track.gainDb / 20) });
+    const pan = new StereoPannerNode(ctx, { pan: track.pan });
+    const fx = effectChain(ctx, track.effects);
+    fx.output.connect(gain).connect(pan).connect(destination);
+    const envelopes = clipEnvelopes(track.clips);
+    for (const clip of track.clips) {
+      const buffer = buffers.get(projectFile(clip.path, projectId));
+      const end = Math.min(clip.start + clip.duration, to);
+      if (!buffer || end <= from || clip.start >= to) continue;
+      const skip = Math.max(0, from - clip.start);
+      const at = when + Math.max(0, clip.start - from);
+      const env = envelopes.get(clip.id)!;
+      const src = new AudioBufferSourceNode(ctx, { buffer });
+      if (env.fadeIn || env.fadeOut) {
+        src.connect(envelopeNode(ctx, env, clip.duration, skip, end - clip.start, at)).connect(fx.input);
+      } else {
+        src.connect(fx.input);
+      }
+      src.start(at, clip.offset + skip, end - clip.start - skip);
+      sources.push(src);
+    }
+  }
+  return sources;
+}
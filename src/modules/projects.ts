@@ -0,0 +1,124 @@
+import { readJSON, writeJSON, listDirs, exists, removePath, copyDir, dirSize } from './opfs';
+
+// Everything a project owns (journal, snapshots, takes, renders, notes, device routes) lives under
+// projects/<id>/. Paths stored in the session are relative to that folder.
+export type ProjectMeta = {
+  id: string;
+  name: string;
+  created: number;
+  modified: number;
+  duration: number; // seconds of session timeline
+  size?: number; // bytes on disk, filled in by listProjects
+};
+
+const ROOT = 'projects';
+const ACTIVE_KEY = 'wasmix.activeProject';
+const DEFAULT_ID = 'default';
+const LEGACY_FOLDERS = ['takes', 'renders']; // written at the OPFS root before projects existed
+// The app's own record of a project, as opposed to its audio; folders end in '/'. Latency
+// calibration isn't among them: it belongs to the devices, not a project (see latency.ts).
+const STATE_PATHS = ['journal/', 'snapshots/', 'project.json', 'notes.automerge', 'devices.json'];
+
+/** Whether a project-relative path is part of the project's state, which only the app may change. */
+export function isStatePath(path: string): boolean {
+  return STATE_PATHS.some((p) => (p.endsWith('/') ? path.startsWith(p) : path === p));
+}
+
+export function activeProject(): string {
+  return localStorage.getItem(ACTIVE_KEY) || DEFAULT_ID;
+}
+
+export function setActiveProject(id: string) {
+  localStorage.setItem(ACTIVE_KEY, id);
+}
+
+/**
+ * OPFS path of a file inside project `id`. There is no default: the active project is shared with
+ * other tabs and can change under a running recording or import, so callers pass the id they
+ * started with.
+ */
+export function projectFile(path: string, id: string): string {
+  return `${ROOT}/${id}/${path}`;
+}
+
+export async function projectMeta(id: string): Promise<ProjectMeta> {
+  const meta = await readJSON<ProjectMeta>(projectFile('project.json', id));
+  return meta ?? { id, name: id === DEFAULT_ID ? 'Default' : id, created: 0, modified: 0, duration: 0 };
+}
+
+export async function writeMeta(meta: ProjectMeta) {
+  const { size, ...stored } = meta;
+  await writeJSON(projectFile('project.json', meta.id), stored);
+}
+
+/**
+ * Make sure the active project exists, and move takes and renders saved at the OPFS root by older
+ * versions into the default project.
+ */
+export async function ensureProjects(): Promise<string> {
+  for (const folder of LEGACY_FOLDERS) {
+    if (!(await exists(folder))) continue;
+    await copyDir(folder, projectFile(folder, DEFAULT_ID));
+    await removePath(folder);
+  }
+  let id = activeProject();
+  if (id !== DEFAULT_ID && !(await projectExists(id))) {
+    id = DEFAULT_ID;
+    setActiveProject(id);
+  }
+  if (!(await exists(projectFile('project.json', id)))) {
+    const now = Date.now();
+    await writeMeta({ ...(await projectMeta(id)), created: now, modified: now });
+  }
+  return id;
+}
+
+/** Every project, most recently modified first, with its size on disk. */
+export async function listProjects(): Promise<ProjectMeta[]> {
+  const out: ProjectMeta[] = [];
+  for (const id of await listDirs(ROOT)) {
+    out.push({ ...(await projectMeta(id)), size: await dirSize(`${ROOT}/${id}`) });
+  }
+  return out.sort((a, b) => b.modified - a.modified);
+}
+
+export async function createProject(name: string): Promise<ProjectMeta> {
+  const now = Date.now();
+  const meta: ProjectMeta = { id: newProjectId(), name, created: now, modified: now, duration: 0 };
+  await writeMeta(meta);
+  return meta;
+}
+
+export async function renameProject(id: string, name: string) {
+  await writeMeta({ ...(await projectMeta(id)), name, modified: Date.now() });
+}
+
+/** Record that the project changed; `duration` is the session length after the change. */
+export async function touchProject(id: string, duration: number) {
+  await writeMeta({ ...(await projectMeta(id)), modified: Date.now(), duration });
+}
+
+export async function duplicateProject(id: string, name: string): Promise<ProjectMeta> {
+  const copy = newProjectId();
+  await copyDir(`${ROOT}/${id}`, `${ROOT}/${copy}`);
+  const now = Date.now();
+  const meta: ProjectMeta = { ...(await projectMeta(id)), id: copy, name, created: now, modified: now };
+  await writeMeta(meta);
+  return meta;
+}
+
+/** Delete a project; if it was the active one, another (or a fresh default) becomes active. */
+export async function deleteProject(id: string) {
+  await removePath(`${ROOT}/${id}`);
+  if (activeProject() !== id) return;
+  const rest = await listProjects();
+  setActiveProject(rest[0]?.id ?? DEFAULT_ID);
+}
+
+export function projectExists(id: string): Promise<boolean> {
+  return exists(`${ROOT}/${id}`);
+}
+
+export function newProjectId() {
+  return `p-${Date.now().toString(36)}-${crypto.randomUUID().slice(0, 4)}`;
+}
@@ -0,0 +1,43 @@
+import type { ProjectMeta } from './projects';
+import { formatTimecode } from './tempo';
+
+// Project list: name plus created/modified dates, session length and size on disk. Clicking an
+// entry selects it for the panel's Open/Duplicate/Rename/Delete buttons; the open one is marked.
+export function renderProjects(
+  container: HTMLElement,
+  projects: ProjectMeta[],
+  active: string,
+  selected: string,
+  select: (id: string) => void
+) {
+  container.innerHTML = '';
+  for (const p of projects) {
+    const d = document.createElement('div');
+    d.className = 'file-item project-item';
+    if (p.id === selected) d.classList.add('selected');
+    const name = document.createElement('div');
+    name.className = 'project-name';
+    name.textContent = p.id === active ? `${p.name} (open)` : p.name;
+    const meta = document.createElement('div');
+    meta.className = 'project-meta';
+    meta.textContent = [
+      `created ${formatDate(p.created)}`,
+      `modified ${formatDate(p.modified)}`,
+      formatTimecode(p.duration),
+      formatSize(p.size ?? 0)
+    ].join(' · ');
+    d.append(name, meta);
+    d.addEventListener('click', () => select(p.id));
+    container.appendChild(d);
+  }
+}
+
+function formatDate(ts: number) {
+  return ts ? new Date(ts).toLocaleString() : '—';
+}
+
+export function formatSize(bytes: number) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
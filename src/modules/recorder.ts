@@ -1,90 +1,508 @@
+import { encodeWAV, parseWAV, type WavMarker, type WavOptions } from './wav';
+import { loadFile, removePath, saveFile } from './opfs';
+import { projectFile } from './projects';
+import { envInfo } from './env';
+import { createRing, readRecent, resetRing, ringCapacity, ringStats, type RingStats } from './ringbuffer';
+import { decodeFlac, isFlac, transcodeToFlac } from './lossless';
+import { meterConfig } from './loudness';
+import { truePeak } from './leveling';
+
+export type ChannelLayout = { kind: 'mono' | 'stereo' | 'all'; first: number };
+export type Take = { path: string; frames: number; markers: WavMarker[] };
+export type TakeFormat = 'wav' | 'flac';
+export type XrunEvent = { ts: number; kind: 'late' | 'gap' | 'overflow'; ms: number; frame: number; takeFrame: number | null };
+
 let ctx: AudioContext | null = null;
 let processor: AudioWorkletNode | null = null;
+let input: MediaStreamAudioSourceNode | null = null;
+let stream: MediaStream | null = null;
+let deviceId: string | undefined;
+let sinkId = '';
+const inputEndedListeners: (() => void)[] = [];
+let compensation = 0; // frames dropped from the head of each take (measured round-trip latency)
 let recording = false;
-let recorded: Float32Array[] = [];
+let recorded: Float32Array[][] = [];
 let sampleRate = 48000;
 let lastWav: ArrayBuffer | null = null;
 let deviceLabel: string | undefined;
+let inputChannels = 1;
+let layout: ChannelLayout = { kind: 'mono', first: 0 };
+
+// Takes stream to OPFS through a worker; chunks wait in `recorded` until the file is open
+// and stay there (in RAM) if it can't be opened. Take paths are relative to the active project.
+const TAKES_DIR = 'takes';
+let writer: Worker | null = null;
+let streaming = false;
+let takePath = '';
+let takeProject = ''; // the project the current (or last) take belongs to, fixed when it starts
+let lastTake: Take | null = null;
+let opening: Promise<void> | null = null;
+// Takes are always recorded as 32-bit float WAV; with 'flac' each finished take is transcoded to
+// 24-bit FLAC (markers become Vorbis comments) and the WAV removed. If that fails the WAV stays.
+let takeFormat: TakeFormat = 'wav';
+
+// With cross-origin isolation the worklet hands frames to the writer through a SAB ring
+const RING_SECONDS = 2;
+let ring: SharedArrayBuffer | null = null;
+let ringChannels = 0;
+let ringTotals: RingStats = { overflow: 0, underflow: 0 };
+
+// Dropouts reported by the worklet; each one inside a take also becomes a cue marker in it.
+// Repeated xruns double the postMessage batch size (128 → 256 → ... frames per message); a
+// window without any halves it again. Only the last window's events are kept, plus a count.
+const XRUN_WINDOW_MS = 60_000;
+const XRUNS_TO_ADAPT = 3;
+const MAX_BATCH = 8;
+const BATCH_CHECK_MS = 5000;
+let xruns: XrunEvent[] = [];
+let xrunTotal = 0;
+let takeMarkers: WavMarker[] = [];
+let batch = 1;
+let batchChanged = 0;
+let batchTimer: ReturnType<typeof setInterval> | undefined;
+// Stopping waits for the worklet to confirm it has sent its last 'frames'
+const STOP_ACK_MS = 1000;
+let onStopped: (() => void) | null = null;
+const xrunListeners: ((ev: XrunEvent) => void)[] = [];
+// The worklet keeps the last few seconds of input in a history ring so they can be kept as a take
+// after the fact. The ring is allocated here, capped in size, and copied out here, never on the
+// audio thread; the headroom covers what the worklet writes while the copy runs.
+const CAPTURE_SECONDS = 60;
+const CAPTURE_HEADROOM_S = 2;
+const MAX_CAPTURE_BYTES = 128 * 1024 * 1024;
+let captureSeconds = CAPTURE_SECONDS;
+let history: SharedArrayBuffer | null = null;
+let historyFrames = 0;
+// The worklet meters the recorded channels' loudness in 100 ms blocks (see modules/loudness.ts)
+const loudnessListeners: ((power: number, peak: number) => void)[] = [];
+
+// A writer that fails to load or throws is dropped (the next call starts a new one) and every
+// call waiting on it rejects; so does a call it doesn't answer in time.
+const CALL_TIMEOUT_MS = 30_000;
+let nextId = 0;
+const pending = new Map<number, { resolve: (data: any) => void; reject: (e: Error) => void }>();
+
+function getWriter() {
+  if (!writer) {
+    writer = new Worker(new URL('../workers/take-writer.ts', import.meta.url), { type: 'module' });
+    writer.onmessage = (ev) => {
+      pending.get(ev.data.id)?.resolve(ev.data);
+      pending.delete(ev.data.id);
+    };
+    writer.onerror = (ev) => {
+      ev.preventDefault();
+      failWriter(new Error(`Take writer failed: ${ev.message || 'worker did not load'}`));
+    };
+  }
+  return writer;
+}
+
+function failWriter(err: Error) {
+  writer?.terminate();
+  writer = null;
+  streaming = false; // frames still arriving are kept in memory instead
+  for (const p of pending.values()) p.reject(err);
+  pending.clear();
+}
+
+function call(msg: { type: string; [key: string]: unknown }): Promise<any> {
+  const id = ++nextId;
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pending.delete(id);
+      reject(new Error(`Take writer did not answer '${msg.type}'`));
+    }, CALL_TIMEOUT_MS);
+    const done = <T>(fn: (v: T) => void) => (v: T) => {
+      clearTimeout(timer);
+      fn(v);
+    };
+    pending.set(id, { resolve: done(resolve), reject: done(reject) });
+    getWriter().postMessage({ ...msg, id });
+  });
+}
 
-export async function initAudio() {
-  const stream = await navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: false, noiseSuppression: false } });
-  deviceLabel = stream.getAudioTracks()[0]?.label;
+export async function initAudio(inputId?: string) {
+  let opened: MediaStream;
+  try {
+    opened = await openInput(inputId);
+  } catch (e) {
+    if (!inputId) throw e;
+    opened = await openInput(); // remembered device is gone: fall back to the default
+  }
   ctx = new AudioContext({ latencyHint: 'interactive' });
   sampleRate = ctx.sampleRate;
   await ctx.audioWorklet.addModule(new URL('../worklets/monitor-processor.js', import.meta.url));
-  const src = new MediaStreamAudioSourceNode(ctx, { mediaStream: stream });
-  processor = new AudioWorkletNode(ctx, 'monitor-processor');
+  processor = new AudioWorkletNode(ctx, 'monitor-processor', { channelCountMode: 'explicit' });
   processor.port.onmessage = (ev) => {
+    if (ev.data?.type === 'xrun') onXrun(ev.data);
+    if (ev.data?.type === 'stopped') onStopped?.();
+    if (ev.data?.type === 'loudness') onLoudness(ev.data);
     if (ev.data?.type === 'frames' && recording) {
-      recorded.push(new Float32Array(ev.data.left));
+      const channels: Float32Array[] = ev.data.channels;
+      if (streaming) writer!.postMessage({ type: 'write', channels }, channels.map((ch) => ch.buffer));
+      else recorded.push(channels);
     }
   };
-  src.connect(processor).connect(ctx.destination);
-  return { sampleRate, baseLatency: ctx.baseLatency, deviceLabel };
+  attachInput(opened);
+  processor.connect(ctx.destination);
+  clearInterval(batchTimer);
+  batchTimer = setInterval(relaxBatch, BATCH_CHECK_MS);
+  return { sampleRate, baseLatency: ctx.baseLatency, outputLatency: ctx.outputLatency, deviceLabel, inputChannels };
+}
+
+function openInput(id?: string) {
+  return navigator.mediaDevices.getUserMedia({
+    audio: {
+      echoCancellation: false,
+      noiseSuppression: false,
+      channelCount: { ideal: 32 },
+      ...(id ? { deviceId: { exact: id } } : {})
+    }
+  });
 }
 
-export async function startRecording() {
+// Swap the source feeding the monitor worklet; the worklet, and any take in progress, carry on.
+function attachInput(next: MediaStream) {
+  input?.disconnect();
+  stream?.getTracks().forEach((t) => t.stop());
+  stream = next;
+  const track = next.getAudioTracks()[0];
+  const settings = track?.getSettings() ?? {};
+  deviceLabel = track?.label;
+  deviceId = settings.deviceId;
+  input = new MediaStreamAudioSourceNode(ctx!, { mediaStream: next });
+  inputChannels = Math.min(32, settings.channelCount ?? input.channelCount);
+  processor!.channelCount = inputChannels;
+  layout = inputChannels > 1 ? { kind: 'stereo', first: 0 } : { kind: 'mono', first: 0 };
+  track?.addEventListener('ended', () => {
+    if (stream === next) inputEndedListeners.forEach((cb) => cb());
+  });
+  input.connect(processor!);
+  sendHistory();
+  sendMeter();
+}
+
+export async function setInputDevice(id?: string) {
+  attachInput(await openInput(id));
+  return { deviceId, deviceLabel, inputChannels };
+}
+
+export async function setOutputDevice(id: string) {
+  await (ctx as any).setSinkId(id);
+  sinkId = id;
+}
+
+/** Called when the active input track ends, e.g. the interface was unplugged. */
+export function onInputEnded(cb: () => void) {
+  inputEndedListeners.push(cb);
+}
+
+/** Shift newly recorded takes earlier by this many frames to cancel the round trip. */
+export function setLatencyCompensation(frames: number) {
+  compensation = Math.max(0, Math.round(frames));
+}
+
+export function setMonitoring(on: boolean) {
+  processor?.port.postMessage({ type: 'monitor', on });
+}
+
+function onXrun(data: Omit<XrunEvent, 'ts'>) {
+  const ev: XrunEvent = { ...data, ts: Date.now() };
+  xruns = xruns.filter((x) => x.ts >= ev.ts - XRUN_WINDOW_MS);
+  xruns.push(ev);
+  xrunTotal++;
+  if (recording && ev.takeFrame !== null) {
+    takeMarkers.push({ frame: ev.takeFrame, label: `xrun ${ev.kind} ${ev.ms.toFixed(1)}ms` });
+  }
+  if (xrunsLastMinute() >= XRUNS_TO_ADAPT && batch < MAX_BATCH) setBatch(batch * 2);
+  xrunListeners.forEach((cb) => cb(ev));
+}
+
+function relaxBatch() {
+  if (batch > 1 && !xrunsLastMinute() && Date.now() - batchChanged >= XRUN_WINDOW_MS) setBatch(batch / 2);
+}
+
+function setBatch(quanta: number) {
+  batch = quanta;
+  batchChanged = Date.now();
+  processor?.port.postMessage({ type: 'batch', quanta });
+}
+
+function xrunsLastMinute() {
+  const since = Date.now() - XRUN_WINDOW_MS;
+  return xruns.filter((x) => x.ts >= since).length;
+}
+
+export function onXrunEvent(cb: (ev: XrunEvent) => void) {
+  xrunListeners.push(cb);
+}
+
+export function getXrunStats() {
+  return { total: xrunTotal, perMinute: xrunsLastMinute(), batchFrames: batch * 128 };
+}
+
+// Layouts the current input device can offer: each mono input, each stereo pair, all inputs.
+export function layoutOptions(count = inputChannels): { label: string; layout: ChannelLayout }[] {
+  const out: { label: string; layout: ChannelLayout }[] = [];
+  for (let i = 0; i + 1 < count; i += 2) {
+    out.push({ label: `Stereo ${i + 1}/${i + 2}`, layout: { kind: 'stereo', first: i } });
+  }
+  for (let i = 0; i < count; i++) {
+    out.push({ label: `Mono ${i + 1}`, layout: { kind: 'mono', first: i } });
+  }
+  if (count > 2) out.push({ label: `All inputs (${count})`, layout: { kind: 'all', first: 0 } });
+  return out;
+}
+
+export function setChannelLayout(next: ChannelLayout) {
+  layout = next;
+  sendHistory();
+  sendMeter();
+}
+
+/** Length of the rolling capture buffer; 0 turns it off. */
+export function setCaptureSeconds(seconds: number) {
+  captureSeconds = Math.max(0, seconds);
+  sendHistory();
+}
+
+function sendHistory() {
+  const channels = layoutChannels(layout) ?? Array.from({ length: inputChannels }, (_, i) => i);
+  history = null;
+  historyFrames = 0;
+  if (captureSeconds > 0 && useRing()) {
+    const headroom = Math.round(CAPTURE_HEADROOM_S * sampleRate);
+    const maxCapacity = 2 ** Math.floor(Math.log2(MAX_CAPTURE_BYTES / (channels.length * 4)));
+    history = createRing(channels.length, Math.min(Math.round(captureSeconds * sampleRate) + headroom, maxCapacity));
+    historyFrames = Math.min(Math.round(captureSeconds * sampleRate), ringCapacity(history) - headroom);
+  }
+  processor?.port.postMessage({ type: 'history', ring: history, channels });
+}
+
+/** Seconds the capture buffer actually keeps: less than asked for when capped, 0 without SharedArrayBuffer. */
+export function captureLength(): number {
+  return historyFrames / sampleRate;
+}
+
+// The true peak comes back from the loudness worker in block order; without it, the sample peak has to do
+function onLoudness(block: { power: number; samplePeak: number; channels: Float32Array[]; from: number }) {
+  const { power, samplePeak, channels, from } = block;
+  truePeak(channels, sampleRate, from).then(
+    (peak) => loudnessListeners.forEach((cb) => cb(power, Math.max(peak, samplePeak))),
+    () => loudnessListeners.forEach((cb) => cb(power, samplePeak))
+  );
+}
+
+function sendMeter() {
+  const channels = layoutChannels(layout) ?? Array.from({ length: inputChannels }, (_, i) => i);
+  processor?.port.postMessage({ type: 'meter', channels, ...meterConfig(sampleRate, channels.length) });
+}
+
+/** Each 100 ms loudness block of the input: weighted K-filtered mean square and linear true peak. */
+export function onLoudnessBlock(cb: (power: number, peak: number) => void) {
+  loudnessListeners.push(cb);
+}
+
+/**
+ * Store what the input heard over the last `seconds` (the whole capture buffer by default) as a
+ * take. `end` is the context time its last frame lines up with, latency compensated like a take.
+ */
+export async function captureRecent(projectId: string, seconds?: number): Promise<(Take & { end: number }) | null> {
+  if (!ctx || !history) return null;
+  const frames = seconds ? Math.min(Math.round(seconds * sampleRate), historyFrames) : historyFrames;
+  const { channels, end } = await readRecent(history, frames);
+  if (!channels[0]?.length) return null;
+  // `end` is the worklet's frame counter as int32; it is within a few quanta of the context's clock
+  const now = Math.round(ctx.currentTime * sampleRate);
+  const frame = now + ((end - now) | 0);
+  const path = `${TAKES_DIR}/${Date.now()}-capture.wav`;
+  await saveFile(projectFile(path, projectId), encodeWAV(channels, sampleRate, { bitDepth: 32 }));
+  const take = await compressTake({ path, frames: channels[0].length, markers: [] }, projectId);
+  return { ...take, end: (frame - compensation) / sampleRate };
+}
+
+function layoutChannels(l: ChannelLayout): number[] | null {
+  if (l.kind === 'all') return null;
+  if (l.kind === 'stereo') return [l.first, l.first + 1];
+  return [l.first];
+}
+
+const START_LEAD_S = 0.1;
+
+/**
+ * Start a take and return the context time its first frame corresponds to: `at` if given and still
+ * ahead (e.g. after a count-in), otherwise a little ahead of now so playback can be scheduled
+ * against it.
+ */
+export async function startRecording(projectId: string, at?: number): Promise<number> {
+  takeProject = projectId;
   recorded = [];
+  takeMarkers = [];
+  lastTake = null;
+  streaming = false;
   recording = true;
-  processor?.port.postMessage({ type: 'record', on: true });
+  const channels = layoutChannels(layout);
+  const numChannels = channels?.length ?? inputChannels;
+  if (useRing()) {
+    // Nothing can buffer ahead of the ring, so the file has to be open before the worklet writes
+    if (!ring || ringChannels !== numChannels) {
+      if (ring) ringTotals = addStats(ringTotals, ringStats(ring));
+      ring = createRing(numChannels, RING_SECONDS * sampleRate);
+      ringChannels = numChannels;
+    }
+    resetRing(ring);
+    opening = openTake(numChannels, ring);
+    await opening;
+    const start = startTime(at);
+    processor?.port.postMessage({
+      type: 'record', on: recording, channels, ring: streaming ? ring : null, skip: compensation,
+      at: Math.round(start * sampleRate)
+    });
+    return start;
+  }
+  const start = startTime(at);
+  processor?.port.postMessage({
+    type: 'record', on: true, channels, ring: null, skip: compensation, at: Math.round(start * sampleRate)
+  });
+  opening = openTake(numChannels);
+  await opening;
+  return start;
 }
 
-export async function stopRecording() {
-  recording = false;
+function startTime(at?: number) {
+  const earliest = ctx!.currentTime + START_LEAD_S;
+  return at !== undefined && at > earliest ? at : earliest;
+}
+
+function useRing() {
+  const { coi, sab } = envInfo();
+  return coi && sab;
+}
+
+function addStats(a: RingStats, b: RingStats): RingStats {
+  return { overflow: a.overflow + b.overflow, underflow: a.underflow + b.underflow };
+}
+
+/** Transport in use between worklet and writer, with cumulative ring overflow/underflow counts. */
+export function getRingStats(): RingStats & { mode: 'sab' | 'postMessage' } {
+  const stats = ring ? addStats(ringTotals, ringStats(ring)) : ringTotals;
+  return { mode: useRing() ? 'sab' : 'postMessage', ...stats };
+}
+
+async function openTake(numChannels: number, sab?: SharedArrayBuffer) {
+  takePath = `${TAKES_DIR}/${Date.now()}.wav`;
+  const res = await call({
+    type: 'open',
+    path: projectFile(takePath, takeProject),
+    numChannels,
+    sampleRate,
+    ring: sab
+  }).catch((e: Error) => ({ error: e.message }));
+  if (res.error) {
+    console.warn('[recorder] streaming unavailable, recording to memory:', res.error);
+    return;
+  }
+  for (const chunk of recorded) writer!.postMessage({ type: 'write', channels: chunk });
+  recorded = [];
+  streaming = true;
+}
+
+export async function stopRecording(): Promise<Take | null> {
   processor?.port.postMessage({ type: 'record', on: false });
+  await workletStopped();
+  recording = false;
+  await opening;
+  if (streaming) await finishTake();
+  else if (recorded.length) await saveRecorded();
+  if (lastTake) lastTake = await compressTake(lastTake, takeProject);
+  return lastTake;
 }
 
-export function getState() {
-  return { ctx, sampleRate, lastWav, deviceLabel };
+// Frames the worklet still had batched arrive before its 'stopped'; give up waiting after a second
+function workletStopped(): Promise<void> {
+  if (!processor) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      onStopped = null;
+      resolve();
+    };
+    const timer = setTimeout(done, STOP_ACK_MS);
+    onStopped = done;
+  });
 }
 
-export async function exportWav(): Promise<ArrayBuffer | null> {
-  if (!recorded.length || !ctx) return null;
-  const length = recorded.reduce((a, b) => a + b.length, 0);
-  const pcm = new Float32Array(length);
-  let o = 0;
-  for (const chunk of recorded) { pcm.set(chunk, o); o += chunk.length; }
-  lastWav = encodeWAV(pcm, ctx.sampleRate);
-  return lastWav;
+export function setTakeFormat(format: TakeFormat) {
+  takeFormat = format;
 }
 
-// 16-bit PCM WAV encoder
-function encodeWAV(samples: Float32Array, sampleRate: number): ArrayBuffer {
-  const numChannels = 1;
-  const bytesPerSample = 2;
-  const blockAlign = numChannels * bytesPerSample;
-  const byteRate = sampleRate * blockAlign;
-  const dataSize = samples.length * bytesPerSample;
-  const buffer = new ArrayBuffer(44 + dataSize);
-  const view = new DataView(buffer);
-
-  // RIFF header
-  writeString(view, 0, 'RIFF');
-  view.setUint32(4, 36 + dataSize, true);
-  writeString(view, 8, 'WAVE');
-
-  // fmt chunk
-  writeString(view, 12, 'fmt ');
-  view.setUint32(16, 16, true);
-  view.setUint16(20, 1, true);
-  view.setUint16(22, numChannels, true);
-  view.setUint32(24, sampleRate, true);
-  view.setUint32(28, byteRate, true);
-  view.setUint16(32, blockAlign, true);
-  view.setUint16(34, 16, true);
-
-  // data chunk
-  writeString(view, 36, 'data');
-  view.setUint32(40, dataSize, true);
-
-  let offset = 44;
-  for (let i = 0; i < samples.length; i++, offset += 2) {
-    const s = Math.max(-1, Math.min(1, samples[i]));
-    view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+async function compressTake(take: Take, projectId: string): Promise<Take> {
+  if (takeFormat !== 'flac') return take;
+  const path = take.path.replace(/\.wav$/, '.flac');
+  try {
+    await transcodeToFlac(projectFile(take.path, projectId), projectFile(path, projectId), {
+      bitDepth: 24,
+      comments: [['DATE', new Date().toISOString()]]
+    });
+    await removePath(projectFile(take.path, projectId));
+    return { ...take, path };
+  } catch (e) {
+    console.warn('[recorder] keeping the take as WAV:', (e as Error).message);
+    return take;
   }
-  return buffer;
 }
 
-function writeString(view: DataView, offset: number, str: string) {
-  for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+// Without a streaming writer the take was held in memory; store it now so it can join the session
+async function saveRecorded() {
+  const channels = concatRecorded();
+  const path = `${TAKES_DIR}/${Date.now()}.wav`;
+  await saveFile(projectFile(path, takeProject), encodeWAV(channels, sampleRate, { bitDepth: 32, markers: takeMarkers }));
+  lastTake = { path, frames: channels[0].length, markers: takeMarkers };
+  recorded = [];
+}
+
+function concatRecorded(): Float32Array[] {
+  const numChannels = recorded[0].length;
+  const length = recorded.reduce((a, b) => a + b[0].length, 0);
+  const channels = Array.from({ length: numChannels }, () => new Float32Array(length));
+  let o = 0;
+  for (const chunk of recorded) {
+    for (let c = 0; c < numChannels; c++) channels[c].set(chunk[c], o);
+    o += chunk[0].length;
+  }
+  return channels;
+}
+
+async function finishTake() {
+  streaming = false;
+  // If closing fails the file keeps what was written; recoverTakes repairs its header next boot
+  const res = await call({ type: 'close', markers: takeMarkers }).catch((e: Error) => ({ error: e.message }));
+  if (res.error) console.warn('[recorder] closing the take failed:', res.error);
+  else lastTake = { path: takePath, frames: res.frames, markers: takeMarkers };
+}
+
+/** Repair takes left with an unfinished header by a crashed or closed tab. */
+export async function recoverTakes(projectId: string): Promise<string[]> {
+  const res = await call({ type: 'recover', folder: projectFile(TAKES_DIR, projectId) });
+  return res.paths ?? [];
+}
+
+export function getState() {
+  return {
+    ctx, processor, input, sampleRate, lastWav, deviceId, deviceLabel, sinkId, inputChannels, layout, lastTake,
+    compensation
+  };
+}
+
+/** The last take as WAV; `process` gets its samples first (e.g. loudness normalization). */
+export async function exportWav(
+  opts: WavOptions = {},
+  process?: (channels: Float32Array[], sampleRate: number) => Promise<Float32Array[]>
+): Promise<ArrayBuffer | null> {
+  if (!lastTake) return null;
+  const data = await loadFile(projectFile(lastTake.path, takeProject));
+  const { info, channels } = isFlac(lastTake.path) ? await decodeFlac(data) : parseWAV(data);
+  const out = process ? await process(channels, info.sampleRate) : channels;
+  lastWav = encodeWAV(out, info.sampleRate, { markers: lastTake.markers, ...opts });
+  return lastWav;
 }
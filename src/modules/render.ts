@@ -0,0 +1,71 @@
+import { loadSessionBuffers, scheduleSession } from './playback';
+import { sessionDuration, type Session, type Track } from './session';
+
+export type RenderOptions = {
+  range?: { start: number; end: number }; // seconds on the session timeline; whole session by default
+  sampleRate?: number;
+  onProgress?: (fraction: number) => void;
+};
+
+const PROGRESS_STEPS = 50;
+
+/** Render the session (of project `projectId`) faster than realtime into a stereo buffer. */
+export async function renderMix(session: Session, projectId: string, opts: RenderOptions = {}): Promise<AudioBuffer> {
+  const start = opts.range?.start ?? 0;
+  const end = opts.range?.end ?? sessionDuration(session);
+  if (end <= start) throw new Error('Nothing to render');
+  const sampleRate = opts.sampleRate ?? 48000;
+  const ctx = new OfflineAudioContext({ numberOfChannels: 2, length: Math.ceil((end - start) * sampleRate), sampleRate });
+  await loadSessionBuffers(ctx, session, projectId);
+  scheduleSession(ctx, session, projectId, 0, start);
+  if (opts.onProgress) trackProgress(ctx, end - start, opts.onProgress);
+  const out = await ctx.startRendering();
+  opts.onProgress?.(1);
+  return out;
+}
+
+export type Stem = { track: Track; name: string; buffer: AudioBuffer };
+
+/** Tracks that get a stem: the unmuted ones with clips, solo ignored. */
+export function stemTracks(session: Session): Track[] {
+  return session.tracks.filter((t) => !t.muted && t.clips.length);
+}
+
+// Track names are free text and may repeat, so the file name leads with the track's position
+function stemName(session: Session, track: Track) {
+  const position = String(session.tracks.indexOf(track) + 1).padStart(2, '0');
+  return `${position}-${track.name.replace(/[^\w.-]+/g, '_')}`;
+}
+
+/** One buffer per stem track, each with its own effects, gain and pan. */
+export async function renderStems(session: Session, projectId: string, opts: RenderOptions = {}): Promise<Stem[]> {
+  const tracks = stemTracks(session);
+  const range = opts.range ?? { start: 0, end: sessionDuration(session) };
+  const out: Stem[] = [];
+  for (let i = 0; i < tracks.length; i++) {
+    const solo: Session = { ...session, tracks: [{ ...tracks[i], solo: false }] };
+    const buffer = await renderMix(solo, projectId, {
+      ...opts,
+      range,
+      onProgress: opts.onProgress && ((f) => opts.onProgress!((i + f) / tracks.length))
+    });
+    out.push({ track: tracks[i], name: stemName(session, tracks[i]), buffer });
+  }
+  return out;
+}
+
+// Suspend at regular points of the render timeline to report how far it got
+function trackProgress(ctx: OfflineAudioContext, duration: number, onProgress: (fraction: number) => void) {
+  const step = duration / PROGRESS_STEPS;
+  for (let i = 1; i < PROGRESS_STEPS; i++) {
+    const t = i * step;
+    ctx.suspend(t).then(() => {
+      onProgress(t / duration);
+      ctx.resume();
+    }).catch(() => {}); // suspend times that round onto each other are rejected; skip them
+  }
+}
+
+export function bufferChannels(buf: AudioBuffer): Float32Array[] {
+  return Array.from({ length: buf.numberOfChannels }, (_, c) => buf.getChannelData(c));
+}
@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import { createRing, readRecent, RING_CAPACITY, RING_FRAME, RING_WRITE } from './ringbuffer';
+
+// The worklet's history write: overwrite the oldest frames, never wait for a reader
+function produce(sab: SharedArrayBuffer, frames: number, frame0 = 0) {
+  const header = new Int32Array(sab, 0, 8);
+  const data = new Float32Array(sab, 32);
+  const mask = header[RING_CAPACITY] - 1;
+  const w = header[RING_WRITE];
+  for (let i = 0; i < frames; i++) {
+    data[((w + i) & mask) * 2] = w + i;
+    data[((w + i) & mask) * 2 + 1] = -(w + i);
+  }
+  header[RING_FRAME] = frame0;
+  header[RING_WRITE] = w + frames;
+}
+
+describe('readRecent', () => {
+  it('copies the last frames oldest first after the ring wrapped', async () => {
+    const sab = createRing(2, 1024);
+    produce(sab, 3000, 500);
+    const { channels, end } = await readRecent(sab, 100);
+    expect(Array.from(channels[0])).toEqual(Array.from({ length: 100 }, (_, i) => 2900 + i));
+    expect(channels[1][0]).toBe(-2900);
+    expect(end).toBe(3500);
+  });
+
+  it('returns only what was written so far', async () => {
+    const sab = createRing(2, 1024);
+    produce(sab, 10);
+    expect((await readRecent(sab, 100)).channels[0].length).toBe(10);
+  });
+
+  it('throws when the producer laps the copy', async () => {
+    const sab = createRing(2, 1 << 17);
+    produce(sab, 1 << 17);
+    const copy = readRecent(sab, 1 << 17);
+    produce(sab, (1 << 16) + 128); // lands while the copy yields after its first chunk
+    await expect(copy).rejects.toThrow('overwritten');
+  });
+});
@@ -0,0 +1,116 @@
+// Lock-free single-producer/single-consumer ring of interleaved float frames in a SharedArrayBuffer.
+// The producer (monitor-processor.js, which can't import modules and carries its own copy of the
+// write side) only advances WRITE; the consumer only advances READ. Indices are free-running
+// int32 frame counters, so a power-of-two capacity lets `& mask` handle wrap-around.
+
+export const RING_WRITE = 0;
+export const RING_READ = 1;
+export const RING_OVERFLOW = 2; // producer found no room and dropped a quantum
+export const RING_UNDERFLOW = 3; // consumer woke up to an empty ring
+export const RING_CHANNELS = 4;
+export const RING_CAPACITY = 5;
+export const RING_END = 6; // set by the producer after its last write of a take
+export const RING_FRAME = 7; // history rings: the producer's currentFrame minus WRITE, as int32
+const HEADER_BYTES = 32;
+
+export type RingStats = { overflow: number; underflow: number };
+
+export function createRing(numChannels: number, minFrames: number): SharedArrayBuffer {
+  let capacity = 1;
+  while (capacity < minFrames) capacity <<= 1;
+  const sab = new SharedArrayBuffer(HEADER_BYTES + capacity * numChannels * 4);
+  const header = new Int32Array(sab, 0, HEADER_BYTES / 4);
+  header[RING_CHANNELS] = numChannels;
+  header[RING_CAPACITY] = capacity;
+  return sab;
+}
+
+/** Rewind both indices; only safe while neither side is running. */
+export function resetRing(sab: SharedArrayBuffer) {
+  const header = new Int32Array(sab, 0, HEADER_BYTES / 4);
+  Atomics.store(header, RING_WRITE, 0);
+  Atomics.store(header, RING_READ, 0);
+  Atomics.store(header, RING_END, 0);
+}
+
+export function ringCapacity(sab: SharedArrayBuffer): number {
+  return new Int32Array(sab, 0, HEADER_BYTES / 4)[RING_CAPACITY];
+}
+
+export function ringStats(sab: SharedArrayBuffer): RingStats {
+  const header = new Int32Array(sab, 0, HEADER_BYTES / 4);
+  return { overflow: Atomics.load(header, RING_OVERFLOW), underflow: Atomics.load(header, RING_UNDERFLOW) };
+}
+
+export class RingReader {
+  private header: Int32Array;
+  private data: Float32Array;
+  readonly numChannels: number;
+  private mask: number;
+
+  constructor(sab: SharedArrayBuffer) {
+    this.header = new Int32Array(sab, 0, HEADER_BYTES / 4);
+    this.numChannels = this.header[RING_CHANNELS];
+    this.mask = this.header[RING_CAPACITY] - 1;
+    this.data = new Float32Array(sab, HEADER_BYTES);
+  }
+
+  /** Whether the producer has written its last frame; what is left can then be drained for good. */
+  ended(): boolean {
+    return Atomics.load(this.header, RING_END) !== 0;
+  }
+
+  /** Drain everything available as planar channels, or null (counted as underflow) if empty. */
+  read(countUnderflow = true): Float32Array[] | null {
+    const w = Atomics.load(this.header, RING_WRITE);
+    const r = Atomics.load(this.header, RING_READ);
+    const available = (w - r) | 0;
+    if (available <= 0) {
+      if (countUnderflow) Atomics.add(this.header, RING_UNDERFLOW, 1);
+      return null;
+    }
+    const nch = this.numChannels;
+    const out = Array.from({ length: nch }, () => new Float32Array(available));
+    for (let i = 0; i < available; i++) {
+      const base = ((r + i) & this.mask) * nch;
+      for (let c = 0; c < nch; c++) out[c][i] = this.data[base + c];
+    }
+    Atomics.store(this.header, RING_READ, (r + available) | 0);
+    return out;
+  }
+}
+
+// Frames copied per step of readRecent before yielding
+const RECENT_CHUNK = 1 << 16;
+
+/**
+ * Copy up to the last `frames` frames out of a history ring, oldest first. A history ring is never
+ * drained: its producer keeps overwriting the oldest frames, so the copy runs in chunks with a
+ * yield in between and throws if the producer laps it (the ring needs headroom beyond `frames`).
+ * `end` is the producer's frame count right after the last copied frame, as int32.
+ */
+export async function readRecent(sab: SharedArrayBuffer, frames: number): Promise<{ channels: Float32Array[]; end: number }> {
+  const header = new Int32Array(sab, 0, HEADER_BYTES / 4);
+  const data = new Float32Array(sab, HEADER_BYTES);
+  const nch = header[RING_CHANNELS];
+  const capacity = header[RING_CAPACITY];
+  const mask = capacity - 1;
+  const offset = Atomics.load(header, RING_FRAME);
+  const w = Atomics.load(header, RING_WRITE);
+  const written = w >>> 0; // free-running; past 2^31 it has long been full
+  const n = Math.min(frames, written, capacity);
+  const from = (w - n) | 0;
+  const channels = Array.from({ length: nch }, () => new Float32Array(n));
+  for (let i = 0; i < n; i += RECENT_CHUNK) {
+    const end = Math.min(n, i + RECENT_CHUNK);
+    for (let f = i; f < end; f++) {
+      const base = ((from + f) & mask) * nch;
+      for (let c = 0; c < nch; c++) channels[c][f] = data[base + c];
+    }
+    if (((Atomics.load(header, RING_WRITE) - (from + i)) | 0) > capacity) {
+      throw new Error('Capture buffer was overwritten while copying it out');
+    }
+    await new Promise((resolve) => setTimeout(resolve));
+  }
+  return { channels, end: (w + offset) | 0 };
+}
@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import { applyOp, emptySession, inverseOp, newTrack, type Clip, type Session, type SessionOp } from './session';
+
+function withClip(clip: Clip): Session {
+  const track = { ...newTrack('T'), id: 't', clips: [clip] };
+  return { ...emptySession(), tracks: [track] };
+}
+
+const trim = (s: Session, start?: number, end?: number) =>
+  applyOp(s, { kind: 'clip-trim', payload: { trackId: 't', clipId: 'c', start, end } }).tracks[0].clips[0];
+
+describe('clip-trim', () => {
+  const clip: Clip = { id: 'c', path: 'a.wav', start: 10, offset: 2, duration: 3, sourceDuration: 6 };
+
+  it('keeps the head inside the source', () => {
+    expect(trim(withClip(clip), 5)).toMatchObject({ start: 8, offset: 0, duration: 5 });
+  });
+
+  it('keeps the tail inside the source', () => {
+    expect(trim(withClip(clip), undefined, 20)).toMatchObject({ start: 10, offset: 2, duration: 4 });
+  });
+
+  it('leaves the tail free on clips without a source length', () => {
+    const { sourceDuration, ...old } = clip;
+    expect(trim(withClip(old), undefined, 20)).toMatchObject({ duration: 10 });
+  });
+});
+
+describe('inverseOp', () => {
+  const clip: Clip = { id: 'c', path: 'a.wav', start: 10, offset: 2, duration: 3, sourceDuration: 6 };
+  const take: Clip = { id: 'k', path: 'b.wav', start: 0, offset: 0, duration: 20 };
+  const base: Session = { ...withClip(clip), tracks: [{ ...withClip(clip).tracks[0], takes: [take] }] };
+
+  const ops: SessionOp[] = [
+    { kind: 'track-update', payload: { id: 't', gainDb: -6, effects: { lowCut: true } } },
+    { kind: 'clip-move', payload: { trackId: 't', clipId: 'c', start: 4 } },
+    { kind: 'clip-trim', payload: { trackId: 't', clipId: 'c', start: 9, end: 12 } },
+    { kind: 'clip-fade', payload: { trackId: 't', clipId: 'c', fadeIn: 0.5, fadeInCurve: 's-curve' } },
+    { kind: 'clip-split', payload: { trackId: 't', clipId: 'c', at: 11, id: 'd' } },
+    { kind: 'comp-set', payload: { trackId: 't', takeId: 'k', start: 11, end: 15, id: 'e' } },
+    { kind: 'take-remove', payload: { trackId: 't', takeId: 'k' } },
+    { kind: 'track-remove', payload: { id: 't' } }
+  ];
+
+  for (const op of ops) {
+    it(`takes ${op.kind} back`, () => {
+      const back = applyOp(applyOp(base, op), inverseOp(base, op));
+      if (op.kind !== 'clip-fade') return expect(back).toEqual(base);
+      // Fades the clip didn't have come back as their defaults
+      expect(back.tracks[0].clips[0]).toEqual({ ...clip, fadeIn: 0, fadeInCurve: 'linear' });
+    });
+  }
+
+  it('carries only the fields an op changed', () => {
+    const inv = inverseOp(base, { kind: 'track-update', payload: { id: 't', gainDb: -6, muted: false } });
+    expect(inv).toEqual({ kind: 'track-update', payload: { id: 't', gainDb: 0 } });
+    const split = inverseOp(base, ops[4]);
+    expect(Object.keys(split.payload)).toEqual(['id', 'clips']);
+  });
+});
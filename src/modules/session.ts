@@ -0,0 +1,236 @@
+import type { JournalOp } from './journal';
+import { defaultTempo, type TempoMap } from './tempo';
+import type { FadeCurve } from './fades';
+import type { TrackEffects } from './effects';
+
+// Times are in seconds on the session timeline; `offset` is where the clip starts inside its source file.
+// Clips built by comping remember the take they were cut from. Edits never touch the source file.
+// `sourceDuration` (the length of the source file) is missing on clips from older sessions.
+export type Clip = {
+  id: string;
+  path: string;
+  start: number;
+  offset: number;
+  duration: number;
+  sourceDuration?: number;
+  takeId?: string;
+  fadeIn?: number;
+  fadeOut?: number;
+  fadeInCurve?: FadeCurve;
+  fadeOutCurve?: FadeCurve;
+};
+
+export type ClipFades = Pick<Clip, 'fadeIn' | 'fadeOut' | 'fadeInCurve' | 'fadeOutCurve'>;
+
+export type Track = {
+  id: string;
+  name: string;
+  clips: Clip[]; // what plays: the comp
+  takes: Clip[]; // every recorded pass, stacked in recording order
+  armed: boolean;
+  muted: boolean;
+  solo: boolean;
+  gainDb: number;
+  pan: number; // -1 (left) .. 1 (right)
+  effects?: TrackEffects;
+};
+
+export type Session = { tracks: Track[]; tempo: TempoMap };
+
+// Fields set to null are removed; that is how undo takes back a field the track didn't have
+export type TrackPatch = { [K in keyof Track]?: Track[K] | null } & { id: string };
+
+// Every change to the session is one of these journal ops; replaying them rebuilds the session.
+export type SessionOp =
+  | { kind: 'track-add'; payload: Track }
+  | { kind: 'track-update'; payload: TrackPatch }
+  | { kind: 'track-remove'; payload: { id: string } }
+  | { kind: 'track-restore'; payload: { track: Track; index: number } }
+  | { kind: 'clip-add'; payload: { trackId: string; clip: Clip } }
+  | { kind: 'clip-remove'; payload: { trackId: string; clipId: string } }
+  | { kind: 'tempo-set'; payload: { tempo: TempoMap } }
+  | { kind: 'take-add'; payload: { trackId: string; take: Clip } }
+  | { kind: 'take-remove'; payload: { trackId: string; takeId: string } }
+  | { kind: 'comp-set'; payload: { trackId: string; takeId: string; start: number; end: number; id: string } }
+  | { kind: 'clip-move'; payload: { trackId: string; clipId: string; start: number } }
+  | { kind: 'clip-trim'; payload: { trackId: string; clipId: string; start?: number; end?: number } }
+  | { kind: 'clip-split'; payload: { trackId: string; clipId: string; at: number; id: string } }
+  | { kind: 'clip-fade'; payload: { trackId: string; clipId: string } & ClipFades };
+
+export function emptySession(): Session {
+  return { tracks: [], tempo: defaultTempo() };
+}
+
+export function newId() {
+  return crypto.randomUUID().slice(0, 8);
+}
+
+export function newTrack(name: string, armed = false): Track {
+  return { id: newId(), name, clips: [], takes: [], armed, muted: false, solo: false, gainDb: 0, pan: 0 };
+}
+
+/**
+ * Remove [start, end) from a clip list, trimming clips that straddle either edge. A clip cut in
+ * two keeps its id on the left part; the right part gets `${restId}-${index}` so replay is stable.
+ */
+export function cutRange(clips: Clip[], start: number, end: number, restId: string): Clip[] {
+  const out: Clip[] = [];
+  clips.forEach((c, i) => {
+    const cEnd = c.start + c.duration;
+    if (cEnd <= start || c.start >= end) {
+      out.push(c);
+      return;
+    }
+    if (c.start < start) out.push({ ...c, duration: start - c.start });
+    if (cEnd > end) {
+      const id = c.start < start ? `${restId}-${i}` : c.id;
+      out.push({ ...c, id, start: end, offset: c.offset + (end - c.start), duration: cEnd - end });
+    }
+  });
+  return out;
+}
+
+function mapClip(s: Session, trackId: string, clipId: string, fn: (c: Clip) => Clip): Session {
+  return mapTrack(s, trackId, (t) => ({ ...t, clips: t.clips.map((c) => (c.id === clipId ? fn(c) : c)) }));
+}
+
+// New edges on the timeline; neither can be pulled out past the ends of the source file
+function trimClip(c: Clip, start = c.start, end = c.start + c.duration): Clip {
+  const head = Math.max(start, c.start - c.offset);
+  const tail = c.sourceDuration === undefined ? end : Math.min(end, c.start - c.offset + c.sourceDuration);
+  if (tail - head <= 0) return c;
+  return { ...c, start: head, offset: c.offset + (head - c.start), duration: tail - head };
+}
+
+function splitClip(t: Track, clipId: string, at: number, id: string): Track {
+  const clips = t.clips.flatMap((c) => {
+    if (c.id !== clipId || at <= c.start || at >= c.start + c.duration) return [c];
+    const left: Clip = { ...c, duration: at - c.start, fadeOut: 0 };
+    const offset = c.offset + (at - c.start);
+    const right: Clip = { ...c, id, start: at, offset, duration: c.start + c.duration - at, fadeIn: 0 };
+    return [left, right];
+  });
+  return { ...t, clips };
+}
+
+// Replace [start, end) of the comp with the same stretch of a take
+function comp(t: Track, p: { takeId: string; start: number; end: number; id: string }): Track {
+  const take = t.takes.find((k) => k.id === p.takeId);
+  if (!take) return t;
+  const start = Math.max(p.start, take.start);
+  const end = Math.min(p.end, take.start + take.duration);
+  if (end <= start) return t;
+  const offset = take.offset + (start - take.start);
+  const piece: Clip = {
+    id: p.id, path: take.path, start, offset, duration: end - start, sourceDuration: take.sourceDuration, takeId: take.id
+  };
+  const clips = [...cutRange(t.clips, start, end, p.id), piece].sort((a, b) => a.start - b.start);
+  return { ...t, clips };
+}
+
+function patchTrack(t: Track, p: TrackPatch): Track {
+  const out: any = { ...t, ...p };
+  for (const [k, v] of Object.entries(p)) if (v === null) delete out[k];
+  return out;
+}
+
+function mapTrack(s: Session, id: string, fn: (t: Track) => Track): Session {
+  return { ...s, tracks: s.tracks.map((t) => (t.id === id ? fn(t) : t)) };
+}
+
+/** Pure reducer; ops of other kinds (xruns, renders, ...) leave the session untouched. */
+export function applyOp(s: Session, op: SessionOp | JournalOp): Session {
+  const p = op.payload as any;
+  switch (op.kind) {
+    case 'track-add':
+      return { ...s, tracks: [...s.tracks, { takes: [], ...p }] };
+    case 'track-update':
+      return mapTrack(s, p.id, (t) => patchTrack(t, p));
+    case 'track-remove':
+      return { ...s, tracks: s.tracks.filter((t) => t.id !== p.id) };
+    case 'track-restore': {
+      if (s.tracks.some((t) => t.id === p.track.id)) return mapTrack(s, p.track.id, () => p.track);
+      const tracks = [...s.tracks];
+      tracks.splice(p.index, 0, p.track);
+      return { ...s, tracks };
+    }
+    case 'clip-add':
+      return mapTrack(s, p.trackId, (t) => ({ ...t, clips: [...t.clips, p.clip] }));
+    case 'clip-remove':
+      return mapTrack(s, p.trackId, (t) => ({ ...t, clips: t.clips.filter((c) => c.id !== p.clipId) }));
+    case 'tempo-set':
+      return { ...s, tempo: p.tempo };
+    case 'take-add':
+      return mapTrack(s, p.trackId, (t) => ({ ...t, takes: [...t.takes, p.take] }));
+    case 'take-remove':
+      return mapTrack(s, p.trackId, (t) => ({ ...t, takes: t.takes.filter((k) => k.id !== p.takeId) }));
+    case 'comp-set':
+      return mapTrack(s, p.trackId, (t) => comp(t, p));
+    case 'clip-move':
+      return mapClip(s, p.trackId, p.clipId, (c) => ({ ...c, start: Math.max(0, p.start) }));
+    case 'clip-trim':
+      return mapClip(s, p.trackId, p.clipId, (c) => trimClip(c, p.start, p.end));
+    case 'clip-split':
+      return mapTrack(s, p.trackId, (t) => splitClip(t, p.clipId, p.at, p.id));
+    case 'clip-fade': {
+      const { trackId, clipId, ...fades } = p;
+      return mapClip(s, trackId, clipId, (c) => ({ ...c, ...fades }));
+    }
+    default:
+      return s;
+  }
+}
+
+const FADE_DEFAULTS: Required<ClipFades> = { fadeIn: 0, fadeOut: 0, fadeInCurve: 'linear', fadeOutCurve: 'linear' };
+
+/**
+ * The op that takes `s` back from `applyOp(s, op)`, carrying only what the op changed: the clip's
+ * old edges or fades, the old values of the track fields it touched, or the whole track only when
+ * it removed one.
+ */
+export function inverseOp(s: Session, op: SessionOp): SessionOp {
+  switch (op.kind) {
+    case 'tempo-set':
+      return { kind: 'tempo-set', payload: { tempo: s.tempo } };
+    case 'track-add':
+      return { kind: 'track-remove', payload: { id: op.payload.id } };
+    case 'clip-add':
+      return { kind: 'clip-remove', payload: { trackId: op.payload.trackId, clipId: op.payload.clip.id } };
+    case 'take-add':
+      return { kind: 'take-remove', payload: { trackId: op.payload.trackId, takeId: op.payload.take.id } };
+    case 'clip-move':
+    case 'clip-trim':
+    case 'clip-fade': {
+      const { trackId, clipId } = op.payload;
+      const c = s.tracks.find((t) => t.id === trackId)?.clips.find((k) => k.id === clipId);
+      if (!c) break;
+      if (op.kind === 'clip-move') return { kind: 'clip-move', payload: { trackId, clipId, start: c.start } };
+      if (op.kind === 'clip-trim') {
+        return { kind: 'clip-trim', payload: { trackId, clipId, start: c.start, end: c.start + c.duration } };
+      }
+      const keys = Object.keys(FADE_DEFAULTS).filter((k) => k in op.payload) as (keyof ClipFades)[];
+      const fades = Object.fromEntries(keys.map((k) => [k, c[k] ?? FADE_DEFAULTS[k]]));
+      return { kind: 'clip-fade', payload: { trackId, clipId, ...fades } };
+    }
+  }
+  const p = op.payload;
+  const id = 'trackId' in p ? p.trackId : 'track' in p ? p.track.id : p.id;
+  const index = s.tracks.findIndex((t) => t.id === id);
+  if (index < 0) return { kind: 'track-remove', payload: { id } };
+  const before = s.tracks[index];
+  const after = applyOp(s, op).tracks.find((t) => t.id === id);
+  if (!after) return { kind: 'track-restore', payload: { track: before, index } };
+  // Unchanged fields keep their references through applyOp, so this picks out what the op touched
+  const changed = (Object.keys({ ...before, ...after }) as (keyof Track)[]).filter((k) => before[k] !== after[k]);
+  return { kind: 'track-update', payload: { id, ...Object.fromEntries(changed.map((k) => [k, before[k] ?? null])) } };
+}
+
+/** Tracks that should sound: soloed ones if any track is soloed, otherwise all unmuted ones. */
+export function audibleTracks(s: Session): Track[] {
+  const soloed = s.tracks.some((t) => t.solo);
+  return s.tracks.filter((t) => (soloed ? t.solo : !t.muted));
+}
+
+export function sessionDuration(s: Session): number {
+  return s.tracks.reduce((max, t) => t.clips.reduce((m, c) => Math.max(m, c.start + c.duration), max), 0);
+}
@@ -0,0 +1,102 @@
+import { dirSize, exists, fileSize, listDirs, removePath, walkFiles } from './opfs';
+import { listProjects, projectFile } from './projects';
+import { readHistory, type History } from './history';
+import { compact } from './journal';
+
+// What the origin uses of its quota and where it goes, plus removal of what a project no longer
+// needs. Cleanup only ever touches files nothing in the session or its undo history refers to.
+export type StorageStatus = { usage: number; quota: number; persisted: boolean };
+
+export type ProjectUsage = { id: string; name: string; size: number; folders: { name: string; size: number }[] };
+
+export type CleanupKind = 'unused-audio' | 'old-snapshots' | 'renders';
+export type CleanupItem = { kind: CleanupKind; paths: string[]; bytes: number };
+
+export async function storageStatus(): Promise<StorageStatus> {
+  const { usage = 0, quota = 0 } = (await navigator.storage?.estimate?.()) ?? {};
+  const persisted = (await navigator.storage?.persisted?.()) ?? false;
+  return { usage, quota, persisted };
+}
+
+/** Ask the browser not to evict this origin's data under storage pressure. */
+export async function requestPersistence(): Promise<boolean> {
+  return (await navigator.storage?.persist?.()) ?? false;
+}
+
+/** Size of every project, broken down by top-level folder (files at the top count as "(files)"). */
+export async function projectUsage(): Promise<ProjectUsage[]> {
+  const out: ProjectUsage[] = [];
+  for (const p of await listProjects()) {
+    const folders = [];
+    let inFolders = 0;
+    for (const name of await listDirs(projectFile('', p.id))) {
+      const size = await dirSize(projectFile(name, p.id));
+      folders.push({ name, size });
+      inFolders += size;
+    }
+    if (p.size! > inFolders) folders.push({ name: '(files)', size: p.size! - inFolders });
+    out.push({ id: p.id, name: p.name, size: p.size!, folders: folders.sort((a, b) => b.size - a.size) });
+  }
+  return out;
+}
+
+/**
+ * What could go from a project: takes and imported audio nothing refers to any more (not even an
+ * undo step), all snapshots but the newest, and rendered mixdowns/stems. Pass `h` for the project
+ * being edited so the in-memory history is used. Renders added to the session are kept like takes.
+ */
+export async function cleanupCandidates(projectId: string, h?: History): Promise<CleanupItem[]> {
+  const history = h ?? (await readHistory(projectId)).history;
+  const used = referencedPaths(history);
+  const items: CleanupItem[] = [];
+
+  const audio = [...(await filesIn(projectId, 'takes')), ...(await filesIn(projectId, 'imports'))];
+  const unused = audio.filter((p) => !used.has(p));
+  items.push({ kind: 'unused-audio', paths: unused, bytes: await totalSize(projectId, unused) });
+
+  const snapshots = (await filesIn(projectId, 'snapshots')).slice(0, -1);
+  items.push({ kind: 'old-snapshots', paths: snapshots, bytes: await totalSize(projectId, snapshots) });
+
+  const renders = (await filesIn(projectId, 'renders')).filter((p) => !used.has(p));
+  items.push({ kind: 'renders', paths: renders, bytes: await totalSize(projectId, renders) });
+  return items;
+}
+
+/** Remove what `item` lists; returns the bytes freed. */
+export async function cleanup(projectId: string, item: CleanupItem): Promise<number> {
+  if (item.kind === 'old-snapshots') {
+    // Compaction drops the journal segments the newest snapshot covers as well
+    const before = await dirSize(projectFile('', projectId));
+    await compact(projectId, 1);
+    return before - (await dirSize(projectFile('', projectId)));
+  }
+  for (const path of item.paths) await removePath(projectFile(path, projectId));
+  return item.bytes;
+}
+
+/** Every `path` anywhere in the session and in the ops and inverses of the undo/redo stacks. */
+export function referencedPaths(h: History): Set<string> {
+  const out = new Set<string>();
+  const walk = (v: unknown) => {
+    if (Array.isArray(v)) v.forEach(walk);
+    else if (v && typeof v === 'object') {
+      for (const [k, x] of Object.entries(v)) {
+        if (k === 'path' && typeof x === 'string') out.add(x);
+        else walk(x);
+      }
+    }
+  };
+  walk([h.session, h.done, h.undone]);
+  return out;
+}
+
+async function filesIn(projectId: string, folder: string): Promise<string[]> {
+  if (!(await exists(projectFile(folder, projectId)))) return [];
+  return (await walkFiles(projectFile(folder, projectId))).map((p) => `${folder}/${p}`);
+}
+
+async function totalSize(projectId: string, paths: string[]) {
+  let total = 0;
+  for (const p of paths) total += await fileSize(projectFile(p, projectId));
+  return total;
+}
@@ -0,0 +1,54 @@
+import type { CleanupItem, ProjectUsage, StorageStatus } from './storage';
+import { formatSize } from './projectview';
+
+const CLEANUP_LABELS: Record<CleanupItem['kind'], string> = {
+  'unused-audio': 'Unused audio',
+  'old-snapshots': 'Old snapshots',
+  renders: 'Renders'
+};
+
+// Quota bar and persistence state, size per project and folder, and cleanup buttons for the open
+// project (each shows what it would free).
+export function renderStorage(
+  container: HTMLElement,
+  status: StorageStatus,
+  usage: ProjectUsage[],
+  items: CleanupItem[],
+  onCleanup: (item: CleanupItem) => void
+) {
+  container.innerHTML = '';
+  const summary = document.createElement('div');
+  summary.className = 'storage-summary';
+  const share = status.quota ? status.usage / status.quota : 0;
+  summary.textContent =
+    `${formatSize(status.usage)} of ${formatSize(status.quota)} used (${(share * 100).toFixed(1)}%)` +
+    ` · ${status.persisted ? 'persistent' : 'may be evicted'}`;
+  const bar = document.createElement('progress');
+  bar.className = 'storage-bar';
+  bar.max = 1;
+  bar.value = share;
+  container.append(summary, bar);
+
+  for (const p of usage) {
+    const d = document.createElement('div');
+    d.className = 'file-item storage-project';
+    d.textContent = `${p.name}: ${formatSize(p.size)}`;
+    const folders = document.createElement('div');
+    folders.className = 'project-meta';
+    folders.textContent = p.folders.map((f) => `${f.name} ${formatSize(f.size)}`).join(' · ') || 'empty';
+    d.appendChild(folders);
+    container.appendChild(d);
+  }
+
+  const row = document.createElement('div');
+  row.className = 'row storage-cleanup';
+  for (const item of items) {
+    const b = document.createElement('button');
+    b.className = 'btn';
+    b.textContent = `${CLEANUP_LABELS[item.kind]} (${item.paths.length}, ${formatSize(item.bytes)})`;
+    b.disabled = !item.paths.length;
+    b.addEventListener('click', () => onCleanup(item));
+    row.appendChild(b);
+  }
+  container.appendChild(row);
+}
@@ -0,0 +1,96 @@
+// Tempo and time-signature map. Each segment starts at a (0-based) bar and holds until the next;
+// `bpm` counts the denominator note, so a beat lasts 60 / bpm seconds.
+export type TempoSegment = { bar: number; bpm: number; num: number; den: number };
+export type TempoMap = TempoSegment[];
+
+export type BarBeat = { bar: number; beat: number; tick: number }; // 1-based bar and beat, tick 0..959
+
+export const TICKS_PER_BEAT = 960;
+
+export function defaultTempo(): TempoMap {
+  return [{ bar: 0, bpm: 120, num: 4, den: 4 }];
+}
+
+const beatSeconds = (seg: TempoSegment) => 60 / seg.bpm;
+const barSeconds = (seg: TempoSegment) => seg.num * beatSeconds(seg);
+
+// Segments with their start time in seconds
+function timed(map: TempoMap) {
+  const sorted = [...map].sort((a, b) => a.bar - b.bar);
+  let t = 0;
+  return sorted.map((seg, i) => {
+    if (i > 0) t += (seg.bar - sorted[i - 1].bar) * barSeconds(sorted[i - 1]);
+    return { seg, time: t };
+  });
+}
+
+function segmentAtTime(map: TempoMap, seconds: number) {
+  const segs = timed(map);
+  let cur = segs[0];
+  for (const s of segs) if (s.time <= seconds) cur = s;
+  return cur;
+}
+
+/** Seconds at a (fractional, 0-based) bar position. */
+export function barToSeconds(map: TempoMap, bar: number): number {
+  const segs = timed(map);
+  let cur = segs[0];
+  for (const s of segs) if (s.seg.bar <= bar) cur = s;
+  return cur.time + (bar - cur.seg.bar) * barSeconds(cur.seg);
+}
+
+/** Fractional 0-based bar position at a time. */
+export function secondsToBars(map: TempoMap, seconds: number): number {
+  const { seg, time } = segmentAtTime(map, seconds);
+  return seg.bar + (seconds - time) / barSeconds(seg);
+}
+
+export function secondsToBarBeat(map: TempoMap, seconds: number): BarBeat {
+  const { seg, time } = segmentAtTime(map, seconds);
+  const beats = Math.max(0, (seconds - time) / beatSeconds(seg));
+  const bar = seg.bar + Math.floor(beats / seg.num);
+  const beat = Math.floor(beats % seg.num);
+  return { bar: bar + 1, beat: beat + 1, tick: Math.floor((beats % 1) * TICKS_PER_BEAT) };
+}
+
+export function formatBarBeat(pos: BarBeat): string {
+  return `${pos.bar}:${pos.beat}:${String(pos.tick).padStart(3, '0')}`;
+}
+
+/** hh:mm:ss.mmm */
+export function formatTimecode(seconds: number): string {
+  const sign = seconds < 0 ? '-' : '';
+  const ms = Math.round(Math.abs(seconds) * 1000);
+  const h = Math.floor(ms / 3_600_000);
+  const m = Math.floor(ms / 60_000) % 60;
+  const s = Math.floor(ms / 1000) % 60;
+  const pad = (n: number, w = 2) => String(n).padStart(w, '0');
+  return `${sign}${pad(h)}:${pad(m)}:${pad(s)}.${pad(ms % 1000, 3)}`;
+}
+
+/** Nearest bar or beat line to a time. */
+export function snapToGrid(map: TempoMap, seconds: number, to: 'bar' | 'beat' = 'beat'): number {
+  const { seg, time } = segmentAtTime(map, seconds);
+  const unit = to === 'bar' ? barSeconds(seg) : beatSeconds(seg);
+  return time + Math.round((seconds - time) / unit) * unit;
+}
+
+/**
+ * Beat times in [from, to), flagged when they fall on the first beat of a bar. Times before zero
+ * (a count-in) continue the first segment's grid backwards.
+ */
+export function beatsBetween(map: TempoMap, from: number, to: number): { time: number; downbeat: boolean }[] {
+  const out: { time: number; downbeat: boolean }[] = [];
+  const segs = timed(map);
+  segs.forEach(({ seg, time }, i) => {
+    const segEnd = i + 1 < segs.length ? segs[i + 1].time : Infinity;
+    const lo = i === 0 ? from : Math.max(from, time);
+    const hi = Math.min(to, segEnd);
+    if (hi <= lo) return;
+    const unit = beatSeconds(seg);
+    for (let k = Math.ceil((lo - time) / unit - 1e-9); time + k * unit < hi; k++) {
+      out.push({ time: time + k * unit, downbeat: k % seg.num === 0 });
+    }
+  });
+  return out;
+}
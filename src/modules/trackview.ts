@@ -0,0 +1,152 @@
+import { newId, sessionDuration, type Session, type SessionOp, type Track } from './session';
+import { barToSeconds, snapToGrid, type TempoMap } from './tempo';
+import { clipLane } from './clipview';
+import { SHELF_RANGE_DB, type TrackEffects } from './effects';
+
+// Track list with per-track arm/mute/solo, gain, pan and effects; every edit is reported as a session op.
+export function renderTracks(container: HTMLElement, session: Session, onOp: (op: SessionOp) => void) {
+  container.innerHTML = '';
+  if (!session.tracks.length) {
+    container.innerHTML = '<div style="text-align: center; color: var(--text-dim); padding: var(--space-lg);">No tracks yet. Add one, arm it and record.</div>';
+    return;
+  }
+  // Clip lanes share one scale: the session plus some room to drag into, at least eight bars
+  const span = Math.max(sessionDuration(session) * 1.25, barToSeconds(session.tempo, 8));
+  const refresh = () => renderTracks(container, session, onOp);
+  for (const track of session.tracks) {
+    container.appendChild(trackRow(track, onOp));
+    if (track.clips.length) container.appendChild(clipLane(track, { span, tempo: session.tempo, onOp, refresh }));
+    if (track.takes.length) container.appendChild(takeLanes(track, session.tempo, onOp));
+  }
+}
+
+function trackRow(track: Track, onOp: (op: SessionOp) => void) {
+  const update = (patch: Partial<Track>) => onOp({ kind: 'track-update', payload: { id: track.id, ...patch } });
+  const row = document.createElement('div');
+  row.className = 'track-row';
+
+  const name = document.createElement('input');
+  name.className = 'track-name';
+  name.value = track.name;
+  name.addEventListener('change', () => update({ name: name.value }));
+
+  const arm = toggle('R', 'Arm for recording', track.armed, 'armed', () => update({ armed: !track.armed }));
+  const mute = toggle('M', 'Mute', track.muted, 'muted', () => update({ muted: !track.muted }));
+  const solo = toggle('S', 'Solo', track.solo, 'soloed', () => update({ solo: !track.solo }));
+
+  const gain = slider(-60, 6, 0.5, track.gainDb, `Gain ${track.gainDb.toFixed(1)} dB`);
+  gain.addEventListener('change', () => update({ gainDb: Number(gain.value) }));
+  const pan = slider(-1, 1, 0.01, track.pan, `Pan ${track.pan.toFixed(2)}`);
+  pan.addEventListener('change', () => update({ pan: Number(pan.value) }));
+
+  const fx = track.effects ?? {};
+  const setFx = (patch: TrackEffects) => update({ effects: { ...fx, ...patch } });
+  const lowCut = toggle('LC', 'Low cut (80 Hz)', !!fx.lowCut, 'fx-on', () => setFx({ lowCut: !fx.lowCut }));
+  const low = slider(-SHELF_RANGE_DB, SHELF_RANGE_DB, 0.5, fx.lowDb ?? 0, `Low shelf ${(fx.lowDb ?? 0).toFixed(1)} dB`);
+  low.addEventListener('change', () => setFx({ lowDb: Number(low.value) }));
+  const high = slider(-SHELF_RANGE_DB, SHELF_RANGE_DB, 0.5, fx.highDb ?? 0, `High shelf ${(fx.highDb ?? 0).toFixed(1)} dB`);
+  high.addEventListener('change', () => setFx({ highDb: Number(high.value) }));
+  const comp = toggle('C', 'Compressor', !!fx.compressor, 'fx-on', () => setFx({ compressor: !fx.compressor }));
+
+  const clips = document.createElement('span');
+  clips.className = 'track-clips';
+  clips.textContent = `${track.clips.length} clip${track.clips.length === 1 ? '' : 's'}`;
+  if (track.takes.length) clips.textContent += ` · ${track.takes.length} take${track.takes.length === 1 ? '' : 's'}`;
+
+  const remove = toggle('×', 'Remove track', false, '', () => {
+    if (confirm(`Remove "${track.name}"?`)) onOp({ kind: 'track-remove', payload: { id: track.id } });
+  });
+
+  row.append(name, arm, mute, solo, gain, pan, lowCut, low, high, comp, clips, remove);
+  return row;
+}
+
+/**
+ * One lane per take under the track, drawn on a shared time scale with the stretches the comp uses
+ * highlighted. Click a lane to comp the whole take, or drag across it to comp just that stretch
+ * (snapped to beats).
+ */
+function takeLanes(track: Track, tempo: TempoMap, onOp: (op: SessionOp) => void) {
+  const lanes = document.createElement('div');
+  lanes.className = 'take-lanes';
+  const lo = Math.min(...track.takes.map((k) => k.start));
+  const hi = Math.max(...track.takes.map((k) => k.start + k.duration));
+  const pct = (t: number) => `${((t - lo) / (hi - lo || 1)) * 100}%`;
+
+  track.takes.forEach((take, i) => {
+    const lane = document.createElement('div');
+    lane.className = 'take-lane';
+    const label = document.createElement('span');
+    label.className = 'take-label';
+    label.textContent = `Take ${i + 1}`;
+    const area = document.createElement('div');
+    area.className = 'take-area';
+    area.appendChild(span('take-bar', take.start, take.duration, pct));
+    for (const c of track.clips.filter((c) => c.takeId === take.id)) {
+      area.appendChild(span('take-comp', c.start, c.duration, pct));
+    }
+    dragRange(area, lo, hi, tempo, (start, end) => {
+      const range = end - start > 0 ? { start, end } : { start: take.start, end: take.start + take.duration };
+      onOp({ kind: 'comp-set', payload: { trackId: track.id, takeId: take.id, ...range, id: newId() } });
+    });
+    const remove = toggle('×', 'Remove take (the comp keeps what it uses)', false, '', () => {
+      onOp({ kind: 'take-remove', payload: { trackId: track.id, takeId: take.id } });
+    });
+    lane.append(label, area, remove);
+    lanes.appendChild(lane);
+  });
+  return lanes;
+}
+
+function span(className: string, start: number, duration: number, pct: (t: number) => string) {
+  const d = document.createElement('div');
+  d.className = className;
+  d.style.left = pct(start);
+  d.style.width = `calc(${pct(start + duration)} - ${pct(start)})`;
+  return d;
+}
+
+// Report the dragged stretch of `area` in timeline seconds; a plain click reports an empty range
+function dragRange(
+  area: HTMLElement,
+  lo: number,
+  hi: number,
+  tempo: TempoMap,
+  done: (start: number, end: number) => void
+) {
+  const at = (e: PointerEvent) => {
+    const r = area.getBoundingClientRect();
+    return lo + (Math.min(Math.max(e.clientX - r.left, 0), r.width) / r.width) * (hi - lo);
+  };
+  area.addEventListener('pointerdown', (down) => {
+    area.setPointerCapture(down.pointerId);
+    const from = at(down);
+    const x0 = down.clientX;
+    area.addEventListener('pointerup', (up) => {
+      if (Math.abs(up.clientX - x0) < 4) return done(0, 0);
+      const [a, b] = [from, at(up)].sort((x, y) => x - y);
+      done(snapToGrid(tempo, a), snapToGrid(tempo, b));
+    }, { once: true });
+  });
+}
+
+function toggle(label: string, title: string, on: boolean, onClass: string, onClick: () => void) {
+  const b = document.createElement('button');
+  b.className = 'btn track-toggle';
+  if (on) b.classList.add(onClass);
+  b.textContent = label;
+  b.title = title;
+  b.addEventListener('click', onClick);
+  return b;
+}
+
+function slider(min: number, max: number, step: number, value: number, title: string) {
+  const s = document.createElement('input');
+  s.type = 'range';
+  s.min = String(min);
+  s.max = String(max);
+  s.step = String(step);
+  s.value = String(value);
+  s.title = title;
+  return s;
+}
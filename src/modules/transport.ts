@@ -0,0 +1,202 @@
+import { scheduleSession, loadSessionBuffers } from './playback';
+import { barToSeconds, beatsBetween, secondsToBars } from './tempo';
+import type { Session } from './session';
+
+// Play/stop/record/loop over the session timeline. Audio and metronome clicks are scheduled on the
+// AudioContext clock from a short lookahead timer, one "pass" per trip through the loop.
+export type LoopRange = { on: boolean; start: number; end: number }; // seconds
+
+type Pass = { ctxStart: number; from: number; to: number };
+
+const START_LEAD_S = 0.1;
+const LOOKAHEAD_S = 0.15;
+const TICK_MS = 25;
+
+let ctx: AudioContext | null = null;
+let session: Session | null = null;
+let project = '';
+let running = false;
+let recording = false;
+let startAt = 0; // context time at which the timeline reaches `startPos`
+let startPos = 0;
+let playhead = 0;
+let passes: Pass[] = [];
+let sources: AudioScheduledSourceNode[] = [];
+let clickedUntil = 0;
+let timer: ReturnType<typeof setInterval> | undefined;
+
+// Passes heard recently, with the context time they stopped, to line up audio captured afterwards
+const PLAYED_HISTORY_S = 600;
+let played: (Pass & { ctxEnd: number })[] = [];
+
+let takeLoop: { start: number; end: number } | null = null; // loop in force while recording
+
+let metronome = false;
+let countInBars = 0;
+let loop: LoopRange = { on: false, start: 0, end: 0 };
+
+export function setMetronome(on: boolean) {
+  metronome = on;
+}
+
+export function setCountIn(bars: number) {
+  countInBars = Math.max(0, Math.floor(bars));
+}
+
+export function setLoop(range: LoopRange) {
+  loop = range;
+}
+
+export function setPlayhead(seconds: number) {
+  if (!running) playhead = Math.max(0, seconds);
+}
+
+export function getTransport() {
+  return { running, recording, playhead, metronome, countInBars, loop: { ...loop } };
+}
+
+/** Timeline position in seconds; negative-going during a count-in, then wrapping in a loop. */
+export function position(): number {
+  if (!running || !ctx) return playhead;
+  const now = ctx.currentTime;
+  if (now < startAt) return startPos - (startAt - now);
+  let pass = passes[0];
+  for (const p of passes) if (p.ctxStart <= now) pass = p;
+  return pass ? Math.min(pass.to, pass.from + (now - pass.ctxStart)) : startPos;
+}
+
+/**
+ * Start playback at the playhead. With `record`, count in first and hand the callback the context
+ * time of the downbeat; it starts the take and returns the time it will actually begin.
+ */
+export async function start(
+  audio: AudioContext,
+  s: Session,
+  projectId: string,
+  record?: (at: number) => Promise<number>
+): Promise<{ at: number; from: number }> {
+  stop();
+  ctx = audio;
+  session = s;
+  project = projectId;
+  await loadSessionBuffers(ctx, s, projectId);
+  const looping = loop.on && loop.end > loop.start;
+  let from = playhead;
+  if (looping && (from < loop.start || from >= loop.end)) from = loop.start;
+
+  const countIn =
+    record && countInBars ? from - barToSeconds(s.tempo, secondsToBars(s.tempo, from) - countInBars) : 0;
+  let at = ctx.currentTime + START_LEAD_S + countIn;
+  if (record) {
+    at = await record(at);
+    recording = true;
+    takeLoop = looping ? { start: loop.start, end: loop.end } : null;
+  }
+  running = true;
+  startAt = at;
+  startPos = from;
+  clickedUntil = ctx.currentTime;
+  if (countIn) {
+    for (const b of beatsBetween(s.tempo, from - countIn, from)) click(at + b.time - from, b.downbeat);
+  }
+  addPass({ ctxStart: at, from, to: looping ? loop.end : Infinity });
+  tick();
+  timer = setInterval(tick, TICK_MS);
+  return { at, from };
+}
+
+export function stop() {
+  if (running && ctx) {
+    playhead = Math.max(0, position());
+    const now = ctx.currentTime;
+    played = played
+      .filter((p) => p.ctxStart < now && p.ctxEnd > now - PLAYED_HISTORY_S)
+      .map((p) => ({ ...p, ctxEnd: Math.min(p.ctxEnd, now) }));
+  }
+  clearInterval(timer);
+  for (const src of sources) {
+    try { src.stop(); } catch {}
+    src.disconnect();
+  }
+  sources = [];
+  passes = [];
+  running = false;
+  recording = false;
+}
+
+/**
+ * Where the last recording landed on the timeline: one entry per trip through the loop, with the
+ * offset of that pass inside the take file. Without a loop it is a single pass from the start.
+ */
+export function takePasses(duration: number): { start: number; offset: number; duration: number }[] {
+  if (!takeLoop) return [{ start: startPos, offset: 0, duration }];
+  const out = [];
+  let start = startPos;
+  for (let offset = 0; offset < duration; ) {
+    const len = Math.min(takeLoop.end - start, duration - offset);
+    out.push({ start, offset, duration: len });
+    offset += len;
+    start = takeLoop.start;
+  }
+  return out;
+}
+
+/**
+ * Timeline position for audio heard from context time `ctxStart` to `ctxEnd`, following the last
+ * pass that was playing during it; null if the transport was stopped throughout.
+ */
+export function alignToTimeline(ctxStart: number, ctxEnd: number): number | null {
+  for (let i = played.length - 1; i >= 0; i--) {
+    const p = played[i];
+    if (p.ctxStart < ctxEnd && p.ctxEnd > ctxStart) return p.from + (ctxStart - p.ctxStart);
+  }
+  return null;
+}
+
+function addPass(pass: Pass) {
+  passes.push(pass);
+  played.push({ ...pass, ctxEnd: pass.ctxStart + (pass.to - pass.from) });
+  for (const src of scheduleSession(ctx!, session!, project, pass.ctxStart, pass.from, pass.to)) {
+    src.onended = () => (sources = sources.filter((s) => s !== src));
+    sources.push(src);
+  }
+}
+
+function tick() {
+  if (!ctx || !session) return;
+  const horizon = ctx.currentTime + LOOKAHEAD_S;
+  // Queue the next trip through the loop before the current one runs out
+  let last = passes[passes.length - 1];
+  while (loop.on && loop.end > loop.start && last.ctxStart + (last.to - last.from) < horizon) {
+    addPass({ ctxStart: last.ctxStart + (last.to - last.from), from: loop.start, to: loop.end });
+    last = passes[passes.length - 1];
+  }
+  if (metronome) {
+    for (const pass of passes) {
+      const lo = Math.max(clickedUntil, pass.ctxStart);
+      const hi = Math.min(horizon, pass.ctxStart + (pass.to - pass.from));
+      if (hi <= lo) continue;
+      const offset = pass.ctxStart - pass.from;
+      for (const b of beatsBetween(session.tempo, lo - offset, hi - offset)) click(b.time + offset, b.downbeat);
+    }
+  }
+  clickedUntil = horizon;
+  // Forget passes that are entirely in the past
+  const now = ctx.currentTime;
+  passes = passes.filter((p, i) => i === passes.length - 1 || p.ctxStart + (p.to - p.from) > now);
+}
+
+function click(when: number, accent: boolean) {
+  const osc = new OscillatorNode(ctx!, { frequency: accent ? 1500 : 1000 });
+  const env = new GainNode(ctx!, { gain: 0 });
+  env.gain.setValueAtTime(accent ? 0.5 : 0.3, when);
+  env.gain.exponentialRampToValueAtTime(0.001, when + 0.03);
+  osc.connect(env).connect(ctx!.destination);
+  osc.start(when);
+  osc.stop(when + 0.04);
+  osc.onended = () => {
+    env.disconnect();
+    sources = sources.filter((s) => s !== osc);
+  };
+  sources.push(osc);
+}
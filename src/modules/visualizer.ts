@@ -1,11 +1,14 @@
 // Audio Visualizer Module
 
+import type { LoudnessReading } from './loudness';
+
 export class AudioVisualizer {
   private canvas: HTMLCanvasElement;
   private ctx: CanvasRenderingContext2D;
   private animationId: number | null = null;
   private analyser: AnalyserNode | null = null;
   private dataArray: Uint8Array | null = null;
+  private loudness: LoudnessReading | null = null;
 
   constructor(container: HTMLElement) {
     this.canvas = document.createElement('canvas');
@@ -87,11 +90,33 @@ export class AudioVisualizer {
       this.ctx.shadowColor = '#00d4aa';
       this.ctx.stroke();
       this.ctx.shadowBlur = 0;
+
+      if (this.loudness) this.drawLoudness(width);
     };
     
     draw();
   }
 
+  /** Show a loudness reading over the waveform; null hides it. */
+  setLoudness(reading: LoudnessReading | null) {
+    this.loudness = reading;
+  }
+
+  // Momentary, short-term and integrated LUFS plus true peak, in red once it passes -1 dBTP
+  private drawLoudness(width: number) {
+    const r = this.loudness!;
+    const f = (v: number) => (Number.isFinite(v) ? v.toFixed(1) : '--');
+    this.ctx.font = '11px monospace';
+    this.ctx.textAlign = 'right';
+    this.ctx.textBaseline = 'top';
+    this.ctx.fillStyle = r.truePeak > -1 ? '#ff6b6b' : '#b0b0c0';
+    this.ctx.fillText(
+      `M ${f(r.momentary)}  S ${f(r.shortTerm)}  I ${f(r.integrated)} LUFS  TP ${f(r.truePeak)} dBTP`,
+      width - 8,
+      6
+    );
+  }
+
   stop() {
     if (this.animationId !== null) {
       cancelAnimationFrame(this.animationId);
@@ -0,0 +1,104 @@
+import { describe, expect, it } from 'vitest';
+import { encodeWAV, parseWAV, readWavInfo, readWavMarkers, wavHeader, wavPeak, type BitDepth } from './wav';
+
+const RATE = 48000;
+
+function sine(frames: number, freq: number, amp = 0.5) {
+  return Float32Array.from({ length: frames }, (_, i) => amp * Math.sin((2 * Math.PI * freq * i) / RATE));
+}
+
+function chunkIds(buf: ArrayBuffer) {
+  const view = new DataView(buf);
+  const ids: string[] = [];
+  for (let o = 12; o + 8 <= view.byteLength; ) {
+    ids.push(String.fromCharCode(...new Uint8Array(buf, o, 4)));
+    const size = view.getUint32(o + 4, true);
+    o += 8 + size + (size & 1);
+  }
+  return ids;
+}
+
+describe('wav round trip', () => {
+  const channels = [sine(1000, 440), sine(1000, 1000, 0.9)];
+  // Integers are written scaled by 2^(n-1) - 1 and read back by 2^(n-1), so allow two steps
+  const cases: [BitDepth, number][] = [
+    [16, 2 / 0x7fff],
+    [24, 2 / 0x7fffff],
+    [32, 0]
+  ];
+
+  for (const [bitDepth, tolerance] of cases) {
+    it(`keeps ${bitDepth}-bit samples within quantization error`, () => {
+      const buf = encodeWAV(channels, RATE, { bitDepth });
+      const { info, channels: out } = parseWAV(buf);
+      expect(info).toMatchObject({ sampleRate: RATE, numChannels: 2, bitDepth, float: bitDepth === 32, frames: 1000 });
+      out.forEach((ch, c) => ch.forEach((s, i) => expect(Math.abs(s - channels[c][i])).toBeLessThanOrEqual(tolerance)));
+    });
+  }
+
+  it('writes WAVE_FORMAT_EXTENSIBLE above two channels', () => {
+    const quad = [sine(64, 100), sine(64, 200), sine(64, 300), sine(64, 400)];
+    for (const bitDepth of [16, 24, 32] as BitDepth[]) {
+      const buf = encodeWAV(quad, RATE, { bitDepth });
+      const view = new DataView(buf);
+      expect(view.getUint16(20, true)).toBe(0xfffe);
+      expect(view.getUint32(40, true)).toBe(0b1111); // FL FR FC LFE
+      const info = readWavInfo(buf);
+      expect(info).toMatchObject({ numChannels: 4, bitDepth, float: bitDepth === 32, frames: 64 });
+      expect(parseWAV(buf).channels[3][10]).toBeCloseTo(quad[3][10], 3);
+    }
+  });
+
+  it('adds a fact chunk with the frame count for float data only', () => {
+    const float = encodeWAV(channels, RATE, { bitDepth: 32 });
+    expect(chunkIds(float)).toEqual(['fmt ', 'fact', 'data']);
+    const factOffset = 12 + 8 + 16;
+    expect(new DataView(float).getUint32(factOffset + 8, true)).toBe(1000);
+    expect(chunkIds(encodeWAV(channels, RATE, { bitDepth: 24 }))).toEqual(['fmt ', 'data']);
+  });
+
+  it('keeps the header size independent of the length', () => {
+    expect(wavHeader(2, RATE, 24, 0).byteLength).toBe(wavHeader(2, RATE, 24, 123456).byteLength);
+    expect(readWavInfo(wavHeader(3, RATE, 32, 0)).frames).toBe(0);
+  });
+
+  it('round-trips cue markers after the data chunk', () => {
+    const markers = [
+      { frame: 0, label: 'start' },
+      { frame: 999, label: 'xrun late 12.5ms' }
+    ];
+    const buf = encodeWAV([sine(1001, 440)], RATE, { bitDepth: 16, markers });
+    expect(chunkIds(buf)).toEqual(['fmt ', 'data', 'cue ', 'LIST']);
+    expect(readWavMarkers(buf)).toEqual(markers);
+    expect(readWavInfo(buf).frames).toBe(1001);
+    expect(new DataView(buf).getUint32(4, true)).toBe(buf.byteLength - 8);
+  });
+
+  it('reads the info and peaks from parts of a file', () => {
+    const buf = encodeWAV(channels, RATE, { bitDepth: 24 });
+    const info = readWavInfo(buf.slice(0, 64), buf.byteLength);
+    expect(info.frames).toBe(1000);
+    const block = 2 * 3;
+    const peak = wavPeak(buf.slice(info.dataOffset + 100 * block, info.dataOffset + 200 * block), info);
+    const expected = Math.max(...[0, 1].flatMap((c) => Array.from(channels[c].subarray(100, 200), Math.abs)));
+    expect(peak).toBeCloseTo(expected, 5);
+  });
+
+  it('rejects what is not RIFF/WAVE', () => {
+    expect(() => readWavInfo(new ArrayBuffer(44))).toThrow('Not a RIFF/WAVE file');
+  });
+});
+
+describe('dither', () => {
+  it('stays within one step of TPDF noise', () => {
+    const ch = sine(4800, 997, 0.25);
+    const out = parseWAV(encodeWAV([ch], RATE, { bitDepth: 16, dither: 'tpdf' })).channels[0];
+    out.forEach((s, i) => expect(Math.abs(s - ch[i])).toBeLessThan(2.5 / 0x7fff));
+  });
+
+  it('keeps noise shaping stable on clipped full-scale input', () => {
+    const square = Float32Array.from({ length: 4800 }, (_, i) => (Math.floor(i / 240) % 2 ? -1.5 : 1.5));
+    const out = parseWAV(encodeWAV([square], RATE, { bitDepth: 16, dither: 'tpdf-shaped' })).channels[0];
+    out.forEach((s, i) => expect(Math.abs(s - Math.sign(square[i]))).toBeLessThan(0.01));
+  });
+});
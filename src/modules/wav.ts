@@ -0,0 +1,318 @@
+export type BitDepth = 16 | 24 | 32;
+export type Dither = 'none' | 'tpdf' | 'tpdf-shaped';
+export type WavMarker = { frame: number; label: string };
+export type WavOptions = { bitDepth?: BitDepth; dither?: Dither; markers?: WavMarker[] };
+
+export type WavInfo = {
+  sampleRate: number;
+  numChannels: number;
+  bitDepth: number;
+  float: boolean;
+  frames: number;
+  dataOffset: number;
+};
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+// KSDATAFORMAT_SUBTYPE_PCM; the IEEE_FLOAT subtype differs only in the first byte
+const SUBTYPE_GUID = [
+  0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x10, 0x00, 0x80, 0x00, 0x00, 0xaa, 0x00, 0x38, 0x9b, 0x71
+];
+
+// Lipshitz 5-tap error-feedback filter (tuned for 44.1k, fine at 48k); pushes dither noise above ~15 kHz
+const SHAPING = [2.033, -2.165, 1.959, -1.59, 0.6149];
+
+// Assign speaker positions in order (FL, FR, FC, LFE, ...); beyond 18 channels leave unassigned.
+function channelMask(numChannels: number) {
+  return numChannels <= 18 ? (1 << numChannels) - 1 : 0;
+}
+
+/**
+ * Header for `frames` interleaved frames. Its size depends only on channel count and bit depth,
+ * so a streaming writer can reserve it up front and rewrite it once the length is known.
+ */
+export function wavHeader(numChannels: number, sampleRate: number, bitDepth: BitDepth, frames: number): ArrayBuffer {
+  const float = bitDepth === 32;
+  const extensible = numChannels > 2;
+  const fmtSize = extensible ? 40 : 16;
+  const factSize = float ? 12 : 0;
+  const blockAlign = numChannels * (bitDepth / 8);
+  const dataSize = frames * blockAlign;
+  const headerSize = 12 + 8 + fmtSize + factSize + 8;
+  const buffer = new ArrayBuffer(headerSize);
+  const view = new DataView(buffer);
+
+  // RIFF header
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, headerSize - 8 + dataSize, true);
+  writeString(view, 8, 'WAVE');
+
+  // fmt chunk
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, fmtSize, true);
+  view.setUint16(20, extensible ? WAVE_FORMAT_EXTENSIBLE : float ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM, true);
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+  if (extensible) {
+    view.setUint16(36, 22, true);
+    view.setUint16(38, bitDepth, true);
+    view.setUint32(40, channelMask(numChannels), true);
+    SUBTYPE_GUID.forEach((b, i) => view.setUint8(44 + i, b));
+    if (float) view.setUint8(44, WAVE_FORMAT_IEEE_FLOAT);
+  }
+  let o = 20 + fmtSize;
+
+  // fact chunk (required for non-PCM data)
+  if (float) {
+    writeString(view, o, 'fact');
+    view.setUint32(o + 4, 4, true);
+    view.setUint32(o + 8, frames, true);
+    o += 12;
+  }
+
+  // data chunk
+  writeString(view, o, 'data');
+  view.setUint32(o + 4, dataSize, true);
+  return buffer;
+}
+
+/** Interleave and quantize planar channels into `out` starting at byte `offset`. */
+export function writeSamples(
+  out: DataView,
+  offset: number,
+  channels: Float32Array[],
+  bitDepth: BitDepth,
+  dither: Dither = 'none'
+) {
+  const numChannels = channels.length;
+  const frames = channels[0]?.length ?? 0;
+  if (bitDepth === 32) {
+    for (let i = 0; i < frames; i++) {
+      for (let c = 0; c < numChannels; c++, offset += 4) out.setFloat32(offset, channels[c][i], true);
+    }
+    return;
+  }
+  const quantizers = channels.map(() => quantizer(bitDepth, dither));
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < numChannels; c++) {
+      const s = quantizers[c](channels[c][i]);
+      if (bitDepth === 16) {
+        out.setInt16(offset, s, true);
+        offset += 2;
+      } else {
+        out.setUint8(offset, s & 0xff);
+        out.setUint8(offset + 1, (s >> 8) & 0xff);
+        out.setUint8(offset + 2, (s >> 16) & 0xff);
+        offset += 3;
+      }
+    }
+  }
+}
+
+/** Float samples to 16/24-bit integers; 16-bit can take TPDF dither (±1 LSB), optionally noise-shaped. */
+export function quantize(channels: Float32Array[], bitDepth: 16 | 24, dither: Dither = 'none'): Int32Array[] {
+  return channels.map((ch) => Int32Array.from(ch, quantizer(bitDepth, dither)));
+}
+
+/**
+ * quantize() one sample at a time, for one channel: the noise shaping's error history lives in the
+ * returned function, so a channel can be fed in blocks without a seam between them.
+ */
+export function quantizer(bitDepth: 16 | 24, dither: Dither = 'none'): (x: number) => number {
+  if (bitDepth === 24) return (x) => Math.round(Math.max(-1, Math.min(1, x)) * 0x7fffff);
+  if (dither === 'none') return (x) => Math.max(-0x8000, Math.min(0x7fff, Math.round(x * 0x7fff)));
+  const err = new Float64Array(SHAPING.length);
+  return (sample) => {
+    let x = sample * 0x7fff;
+    if (dither === 'tpdf-shaped') {
+      // The filter has ~9x gain at Nyquist; keeping x in range bounds the error fed back, so
+      // full-scale or clipped input can't make it run away
+      for (let k = 0; k < SHAPING.length; k++) x -= SHAPING[k] * err[k];
+      x = Math.max(-0x8000, Math.min(0x7fff, x));
+    }
+    const q = Math.max(-0x8000, Math.min(0x7fff, Math.round(x + Math.random() - Math.random())));
+    if (dither === 'tpdf-shaped') {
+      err.copyWithin(1, 0);
+      err[0] = q - x;
+    }
+    return q;
+  };
+}
+
+export function encodeWAV(channels: Float32Array[], sampleRate: number, opts: WavOptions = {}): ArrayBuffer {
+  const bitDepth = opts.bitDepth ?? 16;
+  const frames = channels[0]?.length ?? 0;
+  const header = wavHeader(channels.length, sampleRate, bitDepth, frames);
+  const dataSize = frames * channels.length * (bitDepth / 8);
+  const cue = opts.markers?.length ? cueChunks(opts.markers) : new ArrayBuffer(0);
+  const pad = dataSize & 1;
+  const buffer = new ArrayBuffer(header.byteLength + dataSize + pad + cue.byteLength);
+  const view = new DataView(buffer);
+  new Uint8Array(buffer).set(new Uint8Array(header));
+  writeSamples(view, header.byteLength, channels, bitDepth, opts.dither);
+  new Uint8Array(buffer).set(new Uint8Array(cue), header.byteLength + dataSize + pad);
+  view.setUint32(4, buffer.byteLength - 8, true);
+  return buffer;
+}
+
+/** `cue ` chunk plus a `LIST`/`adtl` chunk labelling each point; appended after `data`. */
+export function cueChunks(markers: WavMarker[]): ArrayBuffer {
+  const labels = markers.map((m) => new TextEncoder().encode(m.label));
+  const cueSize = 4 + 24 * markers.length;
+  const adtlSize = 4 + labels.reduce((a, l) => a + 8 + 4 + ((l.length + 2) & ~1), 0);
+  const buffer = new ArrayBuffer(8 + cueSize + 8 + adtlSize);
+  const view = new DataView(buffer);
+  writeString(view, 0, 'cue ');
+  view.setUint32(4, cueSize, true);
+  view.setUint32(8, markers.length, true);
+  markers.forEach((m, i) => {
+    const o = 12 + i * 24;
+    view.setUint32(o, i + 1, true);
+    view.setUint32(o + 4, m.frame, true);
+    writeString(view, o + 8, 'data');
+    view.setUint32(o + 20, m.frame, true);
+  });
+  let o = 8 + cueSize;
+  writeString(view, o, 'LIST');
+  view.setUint32(o + 4, adtlSize, true);
+  writeString(view, o + 8, 'adtl');
+  o += 12;
+  labels.forEach((l, i) => {
+    writeString(view, o, 'labl');
+    view.setUint32(o + 4, 4 + l.length + 1, true);
+    view.setUint32(o + 8, i + 1, true);
+    new Uint8Array(buffer, o + 12, l.length).set(l);
+    o += 12 + ((l.length + 2) & ~1);
+  });
+  return buffer;
+}
+
+/**
+ * Cue points with their `labl` text, if the file has any. `from` is where the chunk walk starts, so
+ * `buf` can also be just the chunks that follow the audio.
+ */
+export function readWavMarkers(buf: ArrayBuffer, from = 12): WavMarker[] {
+  const view = new DataView(buf);
+  const frames = new Map<number, number>();
+  const labels = new Map<number, string>();
+  let o = from;
+  while (o + 8 <= view.byteLength) {
+    const id = readString(view, o, 4);
+    const size = view.getUint32(o + 4, true);
+    if (id === 'cue ') {
+      const n = view.getUint32(o + 8, true);
+      for (let i = 0; i < n; i++) {
+        const p = o + 12 + i * 24;
+        frames.set(view.getUint32(p, true), view.getUint32(p + 20, true));
+      }
+    } else if (id === 'LIST' && readString(view, o + 8, 4) === 'adtl') {
+      let p = o + 12;
+      while (p + 12 <= o + 8 + size) {
+        const subSize = view.getUint32(p + 4, true);
+        if (readString(view, p, 4) === 'labl') {
+          const text = new Uint8Array(buf, p + 12, Math.max(0, subSize - 4));
+          labels.set(view.getUint32(p + 8, true), new TextDecoder().decode(text).replace(/\0+$/, ''));
+        }
+        p += 8 + subSize + (subSize & 1);
+      }
+    }
+    o += 8 + size + (size & 1);
+  }
+  return [...frames].map(([id, frame]) => ({ frame, label: labels.get(id) ?? '' }));
+}
+
+/**
+ * Walk the RIFF chunks and return format info plus the offset of the `data` payload. `buf` may be
+ * just the head of a file of `byteLength` bytes, as long as it reaches the data chunk's header.
+ */
+export function readWavInfo(buf: ArrayBuffer, byteLength = buf.byteLength): WavInfo {
+  const view = new DataView(buf);
+  if (readString(view, 0, 4) !== 'RIFF' || readString(view, 8, 4) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+  let fmt: Omit<WavInfo, 'frames' | 'dataOffset'> | null = null;
+  let o = 12;
+  while (o + 8 <= view.byteLength) {
+    const id = readString(view, o, 4);
+    const size = view.getUint32(o + 4, true);
+    if (id === 'fmt ') {
+      let tag = view.getUint16(o + 8, true);
+      if (tag === WAVE_FORMAT_EXTENSIBLE) tag = view.getUint16(o + 32, true);
+      if (tag !== WAVE_FORMAT_PCM && tag !== WAVE_FORMAT_IEEE_FLOAT) {
+        throw new Error(`Unsupported WAV format tag ${tag}`);
+      }
+      fmt = {
+        numChannels: view.getUint16(o + 10, true),
+        sampleRate: view.getUint32(o + 12, true),
+        bitDepth: view.getUint16(o + 22, true),
+        float: tag === WAVE_FORMAT_IEEE_FLOAT
+      };
+    } else if (id === 'data') {
+      if (!fmt) throw new Error('WAV data chunk before fmt chunk');
+      const blockAlign = fmt.numChannels * (fmt.bitDepth / 8);
+      const available = Math.min(size, byteLength - o - 8);
+      return { ...fmt, frames: Math.floor(available / blockAlign), dataOffset: o + 8 };
+    }
+    o += 8 + size + (size & 1);
+  }
+  throw new Error('WAV has no data chunk');
+}
+
+/** Decode 8/16/24/32-bit integer and 32/64-bit float WAV into planar channels. */
+export function parseWAV(buf: ArrayBuffer): { info: WavInfo; channels: Float32Array[] } {
+  const info = readWavInfo(buf);
+  return { info, channels: readWavFrames(buf, info, info.dataOffset, info.frames) };
+}
+
+/** Decode `frames` interleaved frames starting at byte `offset` of `buf` into planar channels. */
+export function readWavFrames(buf: ArrayBuffer, info: WavInfo, offset: number, frames: number): Float32Array[] {
+  const view = new DataView(buf);
+  const { numChannels, bitDepth, float } = info;
+  const bytes = bitDepth / 8;
+  const channels = Array.from({ length: numChannels }, () => new Float32Array(frames));
+  let o = offset;
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < numChannels; c++, o += bytes) channels[c][i] = readSample(view, o, bitDepth, float);
+  }
+  return channels;
+}
+
+/**
+ * Peak level across all channels of a run of whole frames cut from a WAV's data chunk, for waveform
+ * thumbnails. Reads the samples in place rather than decoding them into planar channels first.
+ */
+export function wavPeak(frames: ArrayBuffer, info: WavInfo): number {
+  const view = new DataView(frames);
+  const bytes = info.bitDepth / 8;
+  let peak = 0;
+  for (let o = 0; o + bytes <= view.byteLength; o += bytes) {
+    const s = Math.abs(readSample(view, o, info.bitDepth, info.float));
+    if (s > peak) peak = s;
+  }
+  return peak;
+}
+
+function readSample(view: DataView, o: number, bitDepth: number, float: boolean): number {
+  if (float) return bitDepth === 64 ? view.getFloat64(o, true) : view.getFloat32(o, true);
+  if (bitDepth === 8) return (view.getUint8(o) - 128) / 0x80;
+  if (bitDepth === 16) return view.getInt16(o, true) / 0x8000;
+  if (bitDepth === 24) {
+    return ((view.getUint8(o + 2) << 24) | (view.getUint8(o + 1) << 16) | (view.getUint8(o) << 8)) / 0x80000000;
+  }
+  return view.getInt32(o, true) / 0x80000000;
+}
+
+function writeString(view: DataView, offset: number, str: string) {
+  for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+}
+
+function readString(view: DataView, offset: number, length: number) {
+  let s = '';
+  for (let i = 0; i < length; i++) s += String.fromCharCode(view.getUint8(offset + i));
+  return s;
+}
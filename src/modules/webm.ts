@@ -0,0 +1,158 @@
+import { opusHead, type OpusPacket } from './ogg';
+
+// WebM with one Opus track: EBML header, then a Segment of Info, Tracks and Clusters of
+// SimpleBlocks. Everything is in memory, so element sizes are written exactly and no Cues are
+// needed for a file this simple. Timecodes are in milliseconds.
+const ID = {
+  EBML: 0x1a45dfa3,
+  EBMLVersion: 0x4286,
+  EBMLReadVersion: 0x42f7,
+  EBMLMaxIDLength: 0x42f2,
+  EBMLMaxSizeLength: 0x42f3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  MuxingApp: 0x4d80,
+  WritingApp: 0x5741,
+  Duration: 0x4489,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackUID: 0x73c5,
+  TrackType: 0x83,
+  CodecID: 0x86,
+  CodecPrivate: 0x63a2,
+  CodecDelay: 0x56aa,
+  SeekPreRoll: 0x56bb,
+  Audio: 0xe1,
+  SamplingFrequency: 0xb5,
+  Channels: 0x9f,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3
+};
+
+const CLUSTER_MS = 5000; // block timecodes are int16 offsets from their cluster's
+const SEEK_PRE_ROLL_NS = 80_000_000; // what the Opus mapping asks for
+
+type Element = Uint8Array;
+
+export function muxWebmOpus(
+  packets: OpusPacket[],
+  opts: { channels: number; preSkip: number; inputRate: number; length: number }
+): Uint8Array {
+  const header = el(ID.EBML, [
+    uint(ID.EBMLVersion, 1),
+    uint(ID.EBMLReadVersion, 1),
+    uint(ID.EBMLMaxIDLength, 4),
+    uint(ID.EBMLMaxSizeLength, 8),
+    str(ID.DocType, 'webm'),
+    uint(ID.DocTypeVersion, 4),
+    uint(ID.DocTypeReadVersion, 2)
+  ]);
+  const info = el(ID.Info, [
+    uint(ID.TimecodeScale, 1_000_000),
+    str(ID.MuxingApp, 'wasmix'),
+    str(ID.WritingApp, 'wasmix'),
+    float(ID.Duration, (opts.length / 48000) * 1000)
+  ]);
+  const tracks = el(ID.Tracks, [
+    el(ID.TrackEntry, [
+      uint(ID.TrackNumber, 1),
+      uint(ID.TrackUID, 1),
+      uint(ID.TrackType, 2), // audio
+      str(ID.CodecID, 'A_OPUS'),
+      bin(ID.CodecPrivate, opusHead(opts.channels, opts.preSkip, opts.inputRate)),
+      uint(ID.CodecDelay, Math.round((opts.preSkip / 48000) * 1e9)),
+      uint(ID.SeekPreRoll, SEEK_PRE_ROLL_NS),
+      el(ID.Audio, [float(ID.SamplingFrequency, 48000), uint(ID.Channels, opts.channels)])
+    ])
+  ]);
+
+  const clusters: Element[] = [];
+  let blocks: Element[] = [];
+  let clusterStart = 0;
+  let samples = 0;
+  for (const p of packets) {
+    const ms = Math.round((samples / 48000) * 1000);
+    if (blocks.length && ms - clusterStart >= CLUSTER_MS) {
+      clusters.push(el(ID.Cluster, [uint(ID.Timecode, clusterStart), ...blocks]));
+      blocks = [];
+    }
+    if (!blocks.length) clusterStart = ms;
+    blocks.push(simpleBlock(p.data, ms - clusterStart));
+    samples += p.samples;
+  }
+  if (blocks.length) clusters.push(el(ID.Cluster, [uint(ID.Timecode, clusterStart), ...blocks]));
+
+  return concat([header, el(ID.Segment, [info, tracks, ...clusters])]);
+}
+
+// Track 1, timecode relative to the cluster, every Opus frame a keyframe
+function simpleBlock(data: Uint8Array, relMs: number): Element {
+  const body = new Uint8Array(4 + data.length);
+  const v = new DataView(body.buffer);
+  v.setUint8(0, 0x81); // track number as a 1-byte vint
+  v.setInt16(1, relMs);
+  v.setUint8(3, 0x80);
+  body.set(data, 4);
+  return bin(ID.SimpleBlock, body);
+}
+
+function el(id: number, children: Element[]): Element {
+  return bin(id, concat(children));
+}
+
+function bin(id: number, data: Uint8Array): Element {
+  return concat([idBytes(id), sizeVint(data.length), data]);
+}
+
+function uint(id: number, value: number): Element {
+  const bytes: number[] = [];
+  for (let v = value; v > 0 || !bytes.length; v = Math.floor(v / 256)) bytes.unshift(v % 256);
+  return bin(id, Uint8Array.from(bytes));
+}
+
+function float(id: number, value: number): Element {
+  const data = new Uint8Array(8);
+  new DataView(data.buffer).setFloat64(0, value);
+  return bin(id, data);
+}
+
+function str(id: number, value: string): Element {
+  return bin(id, new TextEncoder().encode(value));
+}
+
+// IDs keep their length marker bits, so they are written as the bytes of the number
+function idBytes(id: number): Uint8Array {
+  const bytes: number[] = [];
+  for (let v = id; v > 0; v = Math.floor(v / 256)) bytes.unshift(v % 256);
+  return Uint8Array.from(bytes);
+}
+
+// Shortest EBML variable-size integer that holds `n` (all-ones values are reserved)
+function sizeVint(n: number): Uint8Array {
+  let len = 1;
+  while (n >= 2 ** (7 * len) - 1) len++;
+  const out = new Uint8Array(len);
+  let v = n;
+  for (let i = len - 1; i >= 0; i--) {
+    out[i] = v % 256;
+    v = Math.floor(v / 256);
+  }
+  out[0] |= 0x80 >> (len - 1);
+  return out;
+}
+
+function concat(parts: Uint8Array[]): Uint8Array {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let o = 0;
+  for (const p of parts) {
+    out.set(p, o);
+    o += p.length;
+  }
+  return out;
+}
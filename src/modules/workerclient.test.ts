@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest';
+import { workerClient } from './workerclient';
+
+// Just enough of a Worker: replies are pushed by the test through `answer`
+class FakeWorker {
+  onmessage: ((ev: { data: any }) => void) | null = null;
+  onerror: ((ev: any) => void) | null = null;
+  onmessageerror: (() => void) | null = null;
+  sent: any[] = [];
+  terminated = false;
+  postMessage(msg: any) {
+    this.sent.push(msg);
+  }
+  terminate() {
+    this.terminated = true;
+  }
+  answer(data: object) {
+    this.onmessage?.({ data });
+  }
+}
+
+function client(opts?: { idleMs?: number }) {
+  const workers: FakeWorker[] = [];
+  const call = workerClient(() => {
+    workers.push(new FakeWorker());
+    return workers[workers.length - 1] as unknown as Worker;
+  }, opts);
+  return { call, workers };
+}
+
+describe('workerClient', () => {
+  it('matches replies to requests and passes progress on', async () => {
+    const { call, workers } = client();
+    const progress: number[] = [];
+    const a = call({ type: 'a' }, [], (f) => progress.push(f));
+    const b = call({ type: 'b' });
+    const [w] = workers;
+    w.answer({ id: w.sent[1].id, value: 'b' });
+    w.answer({ id: w.sent[0].id, type: 'progress', progress: 0.5 });
+    w.answer({ id: w.sent[0].id, value: 'a' });
+    expect(await a).toMatchObject({ value: 'a' });
+    expect(await b).toMatchObject({ value: 'b' });
+    expect(progress).toEqual([0.5]);
+  });
+
+  it('rejects on an error reply', async () => {
+    const { call, workers } = client();
+    const a = call({ type: 'a' });
+    workers[0].answer({ id: workers[0].sent[0].id, error: 'bad input' });
+    await expect(a).rejects.toThrow('bad input');
+  });
+
+  it('rejects everything pending when the worker dies, then starts a new one', async () => {
+    const { call, workers } = client();
+    const a = call({ type: 'a' });
+    const b = call({ type: 'b' });
+    workers[0].onerror!({ message: 'failed to load' });
+    await expect(a).rejects.toThrow('failed to load');
+    await expect(b).rejects.toThrow('failed to load');
+    expect(workers[0].terminated).toBe(true);
+    const c = call({ type: 'c' });
+    expect(workers.length).toBe(2);
+    workers[1].answer({ id: workers[1].sent[0].id });
+    await expect(c).resolves.toBeDefined();
+  });
+
+  it('gives up on a worker that stays silent', async () => {
+    const { call, workers } = client({ idleMs: 20 });
+    await expect(call({ type: 'a' })).rejects.toThrow('stopped responding');
+    expect(workers[0].terminated).toBe(true);
+  });
+
+  it('counts any message as a sign of life', async () => {
+    const { call, workers } = client({ idleMs: 30 });
+    const a = call({ type: 'a' });
+    const b = call({ type: 'b' }); // queued behind a in the worker, so silent itself
+    const [w] = workers;
+    for (let i = 0; i < 4; i++) {
+      await new Promise((r) => setTimeout(r, 15));
+      w.answer({ id: w.sent[0].id, type: 'progress', progress: i / 4 });
+    }
+    w.answer({ id: w.sent[0].id });
+    w.answer({ id: w.sent[1].id });
+    await expect(Promise.all([a, b])).resolves.toHaveLength(2);
+  });
+});
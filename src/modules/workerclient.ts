@@ -0,0 +1,67 @@
+// Requests to a dedicated worker, matched to replies by id. The worker answers `{ id, ...data }`,
+// or `{ id, error }`, and may send `{ id, type: 'progress', progress }` along the way. A worker
+// that fails to load or dies rejects everything still waiting, and the next request starts a fresh
+// one; so does a worker that, with requests waiting, sends nothing for `idleMs` (when given).
+export type WorkerCall = (msg: object, transfer?: Transferable[], onProgress?: (fraction: number) => void) => Promise<any>;
+
+type Pending = {
+  resolve: (data: any) => void;
+  reject: (e: Error) => void;
+  progress?: (fraction: number) => void;
+};
+
+/** A call function over the worker `create` makes; the worker is created on the first call. */
+export function workerClient(create: () => Worker, opts: { idleMs?: number } = {}): WorkerCall {
+  let worker: Worker | null = null;
+  let nextId = 0;
+  let idle: ReturnType<typeof setTimeout> | undefined;
+  const pending = new Map<number, Pending>();
+
+  function fail(message: string) {
+    clearTimeout(idle);
+    worker?.terminate();
+    worker = null;
+    for (const p of pending.values()) p.reject(new Error(message));
+    pending.clear();
+  }
+
+  // Any message counts as a sign of life, as a worker runs its requests one after another
+  function watch() {
+    clearTimeout(idle);
+    if (!opts.idleMs || !pending.size) return;
+    idle = setTimeout(() => fail(`Worker stopped responding (nothing for ${opts.idleMs! / 1000} s)`), opts.idleMs);
+  }
+
+  return (msg, transfer = [], onProgress) => {
+    if (!worker) {
+      worker = create();
+      worker.onmessage = (ev) => {
+        const p = pending.get(ev.data?.id);
+        if (p && ev.data.type === 'progress') p.progress?.(ev.data.progress);
+        else if (p) {
+          pending.delete(ev.data.id);
+          if (ev.data.error) p.reject(new Error(ev.data.error));
+          else p.resolve(ev.data);
+        }
+        watch();
+      };
+      worker.onerror = (ev) => {
+        ev.preventDefault?.();
+        fail(ev.message || 'Worker failed');
+      };
+      worker.onmessageerror = () => fail('Worker sent a reply that could not be read');
+    }
+    const id = ++nextId;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject, progress: onProgress });
+      try {
+        worker!.postMessage({ ...msg, id }, transfer);
+      } catch (e) {
+        pending.delete(id);
+        throw e; // e.g. something that can't be cloned; rejects this call only
+      } finally {
+        watch();
+      }
+    });
+  };
+}
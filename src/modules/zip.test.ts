@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { crc32 } from './crc32';
+import { unzip, zip } from './zip';
+
+const enc = new TextEncoder();
+
+async function deflate(data: Uint8Array) {
+  const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Offset of the first central directory record, from the end record
+function centralOffset(bytes: Uint8Array) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return view.getUint32(bytes.length - 22 + 16, true);
+}
+
+describe('zip', () => {
+  it('round-trips names and contents', async () => {
+    const entries = [
+      { name: 'project.json', data: enc.encode('{"a":1}') },
+      { name: 'takes/テイク 1.wav', data: Uint8Array.from({ length: 1000 }, (_, i) => i & 0xff) },
+      { name: 'empty', data: new Uint8Array(0) }
+    ];
+    expect(await unzip(zip(entries))).toEqual(entries);
+  });
+
+  it('reads deflated entries from other tools', async () => {
+    const text = enc.encode('la '.repeat(500));
+    const bytes = zip([{ name: 'notes.txt', data: await deflate(text) }]);
+    const view = new DataView(bytes.buffer);
+    const central = centralOffset(bytes);
+    view.setUint16(central + 10, 8, true); // method: deflate
+    view.setUint32(central + 16, crc32(text), true); // the CRC is over the inflated data
+    const [entry] = await unzip(bytes);
+    expect(entry.data).toEqual(text);
+  });
+
+  it('refuses what needs zip64 instead of wrapping sizes around', () => {
+    const huge = { name: 'take.wav', data: { length: 2 ** 32 } as Uint8Array }; // only its length is read
+    expect(() => zip([huge])).toThrow('Too large for a zip archive');
+    const many = Array.from({ length: 0x10000 }, (_, i) => ({ name: `${i}`, data: new Uint8Array(0) }));
+    expect(() => zip(many)).toThrow('Too many files');
+  });
+
+  it('rejects damaged archives', async () => {
+    await expect(unzip(enc.encode('not a zip at all, not even close'))).rejects.toThrow('Not a zip archive');
+    const bytes = zip([{ name: 'a.bin', data: enc.encode('hello') }]);
+    bytes[30 + 'a.bin'.length] ^= 0xff; // first byte of the stored data
+    await expect(unzip(bytes)).rejects.toThrow('Checksum mismatch in a.bin');
+    await expect(unzip(bytes.subarray(0, bytes.length - 30))).rejects.toThrow();
+  });
+});
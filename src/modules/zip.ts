@@ -0,0 +1,138 @@
+import { crc32 } from './crc32';
+
+// Minimal zip (no zip64, no encryption). Entries are written uncompressed: the bulk of a project is
+// audio that deflate barely shrinks. Reading also accepts deflated entries from other tools. Without
+// zip64, sizes and offsets are 32-bit and the entry count 16-bit; zip() refuses anything larger
+// rather than write an archive that wraps around.
+export type ZipEntry = { name: string; data: Uint8Array };
+
+const LOCAL_SIG = 0x04034b50;
+const CENTRAL_SIG = 0x02014b50;
+const END_SIG = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const MAX_SIZE = 0xffffffff;
+const MAX_ENTRIES = 0xffff;
+
+export function zip(entries: ZipEntry[], date = new Date()): Uint8Array {
+  const enc = new TextEncoder();
+  if (entries.length > MAX_ENTRIES) {
+    throw new Error(`Too many files for a zip archive: ${entries.length} (at most ${MAX_ENTRIES})`);
+  }
+  const total = entries.reduce((n, e) => n + 30 + 46 + 2 * enc.encode(e.name).length + e.data.length, 22);
+  if (total > MAX_SIZE) {
+    throw new Error(`Too large for a zip archive: ${(total / 2 ** 30).toFixed(1)} GiB (at most 4 GiB)`);
+  }
+  const { time, day } = dosDateTime(date);
+  const locals: Uint8Array[] = [];
+  const centrals: Uint8Array[] = [];
+  let offset = 0;
+  for (const { name, data } of entries) {
+    const nameBytes = enc.encode(name);
+    const crc = crc32(data);
+    const local = new Uint8Array(30 + nameBytes.length);
+    const l = new DataView(local.buffer);
+    l.setUint32(0, LOCAL_SIG, true);
+    l.setUint16(4, 20, true); // version needed
+    l.setUint16(6, UTF8_FLAG, true);
+    l.setUint16(8, 0, true); // stored
+    l.setUint16(10, time, true);
+    l.setUint16(12, day, true);
+    l.setUint32(14, crc, true);
+    l.setUint32(18, data.length, true);
+    l.setUint32(22, data.length, true);
+    l.setUint16(26, nameBytes.length, true);
+    local.set(nameBytes, 30);
+
+    const central = new Uint8Array(46 + nameBytes.length);
+    const c = new DataView(central.buffer);
+    c.setUint32(0, CENTRAL_SIG, true);
+    c.setUint16(4, 20, true); // version made by
+    c.setUint16(6, 20, true);
+    c.setUint16(8, UTF8_FLAG, true);
+    c.setUint16(10, 0, true);
+    c.setUint16(12, time, true);
+    c.setUint16(14, day, true);
+    c.setUint32(16, crc, true);
+    c.setUint32(20, data.length, true);
+    c.setUint32(24, data.length, true);
+    c.setUint16(28, nameBytes.length, true);
+    c.setUint32(42, offset, true);
+    central.set(nameBytes, 46);
+
+    locals.push(local, data);
+    centrals.push(central);
+    offset += local.length + data.length;
+  }
+  const dirSize = centrals.reduce((n, c) => n + c.length, 0);
+  const end = new Uint8Array(22);
+  const e = new DataView(end.buffer);
+  e.setUint32(0, END_SIG, true);
+  e.setUint16(8, entries.length, true);
+  e.setUint16(10, entries.length, true);
+  e.setUint32(12, dirSize, true);
+  e.setUint32(16, offset, true);
+
+  const out = new Uint8Array(offset + dirSize + end.length);
+  let o = 0;
+  for (const part of [...locals, ...centrals, end]) {
+    out.set(part, o);
+    o += part.length;
+  }
+  return out;
+}
+
+/** Entries of a zip archive, found through its central directory; throws if any CRC is off. */
+export async function unzip(bytes: Uint8Array): Promise<ZipEntry[]> {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const dec = new TextDecoder();
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === END_SIG) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error('Not a zip archive');
+  const count = view.getUint16(end + 10, true);
+  let p = view.getUint32(end + 16, true);
+  const out: ZipEntry[] = [];
+  for (let i = 0; i < count; i++) {
+    if (p + 46 > bytes.length || view.getUint32(p, true) !== CENTRAL_SIG) throw new Error('Damaged zip directory');
+    const method = view.getUint16(p + 10, true);
+    const crc = view.getUint32(p + 16, true);
+    const size = view.getUint32(p + 20, true);
+    const nameLen = view.getUint16(p + 28, true);
+    const extraLen = view.getUint16(p + 30, true);
+    const commentLen = view.getUint16(p + 32, true);
+    const local = view.getUint32(p + 42, true);
+    const name = dec.decode(bytes.subarray(p + 46, p + 46 + nameLen));
+    p += 46 + nameLen + extraLen + commentLen;
+    if (name.endsWith('/')) continue; // folder entry
+
+    if (local + 30 > bytes.length || view.getUint32(local, true) !== LOCAL_SIG) {
+      throw new Error(`Damaged zip entry: ${name}`);
+    }
+    const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    if (start + size > bytes.length) throw new Error(`Truncated zip entry: ${name}`);
+    const raw = bytes.subarray(start, start + size);
+    let data: Uint8Array;
+    if (method === 0) data = raw.slice();
+    else if (method === 8) data = await inflate(raw);
+    else throw new Error(`Unsupported compression in ${name}`);
+    if (crc32(data) !== crc) throw new Error(`Checksum mismatch in ${name}`);
+    out.push({ name, data });
+  }
+  return out;
+}
+
+async function inflate(raw: Uint8Array): Promise<Uint8Array> {
+  const stream = new Blob([raw.slice()]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function dosDateTime(d: Date) {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+    day: ((Math.max(1980, d.getFullYear()) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+}
@@ -0,0 +1,104 @@
+// Dedicated worker hosting ffmpeg.wasm for what WebCodecs can't encode in this browser. The
+// single-threaded core is bundled with the app (no CDN) and precached by the service worker, so
+// the fallback works offline. The core is loaded on the first job and kept; jobs run one at a time.
+// @ts-ignore -- the core ships without typings; @ffmpeg/types describes it
+import createFFmpegCore from '@ffmpeg/core';
+import type { FFmpegCoreModule, FFmpegCoreModuleFactory } from '@ffmpeg/types';
+import { readWavInfo } from '../modules/wav';
+import type { FFmpegJob, FFmpegResult } from '../modules/ffmpeg';
+
+type Job = FFmpegJob & { id: number; wav: ArrayBuffer };
+
+const LOG_LINES = 8; // kept for the error message when ffmpeg fails
+// The core's libopus crashes (out-of-bounds memory access) on stereo input from complexity 5 up;
+// the reply says which complexity was used, so the page can tell the user it was lowered
+const MAX_STEREO_COMPLEXITY = 4;
+
+let core: Promise<FFmpegCoreModule> | null = null;
+let job = 0;
+let log: string[] = [];
+let queue: Promise<unknown> = Promise.resolve();
+
+function load() {
+  if (core) return core;
+  const loading = (createFFmpegCore as FFmpegCoreModuleFactory)().then((ff) => {
+    ff.setLogger(({ message }) => {
+      log.push(message);
+      if (log.length > LOG_LINES) log.shift();
+    });
+    ff.setProgress(({ progress }) => {
+      postMessage({ id: job, type: 'progress', progress: Math.min(1, Math.max(0, progress)) });
+    });
+    return ff;
+  });
+  loading.catch(() => (core = null)); // let the next job try again
+  core = loading;
+  return loading;
+}
+
+self.onmessage = (ev: MessageEvent) => {
+  const msg = ev.data;
+  queue = queue.then(async () => {
+    try {
+      if (msg.type === 'load') {
+        await load();
+        reply(msg, {});
+      } else if (msg.type === 'encode') {
+        const res = await encode(msg);
+        reply(msg, res, [res.data]);
+      }
+    } catch (e) {
+      reply(msg, { error: (e as Error).message });
+    }
+  });
+};
+
+function reply(msg: any, data: object, transfer: Transferable[] = []) {
+  postMessage({ id: msg.id, ...data }, { transfer });
+}
+
+// Codec arguments and output name; the muxer follows from the extension
+function output(j: Job, channels: number): { name: string; args: string[]; complexity?: number } {
+  if (j.format === 'mp3') return { name: 'out.mp3', args: ['-c:a', 'libmp3lame'] };
+  if (j.format === 'aac') return { name: 'out.m4a', args: ['-c:a', 'aac'] };
+  const complexity = channels > 1 ? Math.min(j.complexity, MAX_STEREO_COMPLEXITY) : j.complexity;
+  return {
+    name: j.container === 'webm' ? 'out.webm' : 'out.opus',
+    args: ['-c:a', 'libopus', '-ar', '48000', '-compression_level', String(complexity)],
+    complexity
+  };
+}
+
+async function encode(j: Job): Promise<FFmpegResult> {
+  const ff = await load();
+  const { numChannels } = readWavInfo(j.wav);
+  const { name, args, complexity } = output(j, Math.min(numChannels, 2));
+  job = j.id;
+  log = [];
+  ff.FS.writeFile('in.wav', new Uint8Array(j.wav));
+  try {
+    try {
+      ff.exec(
+        '-i', 'in.wav', ...(numChannels > 2 ? ['-ac', '2'] : []), ...args,
+        '-b:a', `${Math.round(j.bitrate / 1000)}k`, '-y', name
+      );
+    } catch (e) {
+      // An abort (e.g. a libopus crash) leaves the instance unusable; the next job loads a fresh one
+      core = null;
+      throw new Error(`ffmpeg aborted: ${(e as Error).message}`);
+    }
+    const ret = ff.ret;
+    ff.reset();
+    if (ret !== 0) throw new Error(`ffmpeg failed (${ret}): ${log[log.length - 1] ?? 'no output'}`);
+    const bytes = ff.FS.readFile(name, { encoding: 'binary' }) as Uint8Array;
+    return { data: bytes.slice().buffer, complexity };
+  } finally {
+    for (const f of ['in.wav', name]) {
+      try {
+        ff.FS.unlink(f);
+      } catch {
+        // not written
+      }
+    }
+  }
+}
@@ -0,0 +1,96 @@
+// Dedicated worker for FLAC, so encoding a take or decoding a clip never holds up the page.
+// WAV input arrives as file bytes (its cue markers become Vorbis comments); `transcode` reads and
+// writes OPFS itself through sync access handles, a run of frames at a time, so a take's samples
+// never pass through the main thread and a long one never has to fit in memory.
+import { decodeFLAC, encodeFLAC, flacEncoder, type FlacOptions } from '../modules/flac';
+import { parseWAV, readWavFrames, readWavInfo, readWavMarkers } from '../modules/wav';
+import { checkSpace, removePath } from '../modules/opfs';
+
+const HEAD_BYTES = 64 * 1024; // reaches the data chunk of any WAV we write
+const RUN_FRAMES = 1 << 16;
+
+self.onmessage = async (ev: MessageEvent) => {
+  const msg = ev.data;
+  try {
+    if (msg.type === 'encode') {
+      const data = wavToFlac(msg.wav, msg.opts);
+      reply(msg, { data }, [data]);
+    } else if (msg.type === 'decode') {
+      const decoded = decodeFLAC(msg.data);
+      reply(msg, decoded, decoded.channels.map((ch) => ch.buffer));
+    } else if (msg.type === 'transcode') {
+      reply(msg, { bytes: await transcode(msg.from, msg.to, msg.opts) });
+    }
+  } catch (e) {
+    reply(msg, { error: (e as Error).message });
+  }
+};
+
+function reply(msg: any, data: object, transfer: Transferable[] = []) {
+  postMessage({ id: msg.id, ...data }, { transfer });
+}
+
+function wavToFlac(wav: ArrayBuffer, opts: FlacOptions) {
+  const { info, channels } = parseWAV(wav);
+  return encodeFLAC(channels, info.sampleRate, { markers: readWavMarkers(wav), ...opts });
+}
+
+async function syncHandle(path: string, create: boolean) {
+  const parts = path.split('/').filter(Boolean);
+  let dir = await navigator.storage.getDirectory();
+  for (let i = 0; i < parts.length - 1; i++) {
+    dir = await dir.getDirectoryHandle(parts[i], { create });
+  }
+  const fh: any = await dir.getFileHandle(parts[parts.length - 1], { create });
+  if (typeof fh.createSyncAccessHandle !== 'function') throw new Error('Sync access handles unavailable');
+  return await fh.createSyncAccessHandle();
+}
+
+// The header is reserved first and written last, once the frame sizes and length are known.
+// A failed transcode removes its partial output; the WAV is left as it was.
+async function transcode(from: string, to: string, opts: FlacOptions) {
+  const src = await syncHandle(from, false);
+  let dst: any = null;
+  try {
+    const size = src.getSize();
+    const head = new Uint8Array(Math.min(size, HEAD_BYTES));
+    src.read(head, { at: 0 });
+    const info = readWavInfo(head.buffer, size);
+    const blockAlign = info.numChannels * (info.bitDepth / 8);
+    const dataSize = info.frames * blockAlign;
+    const tail = new Uint8Array(Math.max(0, size - info.dataOffset - dataSize - (dataSize & 1)));
+    src.read(tail, { at: info.dataOffset + dataSize + (dataSize & 1) }); // the cue chunks, if any
+    // Frames that fall back to verbatim subframes are still only about the size of the PCM in them
+    const bytesOut = info.frames * info.numChannels * ((opts.bitDepth ?? 16) / 8);
+    if (!(await checkSpace(bytesOut))) throw new Error(`Not enough storage to save ${to}`);
+
+    const enc = flacEncoder(info.numChannels, info.sampleRate, { markers: readWavMarkers(tail.buffer, 0), ...opts });
+    dst = await syncHandle(to, true);
+    dst.truncate(0);
+    let at = enc.header().length;
+    const put = (bytes: Uint8Array) => {
+      dst.write(bytes, { at });
+      at += bytes.length;
+    };
+    const run = new Uint8Array(RUN_FRAMES * blockAlign);
+    for (let frame = 0; frame < info.frames; frame += RUN_FRAMES) {
+      const n = Math.min(RUN_FRAMES, info.frames - frame);
+      src.read(run.subarray(0, n * blockAlign), { at: info.dataOffset + frame * blockAlign });
+      put(enc.write(readWavFrames(run.buffer, info, 0, n)));
+    }
+    put(enc.end());
+    dst.write(enc.header(), { at: 0 });
+    dst.flush();
+    return at;
+  } catch (e) {
+    if (dst) {
+      dst.close();
+      dst = null;
+      await removePath(to).catch(() => {});
+    }
+    throw e;
+  } finally {
+    src.close();
+    dst?.close();
+  }
+}
@@ -0,0 +1,24 @@
+// Dedicated worker for loudness analysis and normalization, which take seconds per minute of audio
+// (the true-peak limiter most of all) and would otherwise freeze the page for the whole export.
+// It also oversamples the live meter's 100 ms blocks for their true peak, off the audio thread.
+import { blockTruePeak, measureLoudness, normalizeLoudness } from '../modules/loudness';
+
+self.onmessage = (ev: MessageEvent) => {
+  const msg = ev.data;
+  try {
+    if (msg.type === 'measure') {
+      reply(msg, { reading: measureLoudness(msg.channels, msg.sampleRate) });
+    } else if (msg.type === 'normalize') {
+      const res = normalizeLoudness(msg.channels, msg.sampleRate, msg.opts);
+      reply(msg, res, res.channels.map((ch) => ch.buffer));
+    } else if (msg.type === 'truePeak') {
+      reply(msg, { peak: blockTruePeak(msg.channels, msg.sampleRate, msg.from) });
+    }
+  } catch (e) {
+    reply(msg, { error: (e as Error).message });
+  }
+};
+
+function reply(msg: any, data: object, transfer: Transferable[] = []) {
+  postMessage({ id: msg.id, ...data }, { transfer });
+}
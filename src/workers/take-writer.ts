@@ -0,0 +1,135 @@
+// Dedicated worker that streams a take to OPFS through a synchronous access handle.
+// Samples are stored as interleaved 32-bit float; the header is reserved on open and
+// rewritten on close, so an interrupted take can be repaired from its file length.
+// With a SharedArrayBuffer ring the worker is also the consumer and drains it on a timer.
+import { cueChunks, readWavInfo, wavHeader, writeSamples, type WavMarker } from '../modules/wav';
+import { RingReader } from '../modules/ringbuffer';
+
+type Take = { handle: any; path: string; numChannels: number; sampleRate: number; frames: number; dataOffset: number };
+
+const FLUSH_EVERY = 375; // ~1s of 128-frame quanta at 48k
+const DRAIN_MS = 20;
+const END_WAIT_MS = 1000; // how long close waits for the worklet's end marker
+
+let take: Take | null = null;
+let writes = 0;
+let ring: RingReader | null = null;
+let drainTimer: ReturnType<typeof setInterval> | undefined;
+
+self.onmessage = async (ev: MessageEvent) => {
+  const msg = ev.data;
+  try {
+    if (msg.type === 'open') reply(msg, await open(msg.path, msg.numChannels, msg.sampleRate, msg.ring));
+    else if (msg.type === 'write') write(msg.channels);
+    else if (msg.type === 'close') reply(msg, await close(msg.markers));
+    else if (msg.type === 'recover') reply(msg, { paths: await recover(msg.folder) });
+  } catch (e) {
+    reply(msg, { error: (e as Error).message });
+  }
+};
+
+function reply(msg: any, data: object) {
+  postMessage({ id: msg.id, ...data });
+}
+
+async function fileHandle(path: string, create: boolean) {
+  const parts = path.split('/').filter(Boolean);
+  let dir = await navigator.storage.getDirectory();
+  for (let i = 0; i < parts.length - 1; i++) {
+    dir = await dir.getDirectoryHandle(parts[i], { create });
+  }
+  return await dir.getFileHandle(parts[parts.length - 1], { create });
+}
+
+async function open(path: string, numChannels: number, sampleRate: number, sab?: SharedArrayBuffer) {
+  if (take) await close();
+  const fh: any = await fileHandle(path, true);
+  if (typeof fh.createSyncAccessHandle !== 'function') throw new Error('Sync access handles unavailable');
+  const handle = await fh.createSyncAccessHandle();
+  handle.truncate(0);
+  const header = wavHeader(numChannels, sampleRate, 32, 0);
+  handle.write(new Uint8Array(header), { at: 0 });
+  take = { handle, path, numChannels, sampleRate, frames: 0, dataOffset: header.byteLength };
+  writes = 0;
+  if (sab) {
+    ring = new RingReader(sab);
+    drainTimer = setInterval(drain, DRAIN_MS);
+  }
+  return { path };
+}
+
+function drain(countUnderflow = true) {
+  const channels = ring?.read(countUnderflow);
+  if (channels) write(channels);
+}
+
+function write(channels: Float32Array[]) {
+  if (!take) return;
+  const frames = channels[0]?.length ?? 0;
+  const bytes = new ArrayBuffer(frames * take.numChannels * 4);
+  writeSamples(new DataView(bytes), 0, channels.slice(0, take.numChannels), 32);
+  take.handle.write(new Uint8Array(bytes), { at: take.dataOffset + take.frames * take.numChannels * 4 });
+  take.frames += frames;
+  if (++writes % FLUSH_EVERY === 0) take.handle.flush();
+}
+
+async function close(markers: WavMarker[] = []) {
+  if (!take) return { error: 'No open take' };
+  if (ring) {
+    // The worklet may still write a quantum or two after the stop was sent; keep draining until it
+    // marks the end (or seems gone), then take what is left
+    clearInterval(drainTimer);
+    const until = Date.now() + END_WAIT_MS;
+    while (!ring.ended() && Date.now() < until) {
+      drain(false);
+      await new Promise((r) => setTimeout(r, DRAIN_MS));
+    }
+    drain(false);
+    ring = null;
+  }
+  const { handle, path, numChannels, sampleRate, frames, dataOffset } = take;
+  const header = new Uint8Array(wavHeader(numChannels, sampleRate, 32, frames));
+  if (markers.length) {
+    handle.write(new Uint8Array(cueChunks(markers)), { at: dataOffset + frames * numChannels * 4 });
+    new DataView(header.buffer).setUint32(4, handle.getSize() - 8, true);
+  }
+  handle.write(header, { at: 0 });
+  handle.flush();
+  handle.close();
+  take = null;
+  return { path, frames };
+}
+
+// Rewrite the header of any take whose RIFF size disagrees with its file length.
+async function recover(folder: string) {
+  const repaired: string[] = [];
+  let dir: any = await navigator.storage.getDirectory();
+  for (const p of folder.split('/').filter(Boolean)) {
+    dir = await dir.getDirectoryHandle(p, { create: true });
+  }
+  for await (const [name, fh] of dir.entries()) {
+    if (fh.kind !== 'file' || !name.endsWith('.wav')) continue;
+    if (take && take.path === `${folder}/${name}`) continue;
+    let handle: any = null;
+    try {
+      handle = await fh.createSyncAccessHandle(); // fails if another tab still has the file open
+      const size = handle.getSize();
+      const head = new Uint8Array(Math.min(size, 256));
+      handle.read(head, { at: 0 });
+      const info = readWavInfo(head.buffer);
+      if (!info.float || info.bitDepth !== 32) continue;
+      if (new DataView(head.buffer).getUint32(4, true) + 8 === size) continue;
+      const blockAlign = info.numChannels * (info.bitDepth / 8);
+      const frames = Math.floor((size - info.dataOffset) / blockAlign);
+      handle.truncate(info.dataOffset + frames * blockAlign);
+      handle.write(new Uint8Array(wavHeader(info.numChannels, info.sampleRate, 32, frames)), { at: 0 });
+      handle.flush();
+      repaired.push(`${folder}/${name}`);
+    } catch {
+      // not one of ours, unreadable or locked: leave it alone
+    } finally {
+      handle?.close();
+    }
+  }
+  return repaired;
+}
@@ -1,34 +1,213 @@
+// Dropouts: the audio clock falling behind wall-clock time by more than this is reported as 'late'
+const LATE_MS = 25;
+const REBASE_SECONDS = 10;
+
 class MonitorProcessor extends AudioWorkletProcessor {
   constructor(options) {
     super(options);
     this._record = false;
-    this._sum = 0;
-    this._count = 0;
+    this._channels = null; // input indices to capture, null = all
+    this._ring = null; // SAB ring (see modules/ringbuffer.ts); postMessage is used when absent
+    this._batch = 1; // quanta per 'frames' message, raised by the recorder after repeated xruns
+    this._pending = [];
+    this._pendingFrame = 0; // currentFrame of the first pending quantum
+    this._skip = 0; // frames still to drop at the head of the take (latency compensation)
+    this._monitor = true;
+    this._recFrames = 0; // frames captured into the current take
+    this._lastFrame = -1;
+    this._t0 = 0;
+    this._f0 = 0;
+    this._minLag = 0;
+    this._history = null; // SAB ring of recent input, allocated by the recorder: { channels, header, data, nch, mask }
+    this._meter = null; // loudness metering state, see _setMeter
     this.port.onmessage = (ev) => {
-      if (ev.data?.type === 'record') this._record = !!ev.data.on;
+      if (ev.data?.type === 'record') {
+        if (!ev.data.on) {
+          this._flush();
+          // Quanta already written stay in the ring; tell the writer nothing more is coming
+          if (this._record && this._ring) Atomics.store(this._ring.header, 6, 1);
+          this.port.postMessage({ type: 'stopped' });
+        }
+        else if (!this._record) {
+          // Start capturing at frame `at` (if given), then drop `skip` more frames of latency
+          this._recFrames = 0;
+          this._skip = (ev.data.skip | 0) + Math.max(0, (ev.data.at ?? currentFrame) - currentFrame);
+        }
+        this._record = !!ev.data.on;
+        if (ev.data.channels !== undefined) this._channels = ev.data.channels;
+        if (ev.data.ring !== undefined) this._setRing(ev.data.ring);
+      } else if (ev.data?.type === 'monitor') {
+        this._monitor = !!ev.data.on;
+      } else if (ev.data?.type === 'batch') {
+        this._flush();
+        this._batch = Math.max(1, ev.data.quanta | 0);
+      } else if (ev.data?.type === 'history') {
+        this._setHistory(ev.data.ring, ev.data.channels);
+      } else if (ev.data?.type === 'meter') {
+        this._setMeter(ev.data);
+      }
     };
   }
   process(inputs, outputs, parameters) {
     const input = inputs[0];
     const output = outputs[0];
+    this._watch(input?.[0]?.length ?? 128);
     if (input && input[0] && output && output[0]) {
-      output[0].set(input[0]);
-      if (this._record) {
-        const left = new Float32Array(input[0].length);
-        left.set(input[0]);
-        this.port.postMessage({ type: 'frames', left }, [left.buffer]);
+      if (this._monitor) {
+        for (let c = 0; c < output.length && c < input.length; c++) output[c].set(input[c]);
       }
-      let sum = 0;
-      const ch = input[0];
-      for (let i = 0; i < ch.length; i++) { const s = ch[i]; sum += s * s; }
-      this._sum += sum / ch.length;
-      this._count++;
-      if (this._count % 30 === 0) {
-        const rms = Math.sqrt(this._sum / this._count);
-        this.port.postMessage({ type: 'rms', rms });
-        this._sum = 0; this._count = 0;
+      if (this._history) this._historyWrite(input);
+      if (this._record && this._skip >= input[0].length) {
+        this._skip -= input[0].length;
+      } else if (this._record) {
+        const head = this._skip;
+        this._skip = 0;
+        const picked = (this._channels
+          ? this._channels.map((i) => input[Math.min(i, input.length - 1)])
+          : input).map((ch) => ch.subarray(head));
+        if (!this._ring) {
+          if (!this._pending.length) this._pendingFrame = currentFrame + head;
+          this._pending.push(picked.map((ch) => ch.slice()));
+          if (this._pending.length >= this._batch) this._flush();
+          this._recFrames += picked[0].length;
+        } else if (this._ringWrite(picked)) {
+          this._recFrames += picked[0].length;
+        }
       }
+      if (this._meter) this._meterWrite(input);
+    }
+    return true;
+  }
+  // Compare currentFrame progression against wall-clock time and against the previous quantum
+  _watch(quantum) {
+    const now = Date.now();
+    if (this._lastFrame >= 0 && currentFrame !== this._lastFrame + quantum) {
+      this._xrun('gap', ((currentFrame - this._lastFrame - quantum) / sampleRate) * 1000);
+    }
+    this._lastFrame = currentFrame;
+    if (!this._t0 || currentFrame - this._f0 > sampleRate * REBASE_SECONDS) this._rebase(now);
+    const lag = now - this._t0 - ((currentFrame - this._f0) / sampleRate) * 1000;
+    if (lag < this._minLag) this._minLag = lag;
+    if (lag - this._minLag > LATE_MS) {
+      this._xrun('late', lag - this._minLag);
+      this._rebase(now);
+    }
+  }
+  _rebase(now) {
+    this._t0 = now;
+    this._f0 = currentFrame;
+    this._minLag = 0;
+  }
+  _xrun(kind, ms) {
+    this.port.postMessage({
+      type: 'xrun', kind, ms, frame: currentFrame, takeFrame: this._record ? this._recFrames : null
+    });
+  }
+  // Concatenate pending quanta into one message per channel
+  _flush() {
+    const chunks = this._pending;
+    if (!chunks.length) return;
+    this._pending = [];
+    const n = chunks.reduce((a, ch) => a + ch[0].length, 0);
+    const channels = chunks[0].map((_, c) => {
+      const out = new Float32Array(n);
+      let o = 0;
+      for (const chunk of chunks) { out.set(chunk[c], o); o += chunk[c].length; }
+      return out;
+    });
+    this.port.postMessage({ type: 'frames', channels, frame: this._pendingFrame }, channels.map((ch) => ch.buffer));
+  }
+  // Keep the given input channels in a history ring whether or not a take is running. Nothing
+  // drains it: the oldest frames are overwritten, and the recorder copies out of it on its side.
+  _setHistory(sab, channels) {
+    if (!sab || !channels?.length) { this._history = null; return; }
+    const header = new Int32Array(sab, 0, 8);
+    this._history = { channels, header, data: new Float32Array(sab, 32), nch: header[4], mask: header[5] - 1 };
+  }
+  _historyWrite(input) {
+    const { channels, header, data, nch, mask } = this._history;
+    const n = input[0].length;
+    const w = Atomics.load(header, 0);
+    for (let c = 0; c < nch; c++) {
+      const src = input[Math.min(channels[c], input.length - 1)];
+      for (let i = 0; i < n; i++) data[((w + i) & mask) * nch + c] = src[i];
+    }
+    Atomics.store(header, 7, (currentFrame - w) | 0); // lets the reader place the frames in context time
+    Atomics.store(header, 0, (w + n) | 0);
+  }
+  // Loudness of the given input channels with the K-weighting stages and channel weights from
+  // modules/loudness.ts. Every 100 ms block posts the weighted sum of the channels' mean squares and
+  // the block's samples, led by the interpolator's length of samples before it; oversampling them
+  // for the true peak is left to the loudness worker, as is gating and averaging to the main thread.
+  _setMeter(cfg) {
+    if (!cfg.channels?.length) { this._meter = null; return; }
+    const tail = Math.max(...cfg.phases.map((taps) => taps.length)) - 1;
+    this._meter = {
+      channels: cfg.channels, stages: cfg.stages, weights: cfg.weights, blockFrames: cfg.blockFrames, tail,
+      state: cfg.channels.map(() => new Float64Array(cfg.stages.length * 2)),
+      block: cfg.channels.map(() => new Float32Array(tail + cfg.blockFrames)),
+      sums: new Float64Array(cfg.channels.length), frames: 0, peak: 0
+    };
+  }
+  _meterWrite(input) {
+    const m = this._meter;
+    const src = m.channels.map((i) => input[Math.min(i, input.length - 1)]);
+    for (let f = 0; f < input[0].length; f++) {
+      for (let c = 0; c < src.length; c++) {
+        const x = src[c][f];
+        const z = m.state[c];
+        let y = x;
+        for (let s = 0; s < m.stages.length; s++) {
+          const { b, a } = m.stages[s];
+          const v = y;
+          y = b[0] * v + z[2 * s];
+          z[2 * s] = b[1] * v - a[0] * y + z[2 * s + 1];
+          z[2 * s + 1] = b[2] * v - a[1] * y;
+        }
+        m.sums[c] += y * y;
+        m.block[c][m.tail + m.frames] = x;
+        if (Math.abs(x) > m.peak) m.peak = Math.abs(x);
+      }
+      if (++m.frames === m.blockFrames) {
+        let power = 0;
+        for (let c = 0; c < src.length; c++) power += (m.weights[c] * m.sums[c]) / m.frames;
+        const channels = m.block;
+        m.block = channels.map((ch) => {
+          const next = new Float32Array(ch.length);
+          next.set(ch.subarray(ch.length - m.tail));
+          return next;
+        });
+        this.port.postMessage(
+          { type: 'loudness', power, samplePeak: m.peak, channels, from: m.tail },
+          channels.map((ch) => ch.buffer)
+        );
+        m.sums.fill(0);
+        m.frames = 0;
+        m.peak = 0;
+      }
+    }
+  }
+  _setRing(sab) {
+    if (!sab) { this._ring = null; return; }
+    const header = new Int32Array(sab, 0, 8);
+    this._ring = { header, data: new Float32Array(sab, 32), nch: header[4], mask: header[5] - 1 };
+  }
+  // Producer half of the SPSC ring: drop the whole quantum (and count it) when there is no room
+  _ringWrite(channels) {
+    const { header, data, nch, mask } = this._ring;
+    const n = channels[0].length;
+    const w = Atomics.load(header, 0);
+    const r = Atomics.load(header, 1);
+    if (mask + 1 - ((w - r) | 0) < n) {
+      Atomics.add(header, 2, 1);
+      this._xrun('overflow', (n / sampleRate) * 1000);
+      return false;
+    }
+    for (let i = 0; i < n; i++) {
+      const base = ((w + i) & mask) * nch;
+      for (let c = 0; c < nch; c++) data[base + c] = channels[Math.min(c, channels.length - 1)][i];
     }
+    Atomics.store(header, 0, (w + n) | 0);
     return true;
   }
 }
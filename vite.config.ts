@@ -1,4 +1,18 @@
-import { defineConfig } from 'vite';
+import { defineConfig, type Plugin } from 'vite';
+
+// Lists every built file in precache.json, which public/sw.js caches on install: the bundles'
+// names are hashed, and the ffmpeg.wasm core (~32 MB) has to be there before the first offline export
+function precacheList(): Plugin {
+  return {
+    name: 'wasmix-precache',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_, bundle) {
+      const files = Object.keys(bundle).filter((f) => !f.endsWith('.map')).map((f) => `/${f}`);
+      this.emitFile({ type: 'asset', fileName: 'precache.json', source: JSON.stringify(files) });
+    }
+  };
+}
 
 export default defineConfig({
   server: {
@@ -8,5 +22,8 @@ export default defineConfig({
     },
     port: 5173,
   },
-  build: { target: 'es2022' }
+  // Pre-bundling would move the core away from its .wasm, which it finds relative to itself
+  optimizeDeps: { exclude: ['@ffmpeg/core'] },
+  build: { target: 'es2022' },
+  plugins: [precacheList()]
 });